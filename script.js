@@ -82,8 +82,7 @@ function initRealTimeCollaboration() {
         clearMarker(markerLayerA, 'user-b');
     });
 
-    // Simulate User B typing (for demo purposes)
-    simulateUserBActivity(editorB, markerLayerA, lineNumbersB);
+    // Scripted teammates now come from the scenario player (src/session/ScenarioPlayer.js)
 }
 
 function setupEditor(editor, targetMarkerLayer, lineNumbers, userName, onLineChange, onBlur) {
@@ -228,27 +227,3 @@ function clearMarker(markerLayer, userClass) {
         existingMarker.remove();
     }
 }
-
-function simulateUserBActivity(editor, markerLayer, lineNumbers) {
-    // Simulate User B editing different lines periodically
-    let currentSimLine = 3;
-    let isIncreasing = true;
-    
-    setInterval(() => {
-        if (document.activeElement !== editor) {
-            showMarker(markerLayer, currentSimLine, 'User B', 'user-b');
-            
-            if (isIncreasing) {
-                currentSimLine++;
-                if (currentSimLine > 8) {
-                    isIncreasing = false;
-                }
-            } else {
-                currentSimLine--;
-                if (currentSimLine < 2) {
-                    isIncreasing = true;
-                }
-            }
-        }
-    }, 3000);
-}
@@ -0,0 +1,78 @@
+import { WebSocketServer } from 'ws';
+import { decodePresence, encodePresence } from '../src/transport/protocol.js';
+
+/**
+ * Local relay server
+ * Stand-in for the Synq server when testing the WebSocket transport.
+ * Every message is relayed to the other clients in the same room
+ * (the `room` query parameter). When a client disconnects, the others
+ * receive a presence "leave" message on its behalf.
+ *
+ * Usage: npm run relay (PORT defaults to 8787)
+ */
+
+const port = Number(process.env.PORT) || 8787;
+const rooms = new Map(); // room name -> Set of sockets
+
+const server = new WebSocketServer({ port });
+
+server.on('connection', (socket, request) => {
+    const url = new URL(request.url, 'http://localhost');
+    const room = url.searchParams.get('room') || 'synq-demo';
+
+    if (!rooms.has(room)) {
+        rooms.set(room, new Set());
+    }
+    const peers = rooms.get(room);
+    peers.add(socket);
+
+    socket.on('message', (data) => {
+        const text = data.toString();
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (e) {
+            console.warn(`[${room}] Dropping malformed message`);
+            return;
+        }
+
+        // Remember who is on this socket so we can announce them leaving
+        if (message.type === 'presence') {
+            try {
+                socket.participant = { from: message.from, user: decodePresence(message.payload).user };
+            } catch (e) {
+                console.warn(`[${room}] Dropping invalid presence message: ${e.message}`);
+                return;
+            }
+        }
+
+        relay(peers, socket, text);
+    });
+
+    socket.on('close', () => {
+        peers.delete(socket);
+        if (peers.size === 0) {
+            rooms.delete(room);
+        }
+
+        if (socket.participant) {
+            relay(peers, socket, JSON.stringify({
+                type: 'presence',
+                from: socket.participant.from,
+                room,
+                timestamp: Date.now(),
+                payload: encodePresence({ user: socket.participant.user, state: 'leave' })
+            }));
+        }
+    });
+});
+
+function relay(peers, sender, text) {
+    peers.forEach(peer => {
+        if (peer !== sender && peer.readyState === peer.OPEN) {
+            peer.send(text);
+        }
+    });
+}
+
+console.log(`Synq relay listening on ws://localhost:${port}`);
@@ -0,0 +1,261 @@
+import { getParticipant } from '../utils/participantRegistry.js';
+import { describeLines } from '../utils/lineTracking.js';
+
+// Event type filters: value -> label and the entry types they show
+const TYPE_FILTERS = [
+    { value: '', label: 'All events', types: null },
+    { value: 'added', label: 'Added', types: ['added'] },
+    { value: 'edited', label: 'Edited', types: ['edited'] },
+    { value: 'deleted', label: 'Deleted', types: ['deleted'] },
+    { value: 'pushed', label: 'Pushes', types: ['pushed'] },
+    { value: 'pulled', label: 'Pulls', types: ['pulled'] },
+    { value: 'presence', label: 'Joins and leaves', types: ['joined', 'left'] }
+];
+
+// Oldest entries are dropped past this many
+const MAX_ENTRIES = 100;
+
+// A teammate's edits to touching lines this close together make one entry
+const GROUP_TIME = 30000;
+
+// How often the "12s ago" times are refreshed
+const REFRESH_INTERVAL = 5000;
+
+let feedCount = 0;
+
+/**
+ * ActivityFeed Component
+ * A collapsible list of what teammates did, newest first: lines added,
+ * edited and deleted, pushes, pulls, joins and leaves. A teammate's run of
+ * edits to touching lines is one entry whose range grows. Entries can be
+ * filtered by teammate and event type; entries with lines call onSelect
+ * when clicked. While collapsed, the toggle counts the entries not seen yet.
+ */
+export class ActivityFeed {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.onSelect = options.onSelect || (() => { });
+        this.label = options.label || 'Activity';
+        this.before = options.before || null; // Element the feed is inserted before
+        this.entries = []; // Newest first
+        this.users = new Set();
+        this.filters = { userName: '', type: '' };
+        this.expanded = false;
+        this.unseen = 0;
+        this.nextId = 1;
+        this.render();
+        this.refresh = setInterval(() => this.refreshTimes(), REFRESH_INTERVAL);
+    }
+
+    render() {
+        const listId = `activity-feed-${++feedCount}`;
+        this.element = document.createElement('div');
+        this.element.className = 'activity-feed collapsed';
+        this.element.innerHTML = `
+            <div class="activity-feed-header">
+                <button class="activity-feed-toggle" aria-expanded="false"></button>
+                <select class="activity-feed-user" title="Show one teammate" aria-label="Filter by teammate">
+                    <option value="">Everyone</option>
+                </select>
+                <select class="activity-feed-type" title="Show one kind of event" aria-label="Filter by event type"></select>
+            </div>
+            <ol class="activity-feed-list"></ol>
+        `;
+        this.toggleButton = this.element.querySelector('.activity-feed-toggle');
+        this.userPicker = this.element.querySelector('.activity-feed-user');
+        this.typePicker = this.element.querySelector('.activity-feed-type');
+        this.list = this.element.querySelector('.activity-feed-list');
+        this.list.id = listId;
+        this.list.setAttribute('aria-label', this.label);
+        this.toggleButton.setAttribute('aria-controls', listId);
+
+        TYPE_FILTERS.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            this.typePicker.appendChild(option);
+        });
+
+        this.toggleButton.addEventListener('click', () => this.setExpanded(!this.expanded));
+        this.userPicker.addEventListener('change', () => {
+            this.filters.userName = this.userPicker.value;
+            this.renderEntries();
+        });
+        this.typePicker.addEventListener('change', () => {
+            this.filters.type = this.typePicker.value;
+            this.renderEntries();
+        });
+
+        this.updateToggle();
+        this.container.insertBefore(this.element, this.before);
+    }
+
+    setExpanded(expanded) {
+        this.expanded = expanded;
+        if (expanded) this.unseen = 0;
+        this.element.classList.toggle('collapsed', !expanded);
+        this.toggleButton.setAttribute('aria-expanded', String(expanded));
+        this.updateToggle();
+        if (expanded) this.renderEntries();
+    }
+
+    /**
+     * Adds an event, or grows the latest entry when it continues it
+     * @param {Object} event - {userName, type, timestamp} plus, by type: filePath, branch,
+     *   startLine and endLine ('added', 'edited', 'deleted', 'pushed'), count ('deleted', 'pushed')
+     *   and source ('pulled'); type is 'added', 'edited', 'deleted', 'pushed', 'pulled', 'joined' or 'left'
+     */
+    add(event) {
+        const entry = { timestamp: Date.now(), ...event };
+        const latest = this.entries[0];
+
+        if (latest && continues(latest, entry)) {
+            if (entry.type === 'deleted') {
+                latest.count += entry.count;
+            } else {
+                latest.startLine = Math.min(latest.startLine, entry.startLine);
+                latest.endLine = Math.max(latest.endLine, entry.endLine);
+            }
+            latest.timestamp = entry.timestamp;
+        } else {
+            entry.id = this.nextId++;
+            this.entries.unshift(entry);
+            this.entries.length = Math.min(this.entries.length, MAX_ENTRIES);
+            if (!this.expanded) this.unseen++;
+        }
+
+        if (!this.users.has(entry.userName)) {
+            this.users.add(entry.userName);
+            const option = document.createElement('option');
+            option.value = entry.userName;
+            option.textContent = entry.userName;
+            this.userPicker.appendChild(option);
+        }
+
+        this.updateToggle();
+        if (this.expanded) this.renderEntries();
+    }
+
+    updateToggle() {
+        this.toggleButton.textContent = this.unseen > 0 ? `Activity · ${this.unseen} new` : 'Activity';
+        this.toggleButton.title = this.expanded ? 'Hide teammates\' activity' : 'Show teammates\' activity';
+    }
+
+    renderEntries() {
+        if (!this.expanded) return;
+
+        const { userName, type } = this.filters;
+        const types = TYPE_FILTERS.find(filter => filter.value === type)?.types;
+        const shown = this.entries.filter(entry =>
+            (!userName || entry.userName === userName) && (!types || types.includes(entry.type)));
+
+        // Entries are rebuilt; keyboard focus stays on the entry it was on
+        const focused = this.list.contains(document.activeElement) ? document.activeElement.closest('[data-entry-id]') : null;
+
+        const now = Date.now();
+        this.list.innerHTML = '';
+        shown.forEach(entry => this.list.appendChild(this.createItem(entry, now)));
+
+        const refocus = focused ? this.list.querySelector(`[data-entry-id="${focused.dataset.entryId}"] .activity-feed-item`) : null;
+        if (refocus) refocus.focus();
+
+        if (shown.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'activity-feed-empty';
+            empty.textContent = this.entries.length === 0 ? 'No teammate activity yet' : 'Nothing matches the filters';
+            this.list.appendChild(empty);
+        }
+    }
+
+    // Helper: One list item; entries with lines are buttons that select them
+    createItem(entry, now) {
+        const item = document.createElement('li');
+        item.className = `activity-feed-entry ${entry.type} ${getParticipant(entry.userName).className}`;
+        item.dataset.entryId = entry.id;
+
+        const content = document.createElement(entry.startLine ? 'button' : 'div');
+        content.className = 'activity-feed-item';
+        const text = document.createElement('span');
+        text.className = 'activity-feed-text';
+        text.textContent = describeEntry(entry);
+        content.appendChild(text);
+
+        if (entry.filePath) {
+            const file = document.createElement('span');
+            file.className = 'activity-feed-file';
+            file.textContent = entry.filePath;
+            content.append(' ', file);
+        }
+
+        const time = document.createElement('time');
+        time.className = 'activity-feed-time';
+        time.dateTime = new Date(entry.timestamp).toISOString();
+        time.textContent = `· ${timeAgo(entry.timestamp, now)}`;
+        content.append(' ', time);
+
+        if (entry.startLine) {
+            content.title = `Show ${describeLines(entry.startLine, entry.endLine)} in ${entry.filePath}`;
+            content.addEventListener('click', () => this.onSelect(entry));
+        }
+
+        item.appendChild(content);
+        return item;
+    }
+
+    refreshTimes() {
+        const now = Date.now();
+        this.list.querySelectorAll('.activity-feed-time').forEach(time => {
+            time.textContent = `· ${timeAgo(Date.parse(time.dateTime), now)}`;
+        });
+    }
+
+    destroy() {
+        clearInterval(this.refresh);
+        this.element.remove();
+    }
+}
+
+// Helper: Whether an event carries on the latest entry (same teammate, kind and file, touching lines)
+function continues(latest, entry) {
+    if (latest.userName !== entry.userName || latest.type !== entry.type) return false;
+    if (latest.filePath !== entry.filePath || latest.branch !== entry.branch) return false;
+    if (entry.timestamp - latest.timestamp > GROUP_TIME) return false;
+
+    if (entry.type === 'deleted') {
+        return entry.startLine === latest.startLine;
+    }
+    if (entry.type !== 'added' && entry.type !== 'edited') return false;
+    return entry.startLine <= latest.endLine + 1 && entry.endLine >= latest.startLine - 1;
+}
+
+// Helper: 'User B added lines 4–7', 'User A pushed 3 changes', ...
+function describeEntry(entry) {
+    const { userName, type, startLine, endLine, count, source } = entry;
+    switch (type) {
+        case 'added':
+            return `${userName} added ${describeLines(startLine, endLine)}`;
+        case 'edited':
+            return `${userName} edited ${describeLines(startLine, endLine)}`;
+        case 'deleted':
+            return `${userName} deleted ${count} ${count === 1 ? 'line' : 'lines'} above line ${startLine}`;
+        case 'pushed':
+            return `${userName} pushed ${count} ${count === 1 ? 'change' : 'changes'}`;
+        case 'pulled':
+            return `${userName} pulled ${source}'s changes`;
+        case 'joined':
+            return `${userName} joined`;
+        case 'left':
+            return `${userName} left`;
+        default:
+            return `${userName} ${type}`;
+    }
+}
+
+// Helper: 'just now', '12s ago', '3m ago', '2h ago'
+function timeAgo(timestamp, now) {
+    const seconds = Math.max(Math.floor((now - timestamp) / 1000), 0);
+    if (seconds < 5) return 'just now';
+    if (seconds < 60) return `${seconds}s ago`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+    return `${Math.floor(seconds / 3600)}h ago`;
+}
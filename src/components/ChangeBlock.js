@@ -1,19 +1,27 @@
+import { buildLineMapping, remapRange, nearestMappedLine, describeLines } from '../utils/lineTracking.js';
+import { getLineRangeBox } from '../utils/lineGeometry.js';
+import { diffRows, diffChars } from '../utils/lineDiff.js';
+import { getParticipant } from '../utils/participantRegistry.js';
+
+// Numbers the previews so their indicators can point at them (aria-controls)
+let previewCount = 0;
+
 /**
  * ChangeBlock Component
  * Manages collaborative change blocks showing uncommitted changes from other users
+ * Each block takes its author's color from the participant registry.
  */
 export class ChangeBlock {
     constructor(editorElement, options = {}) {
         this.editor = editorElement;
         this.blocks = new Map(); // Track blocks by block ID
-        this.userColors = options.userColors || {
-            'User A': '#00ff99',
-            'User B': '#bd93f9'
-        };
         this.onBlockClick = options.onBlockClick || (() => { });
         this.onInsertBefore = options.onInsertBefore || (() => { });
         this.onInsertAfter = options.onInsertAfter || (() => { });
         this.onInsertBetween = options.onInsertBetween || (() => { });
+        this.onAccept = options.onAccept || (() => { }); // Applies the block as the teammate made it
+        this.onReject = options.onReject || (() => { }); // Dismisses the block for good
+        this.previewLayout = 'inline'; // 'inline' or 'side-by-side', shared by every block's preview
     }
 
     /**
@@ -22,52 +30,72 @@ export class ChangeBlock {
      * @param {number} startLine - Starting line number (1-indexed)
      * @param {number} endLine - Ending line number (1-indexed)
      * @param {string} userName - Name of the user who made the changes
-     * @param {Array<string>} changes - Array of changed line contents
-     * @param {string} changeType - 'added' or 'edited'
+     * @param {Array<string>} changes - Array of changed line contents (the removed lines for 'deleted')
+     * @param {string} changeType - 'added', 'edited' or 'deleted'
      */
     create(blockId, startLine, endLine, userName, changes, changeType = 'added') {
         // Remove existing block if any
         this.remove(blockId);
 
         const block = document.createElement('div');
-        block.className = `change-block collapsed ${changeType}`;
+        block.className = `change-block collapsed ${changeType} ${getParticipant(userName).className}`;
         block.dataset.blockId = blockId;
         block.dataset.userName = userName;
         block.dataset.startLine = startLine;
         block.dataset.endLine = endLine;
         block.dataset.changeType = changeType;
 
-        const color = this.userColors[userName] || this.userColors['User A'];
-        block.style.borderColor = color;
-        block.style.backgroundColor = `${color}15`;
-
         // Create collapsed indicator
         const indicator = document.createElement('div');
         indicator.className = 'change-block-indicator';
-        indicator.innerHTML = `
-            <span class="block-label">${userName} has ${changes.length} uncommitted ${changes.length === 1 ? 'change' : 'changes'}</span>
-        `;
+        const label = changeType === 'deleted'
+            ? `${userName} deleted ${changes.length} ${changes.length === 1 ? 'line' : 'lines'}`
+            : `${userName} has ${changes.length} uncommitted ${changes.length === 1 ? 'change' : 'changes'}`;
+        const labelText = document.createElement('span');
+        labelText.className = 'block-label';
+        labelText.textContent = label;
+        indicator.appendChild(labelText);
+        block.dataset.label = label;
+        block.setAttribute('role', 'group');
+        this.updateBlockLabel(block, startLine, endLine);
+
+        // The indicator is the block's keyboard stop: Enter or Space opens the preview
+        const previewId = `change-block-preview-${++previewCount}`;
+        indicator.setAttribute('role', 'button');
+        indicator.tabIndex = 0;
+        indicator.setAttribute('aria-expanded', 'false');
+        indicator.setAttribute('aria-controls', previewId);
 
         // Create preview dropdown (hidden by default)
         const preview = document.createElement('div');
         preview.className = 'change-block-preview';
+        preview.id = previewId;
+        preview.setAttribute('role', 'region');
+        preview.setAttribute('aria-label', `Diff of ${userName}'s changes against yours`);
         preview.style.display = 'none';
 
         const previewHeader = document.createElement('div');
         previewHeader.className = 'preview-header';
-        previewHeader.innerHTML = `
-            <span class="preview-user">${userName}'s changes:</span>
-            <button class="preview-close">×</button>
-        `;
+        const previewUser = document.createElement('span');
+        previewUser.className = 'preview-user';
+        previewUser.textContent = `${userName}'s ${changeType === 'deleted' ? 'deleted lines' : 'changes'} against yours:`;
+
+        const layoutBtn = document.createElement('button');
+        layoutBtn.className = 'preview-layout';
+        layoutBtn.title = 'Switch between inline and side-by-side diff';
+
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'preview-close';
+        closeBtn.setAttribute('aria-label', 'Close preview');
+        closeBtn.textContent = '×';
 
+        previewHeader.appendChild(previewUser);
+        previewHeader.appendChild(layoutBtn);
+        previewHeader.appendChild(closeBtn);
+
+        // Filled in when the preview opens, from the editor's lines at that time
         const previewContent = document.createElement('div');
         previewContent.className = 'preview-content';
-        changes.forEach((line, index) => {
-            const lineDiv = document.createElement('div');
-            lineDiv.className = 'preview-line';
-            lineDiv.textContent = line || '(empty line)';
-            previewContent.appendChild(lineDiv);
-        });
 
         preview.appendChild(previewHeader);
         preview.appendChild(previewContent);
@@ -82,7 +110,7 @@ export class ChangeBlock {
         insertBeforeBtn.textContent = 'Insert Before';
         insertBeforeBtn.addEventListener('click', (e) => {
             e.stopPropagation();
-            this.onInsertBefore(blockId, startLine);
+            this.onInsertBefore(blockId, this.blocks.get(blockId).startLine);
         });
 
         const insertAfterBtn = document.createElement('button');
@@ -90,24 +118,49 @@ export class ChangeBlock {
         insertAfterBtn.textContent = 'Insert After';
         insertAfterBtn.addEventListener('click', (e) => {
             e.stopPropagation();
-            this.onInsertAfter(blockId, endLine);
+            this.onInsertAfter(blockId, this.blocks.get(blockId).endLine);
         });
 
         // Only show "Insert Between" if there are multiple changes
-        if (changes.length > 1) {
+        if (changes.length > 1 && changeType !== 'deleted') {
             const insertBetweenBtn = document.createElement('button');
             insertBetweenBtn.className = 'insert-btn insert-between';
             insertBetweenBtn.textContent = 'Insert Between';
             insertBetweenBtn.addEventListener('click', (e) => {
                 e.stopPropagation();
-                const midLine = Math.floor((startLine + endLine) / 2);
-                this.onInsertBetween(blockId, startLine, midLine, endLine);
+                const current = this.blocks.get(blockId);
+                const midLine = Math.floor((current.startLine + current.endLine) / 2);
+                this.onInsertBetween(blockId, current.startLine, midLine, current.endLine);
             });
             insertionOptions.appendChild(insertBetweenBtn);
         }
 
-        insertionOptions.appendChild(insertBeforeBtn);
-        insertionOptions.appendChild(insertAfterBtn);
+        // A deletion has nothing to insert, it can only be applied or rejected
+        if (changeType !== 'deleted') {
+            insertionOptions.appendChild(insertBeforeBtn);
+            insertionOptions.appendChild(insertAfterBtn);
+        }
+
+        const acceptBtn = document.createElement('button');
+        acceptBtn.className = 'insert-btn accept-block';
+        acceptBtn.textContent = 'Accept all';
+        acceptBtn.title = changeType === 'deleted' ? 'Delete these lines here too' : 'Apply these changes where they were made';
+        acceptBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.onAccept(blockId);
+        });
+
+        const rejectBtn = document.createElement('button');
+        rejectBtn.className = 'insert-btn reject-block';
+        rejectBtn.textContent = 'Reject';
+        rejectBtn.title = 'Keep your version; Pull will not bring these changes back';
+        rejectBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.onReject(blockId);
+        });
+
+        insertionOptions.appendChild(acceptBtn);
+        insertionOptions.appendChild(rejectBtn);
 
         block.appendChild(indicator);
         block.appendChild(preview);
@@ -122,19 +175,53 @@ export class ChangeBlock {
             this.togglePreview(blockId);
         });
 
+        indicator.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.togglePreview(blockId);
+            }
+        });
+
+        // Escape closes an open preview; on a closed block it is left to the pane (back to the editor)
+        block.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && block.classList.contains('expanded')) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.togglePreview(blockId);
+                indicator.focus({ preventScroll: true });
+            }
+        });
+
         // Close preview button
-        previewHeader.querySelector('.preview-close').addEventListener('click', (e) => {
+        closeBtn.addEventListener('click', (e) => {
             e.stopPropagation();
             this.togglePreview(blockId);
         });
 
-        // Show insertion options on hover
+        layoutBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.previewLayout = this.previewLayout === 'inline' ? 'side-by-side' : 'inline';
+            this.renderPreview(blockId);
+        });
+
+        // Show insertion options on hover, or while focus is in the block
         block.addEventListener('mouseenter', () => {
             insertionOptions.style.display = 'flex';
         });
 
         block.addEventListener('mouseleave', () => {
-            if (!preview.style.display || preview.style.display === 'none') {
+            if (!block.contains(document.activeElement) && (!preview.style.display || preview.style.display === 'none')) {
+                insertionOptions.style.display = 'none';
+            }
+        });
+
+        block.addEventListener('focusin', () => {
+            insertionOptions.style.display = 'flex';
+        });
+
+        block.addEventListener('focusout', (e) => {
+            if (!block.contains(e.relatedTarget) && !block.matches(':hover') &&
+                (!preview.style.display || preview.style.display === 'none')) {
                 insertionOptions.style.display = 'none';
             }
         });
@@ -178,16 +265,70 @@ export class ChangeBlock {
         const insertionOptions = blockData.element.querySelector('.insertion-options');
 
         if (preview.style.display === 'none' || !preview.style.display) {
+            this.renderPreview(blockId);
             preview.style.display = 'block';
             insertionOptions.style.display = 'flex';
             blockData.element.classList.remove('collapsed');
             blockData.element.classList.add('expanded');
         } else {
             preview.style.display = 'none';
-            insertionOptions.style.display = 'none';
+            // Options stay while focus is in the block, so keyboard users can still reach them
+            if (!blockData.element.contains(document.activeElement)) {
+                insertionOptions.style.display = 'none';
+            }
             blockData.element.classList.remove('expanded');
             blockData.element.classList.add('collapsed');
         }
+        blockData.element.querySelector('.change-block-indicator')
+            .setAttribute('aria-expanded', String(blockData.element.classList.contains('expanded')));
+    }
+
+    /**
+     * Shows the block's lines as a diff against the lines the editor has there
+     */
+    renderPreview(blockId) {
+        const blockData = this.blocks.get(blockId);
+        if (!blockData) return;
+
+        const { element, changes, changeType } = blockData;
+        const ownLines = this.getOwnLines(blockData);
+        const theirLines = changeType === 'deleted' ? [] : changes;
+        const rows = diffRows(ownLines, theirLines);
+        const sideBySide = this.previewLayout === 'side-by-side';
+
+        element.querySelector('.preview-layout').textContent = sideBySide ? 'Inline' : 'Side by side';
+        const content = element.querySelector('.preview-content');
+        content.innerHTML = '';
+        content.classList.toggle('side-by-side', sideBySide);
+
+        rows.forEach(row => {
+            const ownText = row.oldIndex >= 0 ? ownLines[row.oldIndex] : null;
+            const theirText = row.newIndex >= 0 ? theirLines[row.newIndex] : null;
+            const runs = row.type === 'changed' ? highlightRuns(ownText, theirText) : null;
+
+            if (sideBySide) {
+                content.appendChild(createDiffLine(row.type === 'equal' ? 'equal' : 'removed', ownText, runs, 'delete'));
+                content.appendChild(createDiffLine(row.type === 'equal' ? 'equal' : 'added', theirText, runs, 'insert'));
+                return;
+            }
+            if (ownText !== null && row.type !== 'equal') {
+                content.appendChild(createDiffLine('removed', ownText, runs, 'delete'));
+            }
+            if (theirText !== null) {
+                content.appendChild(createDiffLine(row.type === 'equal' ? 'equal' : 'added', theirText, runs, 'insert'));
+            }
+        });
+    }
+
+    // Helper: The editor's lines a block stands for (none for lines the teammate added)
+    getOwnLines(blockData) {
+        const { startLine, endLine, changes, changeType } = blockData;
+        if (changeType === 'added') return [];
+
+        const lines = this.editor.textContent.split('\n');
+        // A deletion block sits on the line after the removed ones, which we still have from there on
+        const end = changeType === 'deleted' ? startLine - 1 + changes.length : endLine;
+        return lines.slice(startLine - 1, end);
     }
 
     /**
@@ -236,17 +377,16 @@ export class ChangeBlock {
      * Updates block position
      */
     updateBlockPosition(block, startLine, endLine) {
-        const editor = this.editor;
-        const fontSize = parseFloat(getComputedStyle(editor).fontSize);
-        const lineHeight = fontSize * 1.5;
-        const padding = 10;
+        const box = getLineRangeBox(this.editor, startLine, endLine);
 
-        const startTop = (startLine - 1) * lineHeight + padding;
-        const endTop = (endLine - 1) * lineHeight + padding;
-        const height = endTop - startTop + lineHeight;
+        // Blocks sit in the window body, which doesn't scroll with the editor
+        block.style.top = `${box.top - this.editor.scrollTop}px`;
+        block.style.height = `${box.height}px`;
+    }
 
-        block.style.top = `${startTop}px`;
-        block.style.height = `${height}px`;
+    // Helper: Names the block for assistive technology, with the lines it covers
+    updateBlockLabel(block, startLine, endLine) {
+        block.setAttribute('aria-label', `${block.dataset.label}, at ${describeLines(startLine, endLine)}`);
     }
 
     /**
@@ -268,40 +408,79 @@ export class ChangeBlock {
 
     /**
      * Adjusts blocks when content changes
+     * Blocks follow their lines through a line diff. A block whose lines were
+     * all removed stays anchored where they used to be, since the teammate's
+     * changes are still pending.
      */
     adjustByContent(oldLines, newLines) {
-        const blocksToUpdate = [];
-
-        this.blocks.forEach((blockData, blockId) => {
-            // Try to find the block's content in new lines
-            const firstChange = blockData.changes[0];
-            const newStartIndex = newLines.findIndex(line => line === firstChange);
-
-            if (newStartIndex !== -1) {
-                const newStartLine = newStartIndex + 1;
-                const newEndLine = newStartLine + blockData.changes.length - 1;
-
-                if (newStartLine !== blockData.startLine || newEndLine !== blockData.endLine) {
-                    blocksToUpdate.push({
-                        blockId,
-                        newStartLine,
-                        newEndLine
-                    });
-                }
+        const mapping = buildLineMapping(oldLines, newLines);
+
+        this.blocks.forEach((blockData) => {
+            const { startLine, endLine } = blockData;
+            let range = remapRange(mapping, startLine, endLine);
+
+            if (!range) {
+                const anchor = nearestMappedLine(mapping, endLine + 1) || 1;
+                range = { start: anchor, end: anchor + (endLine - startLine) };
+            }
+
+            if (range.start !== startLine || range.end !== endLine) {
+                blockData.startLine = range.start;
+                blockData.endLine = range.end;
+                blockData.element.dataset.startLine = range.start;
+                blockData.element.dataset.endLine = range.end;
+                this.updateBlockPosition(blockData.element, range.start, range.end);
+                this.updateBlockLabel(blockData.element, range.start, range.end);
             }
-        });
 
-        // Update block positions
-        blocksToUpdate.forEach(({ blockId, newStartLine, newEndLine }) => {
-            const blockData = this.blocks.get(blockId);
-            if (blockData) {
-                blockData.startLine = newStartLine;
-                blockData.endLine = newEndLine;
-                blockData.element.dataset.startLine = newStartLine;
-                blockData.element.dataset.endLine = newEndLine;
-                this.updateBlockPosition(blockData.element, newStartLine, newEndLine);
+            // An open preview compares against our lines, which just changed
+            if (blockData.element.classList.contains('expanded')) {
+                this.renderPreview(blockData.element.dataset.blockId);
             }
         });
     }
 }
 
+// Helper: Character runs of a changed line, or null when the two lines have too little in common to be worth marking
+function highlightRuns(ownText, theirText) {
+    const runs = diffChars(ownText, theirText);
+    const kept = runs.filter(run => run.type === 'equal').reduce((total, run) => total + run.text.length, 0);
+    return kept * 2 >= Math.max(ownText.length, theirText.length) ? runs : null;
+}
+
+/**
+ * Builds one line of a diff preview
+ * @param {string} kind - 'equal', 'removed' or 'added'
+ * @param {string|null} text - The line, or null for the empty side of a side-by-side row
+ * @param {Array|null} runs - Character runs of a changed line (see diffChars)
+ * @param {string} side - The run type this line shows highlighted: 'delete' or 'insert'
+ */
+function createDiffLine(kind, text, runs, side) {
+    const line = document.createElement('div');
+    line.className = `preview-line ${kind}`;
+    if (text === null) {
+        line.classList.add('empty-side');
+        return line;
+    }
+
+    const sign = document.createElement('span');
+    sign.className = 'diff-sign';
+    sign.textContent = kind === 'removed' ? '-' : kind === 'added' ? '+' : ' ';
+    line.appendChild(sign);
+
+    if (!runs) {
+        line.appendChild(document.createTextNode(text));
+        return line;
+    }
+    runs.filter(run => run.type === 'equal' || run.type === side).forEach(run => {
+        if (run.type === 'equal') {
+            line.appendChild(document.createTextNode(run.text));
+        } else {
+            const mark = document.createElement('span');
+            mark.className = side === 'delete' ? 'char-removed' : 'char-added';
+            mark.textContent = run.text;
+            line.appendChild(mark);
+        }
+    });
+    return line;
+}
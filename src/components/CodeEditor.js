@@ -1,5 +1,29 @@
-import { getCurrentLine, getLineText } from '../utils/lineTracking.js';
+import { getCurrentLine, getLineText, getSelectionOffsets, getSelectionPositions, setSelectionOffsets } from '../utils/lineTracking.js';
 import { debounce } from '../utils/domUtils.js';
+import { highlight } from '../utils/syntaxHighlight.js';
+import { EditHistory } from '../utils/editHistory.js';
+import { diffLines } from '../utils/lineDiff.js';
+import { getLineAtOffset, getLineBox, getLineHeight, invalidateLineGeometry } from '../utils/lineGeometry.js';
+
+// InputEvent.inputType -> history transaction kind
+const INPUT_KINDS = {
+    insertText: 'typing',
+    insertReplacementText: 'typing',
+    insertCompositionText: 'typing',
+    insertFromPaste: 'paste',
+    insertFromDrop: 'paste',
+    insertParagraph: 'enter',
+    insertLineBreak: 'enter'
+};
+
+// Lines kept rendered above and below the visible ones (gutter and decoration layers)
+const VIEWPORT_OVERSCAN = 20;
+
+// Lines assumed visible while the editor has no layout yet (e.g. in a hidden tab)
+const FALLBACK_VISIBLE_LINES = 60;
+
+// Longer files are shown as plain text: highlighting re-renders the whole file on every edit
+const MAX_HIGHLIGHT_LENGTH = 50000;
 
 /**
  * CodeEditor Component
@@ -14,37 +38,78 @@ export class CodeEditor {
         this.onContentChange = options.onContentChange || (() => { });
         this.onLineAdded = options.onLineAdded || (() => { });
         this.onLineEdited = options.onLineEdited || (() => { });
+        this.onLineDeleted = options.onLineDeleted || (() => { }); // Receives {startLine, endLine, lines, beforeLine}
+        this.onUndo = options.onUndo || (() => { }); // Receives the history entry that was undone
+        this.onRedo = options.onRedo || (() => { }); // Receives the history entry that was redone
+        this.canEdit = options.canEdit || (() => true); // (startLine, endLine, kind, {scripted}) => false blocks the edit, or an undo/redo step
+        this.onViewportChange = options.onViewportChange || (() => { }); // Receives {startLine, endLine, scrollTop, scrollLeft}
+        this.onSelectionChange = options.onSelectionChange || (() => { }); // Receives {caret, anchor} (see getSelectionPositions)
+        this.language = options.language || null; // Highlighting language, null for plain text
+        this.softWrap = Boolean(options.softWrap); // Long lines wrap onto several rows
 
         this.activeLine = null;
+        this.selectionKey = null; // Last selection passed to onSelectionChange
+        this.isComposing = false;
+        this.pendingEditKind = null; // Set by edits the editor performs itself (Enter, Tab, paste)
         this.blurTimeout = null;
+        this.gutterRange = null; // {startLine, endLine, lineCount} of the rendered line numbers
+        this.lineSpans = []; // Rendered line number spans, in line order
+        this.topSpacer = null; // Stand-ins for the lines above and below the rendered spans
+        this.bottomSpacer = null;
+        this.viewport = null; // Last range and scroll position reported to onViewportChange
         this.previousContent = this.getContent();
         this.previousLineCount = this.getLineCount();
+        this.history = new EditHistory({ groupDelay: options.historyGroupDelay, now: options.clock });
 
         this.init();
     }
 
     init() {
+        this.editor.classList.toggle('soft-wrap', this.softWrap);
+        this.renderHighlighting();
         this.updateLineNumbers();
+        this.history.reset(this.getHistoryState());
         this.attachEventListeners();
     }
 
     attachEventListeners() {
         // Update line numbers on content change
-        this.editor.addEventListener('input', () => {
+        this.editor.addEventListener('input', (e) => {
             console.log('Editor input event fired');
+            // Line boxes moved; overlays re-measure them (see lineGeometry.js)
+            invalidateLineGeometry(this.editor);
+            // Re-rendering mid-composition would cancel the IME, wait for compositionend
+            if (!this.isComposing) {
+                this.renderHighlighting();
+            }
+            this.recordHistory(this.pendingEditKind || INPUT_KINDS[e.inputType] ||
+                (e.inputType && e.inputType.startsWith('delete') ? 'delete' : 'typing'));
+            this.pendingEditKind = null;
             this.handleContentChange();
             this.updateLineNumbers();
             this.handleLineChange();
+            this.handleSelectionChange();
             this.onContentChange();
         });
 
         // Track cursor position
         this.editor.addEventListener('keyup', () => {
             this.handleLineChange();
+            this.handleSelectionChange();
         });
 
         this.editor.addEventListener('click', () => {
             this.handleLineChange();
+            this.handleSelectionChange();
+        });
+
+        // Dragging a selection
+        this.editor.addEventListener('mousemove', (e) => {
+            if (e.buttons & 1) this.handleSelectionChange();
+        });
+
+        this.editor.addEventListener('mouseup', () => {
+            this.handleSelectionChange();
         });
 
         this.editor.addEventListener('blur', () => {
@@ -54,14 +119,46 @@ export class CodeEditor {
             }
             this.blurTimeout = setTimeout(() => {
                 this.activeLine = null;
+                this.selectionKey = null;
                 this.onBlur();
             }, 2000);
         });
 
+        this.editor.addEventListener('compositionstart', () => {
+            this.isComposing = true;
+        });
+
+        this.editor.addEventListener('compositionend', () => {
+            this.isComposing = false;
+            this.renderHighlighting();
+        });
+
         // Handle special keys
         this.editor.addEventListener('keydown', (e) => {
             this.handleKeyDown(e);
         });
+
+        // Route the browser's own undo/redo (e.g. from the Edit menu) to our history
+        this.editor.addEventListener('beforeinput', (e) => {
+            if (e.inputType === 'historyUndo') {
+                e.preventDefault();
+                this.undo(e);
+            } else if (e.inputType === 'historyRedo') {
+                e.preventDefault();
+                this.redo(e);
+            } else if (!this.isEditAllowed(e.inputType, e)) {
+                e.preventDefault();
+            }
+        });
+
+        // Paste as plain text so highlighting and line tracking see exactly what was inserted
+        this.editor.addEventListener('paste', (e) => {
+            const text = e.clipboardData ? e.clipboardData.getData('text/plain') : '';
+            e.preventDefault();
+            if (text && this.isEditAllowed('insertFromPaste', e)) {
+                this.insertText(text.replace(/\r\n?/g, '\n'), 'paste');
+            }
+        });
     }
 
     handleLineChange() {
@@ -72,81 +169,407 @@ export class CodeEditor {
         }
     }
 
+    handleSelectionChange() {
+        const selection = getSelectionPositions(this.editor);
+        if (!selection) return;
+
+        const { caret, anchor } = selection;
+        const key = `${caret.line}:${caret.column}-${anchor.line}:${anchor.column}`;
+        if (key !== this.selectionKey) {
+            this.selectionKey = key;
+            this.onSelectionChange(selection);
+        }
+    }
+
     handleKeyDown(e) {
-        if (e.key === 'Enter') {
+        const modifier = e.ctrlKey || e.metaKey;
+        if (modifier && !e.altKey && e.key.toLowerCase() === 'z') {
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.redo(e);
+            } else {
+                this.undo(e);
+            }
+        } else if (modifier && !e.altKey && e.key.toLowerCase() === 'y') {
             e.preventDefault();
-            this.handleEnterKey();
+            this.redo(e);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (this.isEditAllowed('insertParagraph', e)) {
+                this.handleEnterKey();
+            }
         } else if (e.key === 'Tab') {
             e.preventDefault();
-            this.handleTabKey();
+            if (this.isEditAllowed('insertText', e)) {
+                this.handleTabKey();
+            }
         }
     }
 
-    handleEnterKey() {
-        const selection = window.getSelection();
-        if (selection.rangeCount === 0) return;
+    /**
+     * Asks canEdit whether the lines an edit would touch may change
+     * @param {string} inputType - InputEvent.inputType of the edit
+     * @param {Event} event - The event behind the edit; untrusted events are scripted input (e.g. the scenario player)
+     * @returns {boolean} - False if the edit must be blocked
+     */
+    isEditAllowed(inputType, event = null) {
+        const offsets = getSelectionOffsets(this.editor);
+        if (!offsets) return true;
+
+        const text = this.getContent();
+        const lineAt = (offset) => text.slice(0, offset).split('\n').length;
+        let startLine = lineAt(offsets.start);
+        let endLine = lineAt(offsets.end);
+
+        // Deleting at a line boundary joins it with its neighbour
+        if (offsets.start === offsets.end) {
+            if (inputType === 'deleteContentBackward' && offsets.start > 0 && text[offsets.start - 1] === '\n') {
+                startLine--;
+            } else if (inputType === 'deleteContentForward' && text[offsets.end] === '\n') {
+                endLine++;
+            }
+        }
 
-        const range = selection.getRangeAt(0);
+        const scripted = Boolean(event && !event.isTrusted);
+        return this.canEdit(startLine, endLine, INPUT_KINDS[inputType] || 'delete', { scripted }) !== false;
+    }
+
+    handleEnterKey() {
         const currentLine = getCurrentLine(this.editor);
         const lineText = getLineText(this.editor, currentLine);
         const indentMatch = lineText.match(/^(\s*)/);
         const indent = indentMatch ? indentMatch[1] : '';
 
+        // Insert newline with indentation
+        this.insertText('\n' + indent, 'enter');
+    }
+
+    handleTabKey() {
+        this.insertText('    ', 'tab'); // 4 spaces
+    }
+
+    /**
+     * Replaces the selection with text as one undoable transaction
+     * @param {string} text - The text to insert
+     * @param {string} kind - History transaction kind ('enter', 'tab', 'paste', ...)
+     */
+    insertText(text, kind = 'typing') {
+        const selection = window.getSelection();
+        if (selection.rangeCount === 0) return;
+
+        const range = selection.getRangeAt(0);
+
         // Delete any selected content first
         range.deleteContents();
 
-        // Insert newline with indentation
-        const newline = document.createTextNode('\n' + indent);
-        range.insertNode(newline);
+        const textNode = document.createTextNode(text);
+        range.insertNode(textNode);
 
-        // Move cursor after the newline text node (onto the new line)
-        range.setStartAfter(newline);
-        range.setEndAfter(newline);
+        // Move cursor after the inserted text
+        range.setStartAfter(textNode);
+        range.setEndAfter(textNode);
         range.collapse(false);
         selection.removeAllRanges();
         selection.addRange(range);
 
-        // Update line numbers immediately
-        this.updateLineNumbers();
-
         // Trigger input event to ensure all handlers fire
+        this.pendingEditKind = kind;
         const inputEvent = new Event('input', { bubbles: true });
         this.editor.dispatchEvent(inputEvent);
     }
 
-    handleTabKey() {
-        const selection = window.getSelection();
-        if (selection.rangeCount === 0) return;
+    getHistoryState() {
+        const selection = getSelectionOffsets(this.editor);
+        return {
+            content: this.getContent(),
+            selection,
+            line: selection ? this.getContent().slice(0, selection.start).split('\n').length : null
+        };
+    }
 
-        const range = selection.getRangeAt(0);
-        const tab = document.createTextNode('    '); // 4 spaces
-        range.insertNode(tab);
-        range.setStartAfter(tab);
-        range.collapse(true);
-        selection.removeAllRanges();
-        selection.addRange(range);
+    recordHistory(kind, meta = null) {
+        this.history.record(this.getHistoryState(), kind, meta);
+    }
+
+    /**
+     * Asks canEdit whether restoring a history state may change the lines it differs in
+     * @param {Object} state - The history state to restore
+     * @param {string} kind - 'undo' or 'redo'
+     * @param {Event} event - The event behind the step, as for isEditAllowed
+     * @returns {boolean} - False if the step must be blocked
+     */
+    isHistoryStepAllowed(state, kind, event = null) {
+        const scripted = Boolean(event && !event.isTrusted);
+        return diffLines(this.getContent().split('\n'), state.content.split('\n')).every(hunk => {
+            // An insertion touches the line it goes in after, like Enter at its end
+            const startLine = hunk.oldEnd > hunk.oldStart ? hunk.oldStart + 1 : Math.max(hunk.oldStart, 1);
+            const endLine = Math.max(hunk.oldEnd, startLine);
+            return this.canEdit(startLine, endLine, kind, { scripted }) !== false;
+        });
+    }
+
+    /**
+     * Undoes the last transaction, unless it would change lines canEdit blocks
+     * @param {Event} event - The event behind the undo, if any
+     * @returns {boolean} - Whether anything was undone
+     */
+    undo(event = null) {
+        const step = this.history.undo();
+        if (!step) return false;
+        if (!this.isHistoryStepAllowed(step.state, 'undo', event)) {
+            this.history.redo(); // Stays undoable once the lines are free
+            return false;
+        }
+
+        // Called first so the entry's line numbers still match the content
+        this.onUndo(step.entry);
+        this.applyHistoryState(step.state);
+        return true;
+    }
+
+    /**
+     * Redoes the last undone transaction, unless it would change lines canEdit blocks
+     * @param {Event} event - The event behind the redo, if any
+     * @returns {boolean} - Whether anything was redone
+     */
+    redo(event = null) {
+        const step = this.history.redo();
+        if (!step) return false;
+        if (!this.isHistoryStepAllowed(step.state, 'redo', event)) {
+            this.history.undo(); // Stays redoable once the lines are free
+            return false;
+        }
+
+        this.applyHistoryState(step.state);
+        this.onRedo(step.entry);
+        return true;
+    }
+
+    /**
+     * Restores a history state without reporting it as new line activity
+     */
+    applyHistoryState(state) {
+        const hadFocus = document.activeElement === this.editor;
+
+        this.editor.textContent = state.content;
+        invalidateLineGeometry(this.editor);
+        this.renderHighlighting();
+        if (hadFocus && state.selection) {
+            setSelectionOffsets(this.editor, state.selection.start, state.selection.end);
+        }
+        this.updateLineNumbers();
+
+        this.previousContent = state.content;
+        this.previousLineCount = this.getLineCount();
+        this.onContentChange();
+    }
+
+    /**
+     * Re-renders the editor's text as highlighted tokens
+     * The text itself is unchanged, so getContent(), getCurrentLine() and
+     * line tracking see the same content; the caret is restored by offset.
+     * Past MAX_HIGHLIGHT_LENGTH the tokens are dropped once and the text
+     * stays plain until it is short enough again.
+     */
+    renderHighlighting() {
+        if (!this.language) return;
+
+        const text = this.getContent();
+        const plain = text.length > MAX_HIGHLIGHT_LENGTH;
+        if (plain && !this.editor.querySelector('span')) return;
+
+        const selection = getSelectionOffsets(this.editor);
+
+        if (plain) {
+            this.editor.textContent = text;
+        } else {
+            this.editor.innerHTML = highlight(text, this.language);
+        }
+        // A trailing newline only gets its own line box if something follows it;
+        // <br> adds nothing to textContent
+        if (text.endsWith('\n')) {
+            this.editor.appendChild(document.createElement('br'));
+        }
+        invalidateLineGeometry(this.editor);
+
+        if (selection) {
+            setSelectionOffsets(this.editor, selection.start, selection.end);
+        }
     }
 
+    /**
+     * Brings the line-number gutter up to date
+     * Only the lines near the viewport get a number span, with spacers
+     * standing in for the rest so the gutter still scrolls with the editor.
+     * Spans that stay in range are kept: typing within a line touches
+     * nothing and Enter only adds the spans that came into range.
+     */
     updateLineNumbers() {
-        const text = this.editor.textContent || this.editor.innerText;
-        // Split by newline - this includes empty lines
-        const lines = text.split('\n');
-        const lineCount = Math.max(lines.length, 1);
+        const lineCount = this.getLineCount();
+        this.renderLineNumbers(this.getViewportRange(lineCount), lineCount);
+        this.syncScrolling();
+    }
+
+    /**
+     * Lines in view, widened by the overscan margin
+     * @returns {Object} - {startLine, endLine}
+     */
+    getViewportRange(lineCount = this.getLineCount()) {
+        const { scrollTop, clientHeight } = this.editor;
+        let firstVisible;
+        let lastVisible;
+        if (this.softWrap && clientHeight > 0) {
+            // Wrapped lines have no fixed height, find the lines at the viewport edges
+            firstVisible = getLineAtOffset(this.editor, scrollTop, lineCount);
+            lastVisible = getLineAtOffset(this.editor, scrollTop + clientHeight, lineCount);
+        } else {
+            const lineHeight = this.getLineHeight();
+            const visibleLines = clientHeight > 0 ?
+                Math.ceil(clientHeight / lineHeight) : FALLBACK_VISIBLE_LINES;
+            const padding = parseFloat(getComputedStyle(this.editor).paddingTop) || 0;
+            firstVisible = Math.floor(Math.max(scrollTop - padding, 0) / lineHeight) + 1;
+            lastVisible = firstVisible + visibleLines;
+        }
+
+        const endLine = Math.min(lastVisible + VIEWPORT_OVERSCAN, lineCount);
+        const startLine = Math.min(Math.max(firstVisible - VIEWPORT_OVERSCAN, 1), endLine);
+        return { startLine, endLine };
+    }
+
+    getLineHeight() {
+        return getLineHeight(this.editor);
+    }
+
+    renderLineNumbers({ startLine, endLine }, lineCount) {
+        const rendered = this.gutterRange;
+        if (rendered && rendered.startLine === startLine && rendered.endLine === endLine &&
+            rendered.lineCount === lineCount) {
+            // Wrapped line heights change with edits and resizes that keep the range
+            if (this.softWrap) this.sizeGutter(startLine, endLine, lineCount);
+            this.reportViewport(startLine, endLine);
+            return;
+        }
+
+        if (!this.topSpacer) {
+            // Replace the static spans the page was built with
+            Array.from(this.lineNumbers.children)
+                .filter(child => child.tagName === 'SPAN')
+                .forEach(span => span.remove());
+            this.topSpacer = document.createElement('div');
+            this.bottomSpacer = document.createElement('div');
+            this.topSpacer.className = 'line-numbers-spacer';
+            this.bottomSpacer.className = 'line-numbers-spacer';
+            this.lineNumbers.prepend(this.topSpacer, this.bottomSpacer);
+        }
+
+        const overlaps = rendered && startLine <= rendered.endLine && endLine >= rendered.startLine;
+        if (!overlaps) {
+            this.lineSpans.forEach(span => span.remove());
+            this.lineSpans = this.createLineSpans(startLine, endLine);
+            this.bottomSpacer.before(...this.lineSpans);
+        } else {
+            // Drop the spans that left the range, add the ones that came in
+            const keptStart = Math.max(startLine, rendered.startLine);
+            const keptEnd = Math.min(endLine, rendered.endLine);
+            this.lineSpans.splice(0, keptStart - rendered.startLine).forEach(span => span.remove());
+            this.lineSpans.splice(keptEnd - keptStart + 1).forEach(span => span.remove());
+
+            const above = this.createLineSpans(startLine, keptStart - 1);
+            const below = this.createLineSpans(keptEnd + 1, endLine);
+            this.topSpacer.after(...above);
+            this.bottomSpacer.before(...below);
+            this.lineSpans = [...above, ...this.lineSpans, ...below];
+        }
 
-        // Update line numbers - ensure all lines are numbered including empty ones
-        this.lineNumbers.innerHTML = '';
-        for (let i = 1; i <= lineCount; i++) {
+        this.sizeGutter(startLine, endLine, lineCount);
+        this.gutterRange = { startLine, endLine, lineCount };
+        this.reportViewport(startLine, endLine);
+    }
+
+    // Helper: Spacer heights, and in soft-wrap mode each span's height, from the line boxes
+    sizeGutter(startLine, endLine, lineCount) {
+        if (!this.softWrap) {
+            const lineHeight = this.getLineHeight();
+            this.topSpacer.style.height = `${(startLine - 1) * lineHeight}px`;
+            this.bottomSpacer.style.height = `${(lineCount - endLine) * lineHeight}px`;
+            return;
+        }
+
+        const first = getLineBox(this.editor, 1);
+        const last = getLineBox(this.editor, lineCount);
+        const start = getLineBox(this.editor, startLine);
+        const end = getLineBox(this.editor, endLine);
+        this.topSpacer.style.height = `${Math.max(start.top - first.top, 0)}px`;
+        this.bottomSpacer.style.height = `${Math.max(last.top + last.height - end.top - end.height, 0)}px`;
+        this.lineSpans.forEach((span, index) => {
+            span.style.height = `${getLineBox(this.editor, startLine + index).height}px`;
+        });
+    }
+
+    /**
+     * Turns soft wrap on or off
+     * Every line box moves, so callers re-position their overlays afterwards.
+     */
+    setSoftWrap(enabled) {
+        this.softWrap = Boolean(enabled);
+        this.editor.classList.toggle('soft-wrap', this.softWrap);
+        if (!this.softWrap) {
+            this.lineSpans.forEach(span => span.style.removeProperty('height'));
+        }
+        invalidateLineGeometry(this.editor);
+        this.gutterRange = null;
+        this.updateLineNumbers();
+    }
+
+    /**
+     * Scrolls a line into view
+     * The gutter and decoration layers are brought up to date right away
+     * rather than on the scroll event, so overlays on the line exist afterwards.
+     */
+    revealLine(lineNumber) {
+        const box = getLineBox(this.editor, lineNumber);
+        const { scrollTop, clientHeight } = this.editor;
+        if (box.top < scrollTop || box.top + box.height > scrollTop + clientHeight) {
+            this.editor.scrollTop = Math.max(box.top - clientHeight / 3, 0);
+        }
+        this.updateLineNumbers();
+    }
+
+    /**
+     * Focuses the editor with the caret at the start of a line
+     */
+    focusLine(lineNumber) {
+        const lines = this.getContent().split('\n');
+        const line = Math.min(Math.max(lineNumber, 1), lines.length);
+        const offset = lines.slice(0, line - 1).reduce((total, text) => total + text.length + 1, 0);
+
+        this.revealLine(line);
+        this.editor.focus({ preventScroll: true });
+        setSelectionOffsets(this.editor, offset);
+        this.handleLineChange();
+        this.handleSelectionChange();
+    }
+
+    // Helper: Number spans for a run of lines (empty if end < start)
+    createLineSpans(startLine, endLine) {
+        const spans = [];
+        for (let line = startLine; line <= endLine; line++) {
             const span = document.createElement('span');
-            span.textContent = i;
-            span.style.display = 'block';
-            span.style.minHeight = '1.5em';
-            span.style.height = '1.5em';
-            // Ensure empty lines still have a span (even if empty, they should be numbered)
-            this.lineNumbers.appendChild(span);
+            span.textContent = line;
+            spans.push(span);
         }
+        return spans;
+    }
 
-        // Sync scrolling between editor and line numbers
-        this.syncScrolling();
+    // Helper: Tells the decoration layers what is in view when it changed
+    reportViewport(startLine, endLine) {
+        const { scrollTop, scrollLeft } = this.editor;
+        const previous = this.viewport;
+        if (previous && previous.startLine === startLine && previous.endLine === endLine &&
+            previous.scrollTop === scrollTop && previous.scrollLeft === scrollLeft) return;
+
+        this.viewport = { startLine, endLine, scrollTop, scrollLeft };
+        this.onViewportChange(this.viewport);
     }
 
     syncScrolling() {
@@ -161,6 +584,9 @@ export class CodeEditor {
         if (!this.editorScrollListener) {
             this.editorScrollListener = () => {
                 this.lineNumbers.scrollTop = this.editor.scrollTop;
+                // The line count is unchanged while scrolling
+                const lineCount = this.gutterRange ? this.gutterRange.lineCount : this.getLineCount();
+                this.renderLineNumbers(this.getViewportRange(lineCount), lineCount);
             };
             this.editor.addEventListener('scroll', this.editorScrollListener);
         }
@@ -170,19 +596,32 @@ export class CodeEditor {
     }
 
     getContent() {
-        return this.editor.textContent || this.editor.innerText;
+        return this.editor.textContent;
     }
 
-    setContent(content) {
+    /**
+     * Replaces the editor content
+     * The replacement is recorded as one undoable transaction unless
+     * options.resetHistory is set.
+     * @param {string} content - The new content
+     * @param {Object} options - {resetHistory, historyKind, historyMeta}
+     */
+    setContent(content, options = {}) {
         // Preserve whitespace by using textContent
         this.editor.textContent = content;
-        // Force reflow to ensure proper rendering
-        this.editor.style.whiteSpace = 'pre';
+        invalidateLineGeometry(this.editor);
+        this.renderHighlighting();
         this.updateLineNumbers();
 
         // Reset baseline tracking to prevent false "added" detections
         this.previousContent = content;
         this.previousLineCount = this.getLineCount();
+
+        if (options.resetHistory) {
+            this.history.reset(this.getHistoryState());
+        } else {
+            this.recordHistory(options.historyKind || 'set', options.historyMeta || null);
+        }
     }
 
     getActiveLine() {
@@ -190,7 +629,7 @@ export class CodeEditor {
     }
 
     getLineCount() {
-        const text = this.editor.textContent || this.editor.innerText;
+        const text = this.editor.textContent;
         // Count all lines including empty ones
         const lines = text.split('\n');
         return Math.max(lines.length, 1);
@@ -216,12 +655,14 @@ export class CodeEditor {
             // Check if current line is new (beyond previous line count)
             if (currentLine > previousLineCount) {
                 console.log('Line added detected:', currentLine, 'Previous count:', previousLineCount);
+                this.history.annotate({ line: currentLine, changeType: 'added' });
                 this.onLineAdded(currentLine);
             } else {
                 // Line count increased but we're on an existing line - might be edit
                 if (currentLine <= previousLines.length &&
                     previousLines[currentLine - 1] !== currentLines[currentLine - 1]) {
                     console.log('Line edited detected:', currentLine);
+                    this.history.annotate({ line: currentLine, changeType: 'edited' });
                     this.onLineEdited(currentLine);
                 }
             }
@@ -229,14 +670,49 @@ export class CodeEditor {
             // Existing line was edited (content changed but line count same)
             if (previousLines[currentLine - 1] !== currentLines[currentLine - 1]) {
                 console.log('Line edited detected:', currentLine);
+                this.history.annotate({ line: currentLine, changeType: 'edited' });
                 this.onLineEdited(currentLine);
             }
+        } else if (currentLineCount < previousLineCount) {
+            this.detectDeletions(previousLines, currentLines, currentLine);
         }
 
         this.previousContent = currentContent;
         this.previousLineCount = currentLineCount;
     }
 
+    /**
+     * Reports the original lines removed by an edit
+     * Each removal is reported as the 1-indexed range it had in the previous
+     * content, the removed text, and the line it now sits above (one past
+     * the last line when it was at the end). A line that absorbed text on
+     * its way (e.g. Backspace at the start of a line) is reported as edited.
+     */
+    detectDeletions(previousLines, currentLines, currentLine) {
+        diffLines(previousLines, currentLines).forEach(hunk => {
+            const oldLength = hunk.oldEnd - hunk.oldStart;
+            const newLength = hunk.newEnd - hunk.newStart;
+
+            if (currentLine > hunk.newStart && currentLine <= hunk.newEnd) {
+                this.history.annotate({ line: currentLine, changeType: 'edited' });
+                this.onLineEdited(currentLine);
+            }
+
+            if (oldLength <= newLength) return;
+
+            // The first lines of the hunk were kept (possibly edited), the rest are gone
+            const deletion = {
+                startLine: hunk.oldStart + newLength + 1,
+                endLine: hunk.oldEnd,
+                lines: previousLines.slice(hunk.oldStart + newLength, hunk.oldEnd),
+                beforeLine: hunk.newEnd + 1
+            };
+
+            this.history.annotate({ line: deletion.beforeLine, changeType: 'deleted', deletion });
+            this.onLineDeleted(deletion);
+        });
+    }
+
     getChanges() {
         // Return a snapshot of current content for git operations
         return {
@@ -0,0 +1,126 @@
+import { getLineRangeBox } from '../utils/lineGeometry.js';
+
+/**
+ * ConflictWarning Component
+ * Shows where you and a teammate hold the same lines: a striped band over
+ * the contested lines and a banner saying who holds them and since when.
+ * The banner can be dismissed; it comes back when the conflicts change.
+ */
+export class ConflictWarning {
+    constructor(editorElement, markerLayer, container, options = {}) {
+        this.editor = editorElement;
+        this.markerLayer = markerLayer;
+        this.container = container; // Element the banner is placed in (the file's window body)
+        this.userName = options.userName || null; // Local participant, shown as "You"
+        this.bands = [];
+        this.banner = null;
+        this.conflicts = [];
+        this.dismissedKey = null;
+    }
+
+    /**
+     * Replaces the shown conflicts
+     * @param {Array<Object>} conflicts - {startLine, endLine, teammate, holder, since} per contested range
+     */
+    show(conflicts) {
+        this.conflicts = conflicts;
+        this.renderBands();
+        this.renderBanner();
+    }
+
+    renderBands() {
+        this.bands.forEach(band => band.remove());
+        this.bands = this.conflicts.map(conflict => {
+            const band = document.createElement('div');
+            band.className = 'conflict-band';
+            band.dataset.line = conflict.startLine;
+            band.dataset.endLine = conflict.endLine;
+            band.title = this.describe(conflict);
+            band.setAttribute('role', 'note');
+            band.setAttribute('aria-label', band.title);
+            this.markerLayer.appendChild(band);
+            return band;
+        });
+        this.updatePositions();
+    }
+
+    renderBanner() {
+        const key = this.keyFor(this.conflicts);
+        if (this.conflicts.length === 0 || key === this.dismissedKey) {
+            this.removeBanner();
+            return;
+        }
+        // Dismissing only lasts until the conflicts change
+        this.dismissedKey = null;
+
+        if (!this.banner) {
+            this.banner = document.createElement('div');
+            this.banner.className = 'conflict-banner';
+            this.banner.setAttribute('role', 'alert');
+            this.container.appendChild(this.banner);
+        }
+
+        this.banner.innerHTML = `
+            <span class="conflict-banner-icon">⚠</span>
+            <div class="conflict-banner-text"></div>
+            <button class="conflict-banner-dismiss" title="Dismiss" aria-label="Dismiss conflict warning">×</button>
+        `;
+        const text = this.banner.querySelector('.conflict-banner-text');
+        this.conflicts.forEach(conflict => {
+            const row = document.createElement('div');
+            row.textContent = this.describe(conflict);
+            text.appendChild(row);
+        });
+        this.banner.querySelector('.conflict-banner-dismiss').addEventListener('click', () => this.dismiss());
+    }
+
+    /**
+     * Hides the banner until the conflicts change; the bands stay
+     */
+    dismiss() {
+        this.dismissedKey = this.keyFor(this.conflicts);
+        this.removeBanner();
+    }
+
+    removeBanner() {
+        if (this.banner) {
+            this.banner.remove();
+            this.banner = null;
+        }
+    }
+
+    /**
+     * Describes a conflict, e.g. "User B holds lines 4-6 since 14:02:11; you are editing them too"
+     */
+    describe(conflict) {
+        const { startLine, endLine, teammate, holder, since } = conflict;
+        const lines = endLine > startLine ? `lines ${startLine}-${endLine}` : `line ${startLine}`;
+        const time = new Date(since).toLocaleTimeString();
+
+        if (holder === this.userName) {
+            return `You hold ${lines} since ${time}; ${teammate} is editing ${endLine > startLine ? 'them' : 'it'} too`;
+        }
+        return `${holder} holds ${lines} since ${time}; you are editing ${endLine > startLine ? 'them' : 'it'} too`;
+    }
+
+    updatePositions() {
+        this.bands.forEach(band => {
+            const box = getLineRangeBox(this.editor, parseInt(band.dataset.line), parseInt(band.dataset.endLine));
+            band.style.top = `${box.top}px`;
+            band.style.height = `${box.height}px`;
+        });
+    }
+
+    clear() {
+        this.conflicts = [];
+        this.bands.forEach(band => band.remove());
+        this.bands = [];
+        this.removeBanner();
+        this.dismissedKey = null;
+    }
+
+    // Helper: Identifies a set of conflicts so a dismissed banner stays hidden until it changes
+    keyFor(conflicts) {
+        return conflicts.map(({ startLine, endLine, teammate, holder }) => `${teammate}:${holder}:${startLine}-${endLine}`).join('|');
+    }
+}
@@ -1,39 +1,63 @@
+import { calculateMarkerPosition, buildLineMapping, remapRange, nearestMappedLine } from '../utils/lineTracking.js';
+import { getParticipant } from '../utils/participantRegistry.js';
+
 /**
  * GutterIcons Component
  * Manages colored dots/avatars in the left margin showing who owns what block of code
+ * Colors and avatars come from the participant registry.
+ * Icons outside the viewport (see setViewport) are kept but taken out of the DOM.
  */
 export class GutterIcons {
     constructor(gutterElement, options = {}) {
         this.gutter = gutterElement;
+        // Editor whose lines are numbered, positions are measured there
+        this.editor = options.editor || gutterElement.parentElement?.querySelector('.code-editor') || null;
         this.icons = new Map(); // Track icons by line number
-        this.userColors = options.userColors || {
-            'User A': '#00ff99',
-            'User B': '#bd93f9'
-        };
-        this.userAvatars = options.userAvatars || {
-            'User A': 'A',
-            'User B': 'B'
-        };
+        this.conflictIcons = new Map(); // Line -> conflict icon, drawn beside the owner icons
         this.onIconClick = options.onIconClick || (() => { });
         this.onIconHover = options.onIconHover || (() => { });
+        this.viewport = null; // {startLine, endLine} near the viewport, null shows every icon
+    }
+
+    /**
+     * Keeps only the icons of lines near the viewport in the DOM
+     */
+    setViewport(startLine, endLine) {
+        const viewport = this.viewport;
+        if (viewport && viewport.startLine === startLine && viewport.endLine === endLine) return;
+
+        this.viewport = { startLine, endLine };
+        this.updatePositions();
     }
 
     /**
      * Shows an icon at the specified line or range
      * @param {number} lineNumber - The line number (1-indexed) or start line for range
      * @param {string} userName - The name of the user
-     * @param {string} changeType - Type of change: 'added' or 'edited'
-     * @param {Object} metadata - Additional metadata (lock duration, etc.)
+     * @param {string} changeType - Type of change: 'added', 'edited' or 'deleted'
+     * @param {Object} metadata - Additional metadata (lock duration, deletedCount, etc.)
      * @param {number} endLine - Optional end line number for range markers
      */
     show(lineNumber, userName, changeType = 'edited', metadata = {}, endLine = null) {
         if (lineNumber === null || lineNumber < 1) return;
 
+        // Deletion icons sit between lines, so they get their own key and never replace line icons
+        if (changeType === 'deleted') {
+            endLine = null;
+        }
+
         // For range, show icon on first line and connect line on last line
-        const iconKey = endLine ? `${lineNumber}-${endLine}` : lineNumber;
+        const iconKey = changeType === 'deleted' ? deletionKey(lineNumber) :
+            endLine ? `${lineNumber}-${endLine}` : lineNumber;
 
         // Remove existing icon at this line/range if any
-        if (endLine) {
+        if (changeType === 'deleted') {
+            const existing = this.icons.get(iconKey);
+            if (existing) {
+                existing.remove();
+                this.icons.delete(iconKey);
+            }
+        } else if (endLine) {
             // Remove any icons in the range
             for (let i = lineNumber; i <= endLine; i++) {
                 this.hide(i);
@@ -53,43 +77,47 @@ export class GutterIcons {
         }
         icon.dataset.userName = userName;
         icon.dataset.changeType = changeType;
+        if (metadata.timestamp) {
+            icon.dataset.timestamp = metadata.timestamp;
+        }
+        if (metadata.deletedCount) {
+            icon.dataset.deletedCount = metadata.deletedCount;
+        }
 
-        const color = this.userColors[userName] || this.userColors['User A'];
-        const avatar = this.userAvatars[userName] || userName.charAt(0).toUpperCase();
-
-        icon.style.backgroundColor = color;
-        icon.textContent = avatar;
+        const { className, avatar } = getParticipant(userName);
+        icon.classList.add(className);
+        icon.textContent = changeType === 'deleted' ? '−' : avatar;
 
         // Update metadata with range info
         const rangeMetadata = { ...metadata };
         if (endLine && endLine > lineNumber) {
             rangeMetadata.range = { start: lineNumber, end: endLine };
         }
-        icon.title = this.buildTooltip(userName, changeType, rangeMetadata);
+        setTooltip(icon, this.buildTooltip(userName, changeType, rangeMetadata));
+
+        // Icons are keyboard stops; Enter or Space acts like a click
+        icon.setAttribute('role', 'button');
+        icon.tabIndex = 0;
 
         // Position the icon - ensure it's absolutely positioned relative to gutter
         icon.style.position = 'absolute';
         icon.style.left = '5px';
 
-        const lineElement = this.gutter.querySelector(`span:nth-child(${lineNumber})`);
-        if (lineElement) {
-            icon.style.top = `${lineElement.offsetTop}px`;
-        } else {
-            // Fallback: calculate position
-            const fontSize = parseFloat(getComputedStyle(this.gutter).fontSize) || 14.4;
-            const lineHeight = fontSize * 1.5;
-            const padding = 10;
-            icon.style.top = `${(lineNumber - 1) * lineHeight + padding}px`;
-        }
-
-        // Add hover event
+        // Add hover event (read the line at event time, icons move with content)
         icon.addEventListener('mouseenter', (e) => {
-            this.onIconHover(lineNumber, userName, changeType, rangeMetadata, e);
+            this.onIconHover(parseInt(icon.dataset.line), userName, changeType, rangeMetadata, e);
         });
 
         // Add click event
         icon.addEventListener('click', (e) => {
-            this.onIconClick(lineNumber, userName, changeType, rangeMetadata, e);
+            this.onIconClick(parseInt(icon.dataset.line), userName, changeType, rangeMetadata, e);
+        });
+
+        icon.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.onIconClick(parseInt(icon.dataset.line), userName, changeType, rangeMetadata, e);
+            }
         });
 
         // Ensure gutter has position relative for absolute positioning
@@ -97,43 +125,69 @@ export class GutterIcons {
             this.gutter.style.position = 'relative';
         }
 
-        this.gutter.appendChild(icon);
         this.icons.set(iconKey, icon);
-
-        // Force a reflow to ensure positioning
-        icon.offsetHeight;
+        this.positionIcon(icon);
 
         // For range markers, add a connecting line indicator on the end line
         if (endLine && endLine > lineNumber) {
             const endIcon = document.createElement('div');
-            endIcon.className = `gutter-icon ${changeType} range-end`;
+            endIcon.className = `gutter-icon ${changeType} range-end ${className}`;
             endIcon.dataset.line = endLine;
             endIcon.dataset.userName = userName;
             endIcon.dataset.changeType = changeType;
-            endIcon.style.backgroundColor = color;
             endIcon.style.opacity = '0.6';
             endIcon.textContent = '└';
             endIcon.title = this.buildTooltip(userName, changeType, rangeMetadata);
+            // The start icon already describes the range
+            endIcon.setAttribute('aria-hidden', 'true');
 
             endIcon.style.position = 'absolute';
             endIcon.style.left = '5px';
 
-            const endLineElement = this.gutter.querySelector(`span:nth-child(${endLine})`);
-            if (endLineElement) {
-                endIcon.style.top = `${endLineElement.offsetTop}px`;
-            } else {
-                const fontSize = parseFloat(getComputedStyle(this.gutter).fontSize) || 14.4;
-                const lineHeight = fontSize * 1.5;
-                const padding = 10;
-                endIcon.style.top = `${(endLine - 1) * lineHeight + padding}px`;
-            }
-
-            this.gutter.appendChild(endIcon);
             this.icons.set(`${iconKey}-end`, endIcon);
+            this.positionIcon(endIcon);
+        }
+    }
 
-            // Force a reflow
-            endIcon.offsetHeight;
+    /**
+     * Shows a conflict icon where a teammate holds the same lines as us
+     * @param {number} lineNumber - First contested line
+     * @param {string} teammate - The teammate involved
+     * @param {Object} metadata - {endLine, description}
+     */
+    showConflict(lineNumber, teammate, metadata = {}) {
+        const existing = this.conflictIcons.get(lineNumber);
+        if (existing) {
+            existing.remove();
         }
+
+        const icon = document.createElement('div');
+        icon.className = 'gutter-icon conflict';
+        icon.dataset.line = lineNumber;
+        icon.dataset.userName = teammate;
+        if (metadata.endLine) {
+            icon.dataset.endLine = metadata.endLine;
+        }
+        icon.textContent = '!';
+        setTooltip(icon, metadata.description || `Conflict with ${teammate}`);
+        icon.setAttribute('role', 'img');
+        icon.tabIndex = 0;
+        icon.style.position = 'absolute';
+
+        if (getComputedStyle(this.gutter).position === 'static') {
+            this.gutter.style.position = 'relative';
+        }
+
+        this.conflictIcons.set(lineNumber, icon);
+        this.positionIcon(icon);
+    }
+
+    /**
+     * Removes every conflict icon
+     */
+    clearConflicts() {
+        this.conflictIcons.forEach(icon => icon.remove());
+        this.conflictIcons.clear();
     }
 
     /**
@@ -149,7 +203,7 @@ export class GutterIcons {
 
         // Also check for range markers that include this line
         this.icons.forEach((iconElement, key) => {
-            if (typeof key === 'string' && key.includes('-')) {
+            if (typeof key === 'string' && key.includes('-') && !key.endsWith('-deleted')) {
                 const [start, end] = key.split('-').map(Number);
                 if (lineNumber >= start && lineNumber <= end) {
                     iconElement.remove();
@@ -167,28 +221,113 @@ export class GutterIcons {
     }
 
     /**
-     * Updates all icon positions (useful when content changes)
+     * Removes icons from a line range
+     * Range icons that only partly overlap keep the lines outside the range.
      */
-    updatePositions() {
-        this.icons.forEach((icon, lineNumber) => {
-            const lineElement = this.gutter.querySelector(`span:nth-child(${lineNumber})`);
-            if (lineElement) {
-                icon.style.top = `${lineElement.offsetTop}px`;
-            } else {
-                const fontSize = parseFloat(getComputedStyle(this.gutter).fontSize);
-                const lineHeight = fontSize * 1.5;
-                const padding = 10;
-                icon.style.top = `${(lineNumber - 1) * lineHeight + padding}px`;
+    retract(startLine, endLine = startLine) {
+        const entries = Array.from(this.icons.entries());
+
+        entries.forEach(([key, icon]) => {
+            if (typeof key === 'string' && key.endsWith('-end')) return; // Handled with their start icon
+
+            const start = parseInt(icon.dataset.line);
+            const end = icon.dataset.endLine ? parseInt(icon.dataset.endLine) : start;
+            if (end < startLine || start > endLine) return;
+
+            const { userName, changeType } = icon.dataset;
+            const metadata = this.metadataFor(icon);
+
+            icon.remove();
+            this.icons.delete(key);
+            const endIcon = this.icons.get(`${key}-end`);
+            if (endIcon) {
+                endIcon.remove();
+                this.icons.delete(`${key}-end`);
+            }
+
+            // Re-show whatever is left above and below the retracted lines
+            if (start < startLine) {
+                this.showRemainder(start, startLine - 1, userName, changeType, metadata);
+            }
+            if (end > endLine) {
+                this.showRemainder(endLine + 1, end, userName, changeType, metadata);
             }
         });
     }
 
+    // Helper: Re-shows part of a retracted icon as a single icon or a range
+    showRemainder(start, end, userName, changeType, metadata) {
+        if (end > start) {
+            this.show(start, userName, changeType, { ...metadata, range: { start, end } }, end);
+        } else {
+            this.show(start, userName, changeType, metadata);
+        }
+    }
+
+    /**
+     * Updates all icon positions (useful when content changes)
+     */
+    updatePositions() {
+        this.icons.forEach(icon => this.positionIcon(icon));
+        this.conflictIcons.forEach(icon => this.positionIcon(icon));
+    }
+
+    // Helper: Places an icon next to the line number of its line, or detaches it while out of view
+    positionIcon(icon) {
+        const lineNumber = parseInt(icon.dataset.line);
+        // A range's end icon carries only its own line
+        const endLine = icon.dataset.endLine && !icon.classList.contains('range-end') ?
+            parseInt(icon.dataset.endLine) : lineNumber;
+        const visible = !this.viewport || (endLine >= this.viewport.startLine && lineNumber <= this.viewport.endLine);
+
+        if (!visible) {
+            icon.remove();
+            return;
+        }
+        if (!icon.isConnected) {
+            this.gutter.appendChild(icon);
+        }
+        icon.style.top = `${calculateMarkerPosition(this.editor, lineNumber)}px`;
+    }
+
     /**
      * Clears all icons
      */
     clear() {
         this.icons.forEach(icon => icon.remove());
         this.icons.clear();
+        this.clearConflicts();
+    }
+
+    /**
+     * Lists the icons as plain data (conflict icons follow the reservations and are left out)
+     * @returns {Array<Object>} - {lineNumber, endLine, userName, changeType, metadata}
+     */
+    getIcons() {
+        const icons = [];
+        this.icons.forEach((icon, key) => {
+            if (typeof key === 'string' && key.endsWith('-end')) return; // Drawn with their start icon
+
+            icons.push({
+                lineNumber: parseInt(icon.dataset.line),
+                endLine: icon.dataset.endLine ? parseInt(icon.dataset.endLine) : null,
+                userName: icon.dataset.userName,
+                changeType: icon.dataset.changeType,
+                metadata: this.metadataFor(icon)
+            });
+        });
+        return icons;
+    }
+
+    /**
+     * Shows icons listed by getIcons again
+     */
+    restoreIcons(iconsData) {
+        if (!Array.isArray(iconsData)) return;
+
+        iconsData.forEach(({ lineNumber, endLine, userName, changeType, metadata }) => {
+            this.show(lineNumber, userName, changeType, metadata || {}, endLine || null);
+        });
     }
 
     /**
@@ -196,7 +335,10 @@ export class GutterIcons {
      */
     buildTooltip(userName, changeType, metadata) {
         let tooltip = '';
-        if (metadata.range) {
+        if (changeType === 'deleted') {
+            const count = metadata.deletedCount || 1;
+            tooltip = `${userName} deleted ${count} ${count === 1 ? 'line' : 'lines'} here`;
+        } else if (metadata.range) {
             tooltip = `${userName} ${changeType === 'added' ? 'added' : 'edited'} lines ${metadata.range.start}-${metadata.range.end}`;
         } else {
             tooltip = `${userName} ${changeType === 'added' ? 'added' : 'edited'} this line`;
@@ -211,40 +353,114 @@ export class GutterIcons {
         return tooltip;
     }
 
+    // Helper: Rebuilds the tooltip metadata stored on an icon
+    metadataFor(icon) {
+        const metadata = icon.dataset.timestamp ? { timestamp: Number(icon.dataset.timestamp) } : {};
+        if (icon.dataset.deletedCount) {
+            metadata.deletedCount = Number(icon.dataset.deletedCount);
+        }
+        return metadata;
+    }
+
     /**
      * Adjusts icons when content changes
+     * Icons follow their lines through a line diff; icons whose lines were
+     * all removed are dropped.
      */
     adjustByContent(oldLines, newLines) {
-        const iconsToUpdate = [];
-
-        this.icons.forEach((icon, lineNumber) => {
-            if (lineNumber <= oldLines.length) {
-                const oldLineContent = oldLines[lineNumber - 1];
-                const newLineIndex = newLines.findIndex(line => line === oldLineContent);
-                if (newLineIndex !== -1) {
-                    const newLineNumber = newLineIndex + 1;
-                    if (newLineNumber !== lineNumber) {
-                        iconsToUpdate.push({
-                            icon,
-                            oldLine: lineNumber,
-                            newLine: newLineNumber
-                        });
-                    }
+        const mapping = buildLineMapping(oldLines, newLines);
+        const entries = Array.from(this.icons.entries());
+        const endIcons = new Map(entries.filter(([key]) => typeof key === 'string' && key.endsWith('-end')));
+
+        // Rebuild the map so icons that trade line numbers don't overwrite each other
+        this.icons.clear();
+
+        entries.forEach(([key, icon]) => {
+            if (endIcons.has(key)) return; // Moved together with their start icon
+
+            if (icon.dataset.changeType === 'deleted') {
+                this.adjustDeletionIcon(icon, mapping);
+                return;
+            }
+
+            const endIcon = endIcons.get(`${key}-end`) || null;
+            const start = parseInt(icon.dataset.line);
+            const end = icon.dataset.endLine ? parseInt(icon.dataset.endLine) : start;
+            const range = remapRange(mapping, start, end);
+
+            if (!range) {
+                icon.remove();
+                if (endIcon) endIcon.remove();
+                return;
+            }
+
+            icon.dataset.line = range.start;
+
+            const keepsRange = Boolean(icon.dataset.endLine) && range.end > range.start;
+            const newKey = keepsRange ? `${range.start}-${range.end}` : range.start;
+
+            // An icon already remapped onto the same lines gives way, with its end marker
+            const existing = this.icons.get(newKey);
+            if (existing) {
+                existing.remove();
+                const existingEnd = this.icons.get(`${newKey}-end`);
+                if (existingEnd) {
+                    existingEnd.remove();
+                    this.icons.delete(`${newKey}-end`);
                 }
             }
-        });
 
-        // Update icon line numbers
-        iconsToUpdate.forEach(({ icon, oldLine, newLine }) => {
-            this.icons.delete(oldLine);
-            icon.dataset.line = newLine;
-            this.icons.set(newLine, icon);
+            if (keepsRange) {
+                icon.dataset.endLine = range.end;
+                if (endIcon) {
+                    endIcon.dataset.line = range.end;
+                    this.icons.set(`${newKey}-end`, endIcon);
+                }
+            } else if (icon.dataset.endLine) {
+                // Range shrank to a single line
+                delete icon.dataset.endLine;
+                icon.classList.remove('range-start');
+                if (endIcon) endIcon.remove();
+            }
+            this.icons.set(newKey, icon);
+
+            const metadata = this.metadataFor(icon);
+            if (range.end > range.start && icon.dataset.endLine) {
+                metadata.range = { start: range.start, end: range.end };
+            }
+            setTooltip(icon, this.buildTooltip(icon.dataset.userName, icon.dataset.changeType, metadata));
+            if (endIcon && icon.dataset.endLine) {
+                endIcon.title = icon.title;
+            }
         });
 
-        // Update positions
-        if (iconsToUpdate.length > 0) {
-            this.updatePositions();
+        this.updatePositions();
+    }
+
+    // Helper: Moves a deletion icon with the line below the deleted lines
+    adjustDeletionIcon(icon, mapping) {
+        const line = parseInt(icon.dataset.line);
+        const range = remapRange(mapping, line, line);
+        const newLine = range ? range.start : nearestMappedLine(mapping, line);
+        const key = newLine ? deletionKey(newLine) : null;
+
+        if (!newLine || this.icons.has(key)) {
+            icon.remove();
+            return;
         }
+
+        icon.dataset.line = newLine;
+        this.icons.set(key, icon);
     }
 }
 
+// Helper: Sets an icon's tooltip and the matching label read by screen readers
+function setTooltip(icon, text) {
+    icon.title = text;
+    icon.setAttribute('aria-label', text.replace(/\n/g, ', '));
+}
+
+// Helper: Map key for the deletion icon above a line
+function deletionKey(lineNumber) {
+    return `${lineNumber}-deleted`;
+}
@@ -0,0 +1,47 @@
+// Messages announced within this long of each other are read together
+const ANNOUNCE_DELAY = 150;
+
+/**
+ * LiveRegion Component
+ * A visually hidden polite live region: screen readers read what is
+ * announced once they finish what they are saying. Messages that arrive
+ * together are read as one announcement, repeats among them only once.
+ */
+export class LiveRegion {
+    constructor(container) {
+        this.element = document.createElement('div');
+        this.element.className = 'live-region';
+        this.element.setAttribute('role', 'status');
+        this.element.setAttribute('aria-live', 'polite');
+        this.element.setAttribute('aria-atomic', 'true');
+        container.appendChild(this.element);
+
+        this.pending = [];
+        this.timeout = null;
+    }
+
+    /**
+     * Queues a message to be read out
+     * @param {string} message - e.g. 'User B started editing lines 4–6 in utils.js'
+     */
+    announce(message) {
+        if (!message || this.pending.includes(message)) return;
+        this.pending.push(message);
+        if (this.timeout) return;
+
+        // Emptying the region first makes the same text count as a change the next time
+        this.element.textContent = '';
+        this.timeout = setTimeout(() => {
+            this.element.textContent = this.pending.join('. ');
+            this.pending = [];
+            this.timeout = null;
+        }, ANNOUNCE_DELAY);
+    }
+
+    destroy() {
+        clearTimeout(this.timeout);
+        this.timeout = null;
+        this.pending = [];
+        this.element.remove();
+    }
+}
@@ -1,8 +1,11 @@
-import { calculateMarkerPosition } from '../utils/lineTracking.js';
+import { calculateMarkerPosition, buildLineMapping, remapRange, nearestMappedLine, describeLines } from '../utils/lineTracking.js';
+import { getLineRangeBox, getCaretBox, getTextRangeBoxes } from '../utils/lineGeometry.js';
 
 /**
  * Marker Component
- * Manages visual markers for showing which lines users are editing
+ * Manages visual markers for showing which lines users are editing, and
+ * the user's caret and selection at the exact column.
+ * Markers outside the viewport (see setViewport) are kept but taken out of the DOM.
  */
 export class Marker {
     constructor(markerLayer, options = {}) {
@@ -10,6 +13,151 @@ export class Marker {
         this.userClass = options.userClass || 'user-default';
         this.markers = new Map(); // Track markers by user class
         this.persistentMarkers = new Map(); // Track persistent markers (pushed edits) by line number
+        this.tombstones = new Map(); // Track deletion markers by the line they sit above
+        this.viewport = null; // {startLine, endLine} near the viewport, null shows every marker
+        this.cursor = null; // {userName, caret, anchor} with {line, column} positions
+        this.caretElement = null;
+        this.selectionElements = [];
+    }
+
+    /**
+     * Keeps only the markers of lines near the viewport in the DOM
+     */
+    setViewport(startLine, endLine) {
+        const viewport = this.viewport;
+        if (viewport && viewport.startLine === startLine && viewport.endLine === endLine) return;
+
+        this.viewport = { startLine, endLine };
+        this.updatePosition();
+    }
+
+    // Helper: Attaches a marker near the viewport, detaches one out of view
+    attachIfVisible(element, start, end) {
+        const visible = !this.viewport || (end >= this.viewport.startLine && start <= this.viewport.endLine);
+        if (!visible) {
+            element.remove();
+        } else if (!element.isConnected) {
+            this.markerLayer.appendChild(element);
+        }
+        return visible;
+    }
+
+    /**
+     * Shows the user's caret with a name flag, and their selection if they have one
+     * @param {string} userName - The user the caret belongs to
+     * @param {Object} caret - {line, column} of the caret (line 1-indexed, column 0-indexed)
+     * @param {Object} anchor - {line, column} the selection started at, the caret if nothing is selected
+     */
+    showCursor(userName, caret, anchor = caret) {
+        this.cursor = { userName, caret, anchor };
+        this.updateCursorVisuals();
+    }
+
+    clearCursor() {
+        this.cursor = null;
+        this.updateCursorVisuals();
+    }
+
+    updateCursorVisuals() {
+        this.selectionElements.forEach(element => element.remove());
+        this.selectionElements = [];
+
+        const editor = this.markerLayer.parentElement?.querySelector('.code-editor');
+        if (!this.cursor || !editor) {
+            if (this.caretElement) this.caretElement.remove();
+            return;
+        }
+
+        const { userName, caret, anchor } = this.cursor;
+        // Columns are measured from the editor; the layer only follows its vertical scroll
+        const offsetLeft = editor.getBoundingClientRect().left - this.markerLayer.getBoundingClientRect().left -
+            editor.scrollLeft;
+
+        // Selection, one box per visual row, clipped to the lines near the viewport
+        const [from, to] = comparePositions(anchor, caret) <= 0 ? [anchor, caret] : [caret, anchor];
+        const start = this.viewport && from.line < this.viewport.startLine ?
+            { line: this.viewport.startLine, column: 0 } : from;
+        const end = this.viewport && to.line > this.viewport.endLine ?
+            { line: this.viewport.endLine, column: Infinity } : to;
+        if (start.line <= end.line) {
+            getTextRangeBoxes(editor, start, end).forEach(box => {
+                const highlight = document.createElement('div');
+                highlight.className = `remote-selection ${this.userClass}`;
+                highlight.setAttribute('aria-hidden', 'true');
+                highlight.style.left = `${box.left + offsetLeft}px`;
+                highlight.style.top = `${box.top}px`;
+                highlight.style.width = `${box.width}px`;
+                highlight.style.height = `${box.height}px`;
+                this.markerLayer.appendChild(highlight);
+                this.selectionElements.push(highlight);
+            });
+        }
+
+        if (!this.caretElement) {
+            this.caretElement = document.createElement('div');
+            this.caretElement.className = `remote-caret ${this.userClass}`;
+            this.caretElement.setAttribute('role', 'img');
+        }
+        this.caretElement.dataset.label = userName;
+        this.caretElement.setAttribute('aria-label', `${userName}'s cursor at line ${caret.line}`);
+        if (!this.attachIfVisible(this.caretElement, caret.line, caret.line)) return;
+
+        const box = getCaretBox(editor, caret);
+        this.caretElement.style.left = `${box.left + offsetLeft}px`;
+        this.caretElement.style.top = `${box.top}px`;
+        this.caretElement.style.height = `${box.height}px`;
+        // The flag goes below the caret on the first line, where there is no room above
+        this.caretElement.classList.toggle('flag-below', caret.line === 1);
+    }
+
+    /**
+     * Shows a collapsed marker between lines where lines were deleted
+     * Deletions at the same spot by the same user are combined.
+     * @param {number} beforeLine - The line the deleted lines used to sit above
+     * @param {string} userName - The user who deleted them
+     * @param {number} deletedCount - How many lines were deleted
+     */
+    showTombstone(beforeLine, userName, deletedCount = 1) {
+        if (beforeLine === null || beforeLine < 1) return;
+
+        const editor = this.markerLayer.parentElement?.querySelector('.code-editor');
+        if (!editor) return;
+
+        let tombstone = this.tombstones.get(beforeLine);
+        if (tombstone && tombstone.dataset.rawUser === userName) {
+            deletedCount += parseInt(tombstone.dataset.deletedCount);
+        } else {
+            if (tombstone) tombstone.remove();
+            tombstone = document.createElement('div');
+            tombstone.className = `marker ${this.userClass} persistent tombstone line-deleted`;
+            tombstone.setAttribute('role', 'note');
+            tombstone.dataset.changeType = 'deleted';
+            tombstone.dataset.rawUser = userName;
+        }
+
+        tombstone.dataset.line = beforeLine;
+        tombstone.dataset.deletedCount = deletedCount;
+        tombstone.dataset.label = `${userName} deleted ${deletedCount} ${deletedCount === 1 ? 'line' : 'lines'}`;
+        tombstone.setAttribute('aria-label', tombstone.dataset.label);
+        this.updateTombstoneVisuals(tombstone, editor, beforeLine);
+        this.tombstones.set(beforeLine, tombstone);
+    }
+
+    updateTombstoneVisuals(tombstone, editor, beforeLine) {
+        // The bar sits on the boundary above beforeLine, so it shows with the line above too
+        if (!this.attachIfVisible(tombstone, beforeLine - 1, beforeLine)) return;
+
+        if (getComputedStyle(this.markerLayer).position === 'static') {
+            this.markerLayer.style.position = 'absolute';
+        }
+
+        // A thin bar on the boundary above beforeLine
+        tombstone.style.top = `${calculateMarkerPosition(editor, beforeLine) - 1}px`;
+        tombstone.style.position = 'absolute';
+        tombstone.style.left = '0';
+        tombstone.style.right = '0';
+        tombstone.style.zIndex = '10';
+        tombstone.style.pointerEvents = 'none';
     }
 
     /**
@@ -87,6 +235,7 @@ export class Marker {
 
         const marker = document.createElement('div');
         marker.className = `marker ${this.userClass} persistent`;
+        marker.setAttribute('role', 'note');
         if (changeType === 'added') {
             marker.classList.add('line-added');
         } else {
@@ -106,7 +255,6 @@ export class Marker {
         // Position
         this.updateMarkerVisuals(marker, editor, currentStart, currentEnd);
 
-        this.markerLayer.appendChild(marker);
         // Use the start line as the map key, but note that with ranges, keys in map might get tricky.
         // Ideally we track by unique ID, but the code uses line numbers.
         // We'll trust that we clean up old markers on that line if they existed.
@@ -147,28 +295,26 @@ export class Marker {
         } else {
             marker.dataset.label = `${userName} edited`;
         }
+        // The visible label leaves the edited lines to the marker's position
+        marker.setAttribute('aria-label', `${userName} ${changeType === 'added' ? 'added' : 'edited'} ${describeLines(start, end)}`);
     }
 
     updateMarkerVisuals(marker, editor, start, end) {
+        if (!this.attachIfVisible(marker, start, end)) return;
+
         // Ensure styling for position
         if (getComputedStyle(this.markerLayer).position === 'static') {
             this.markerLayer.style.position = 'absolute';
         }
 
-        const topPosition = calculateMarkerPosition(editor, start);
-        marker.style.top = `${topPosition}px`;
+        const box = getLineRangeBox(editor, start, end);
+        marker.style.top = `${box.top}px`;
         marker.style.position = 'absolute';
         marker.style.left = '0';
         marker.style.right = '0';
         marker.style.zIndex = '10';
         marker.style.pointerEvents = 'none';
-
-        // Calculate height based on lines spanned
-        const fontSize = parseFloat(getComputedStyle(editor).fontSize) || 14.4;
-        const lineHeight = fontSize * 1.5;
-        const lineCount = (end - start) + 1;
-        const height = lineCount * lineHeight;
-        marker.style.height = `${height}px`;
+        marker.style.height = `${box.height}px`;
     }
 
     /**
@@ -214,6 +360,40 @@ export class Marker {
         }
     }
 
+    /**
+     * Removes persistent markers from a line range
+     * Markers that only partly overlap keep the lines outside the range.
+     */
+    retract(startLine, endLine = startLine) {
+        const markers = Array.from(this.persistentMarkers.values());
+
+        markers.forEach(marker => {
+            const start = parseInt(marker.dataset.line);
+            const end = parseInt(marker.dataset.endLine || start);
+            if (end < startLine || start > endLine) return;
+
+            const userName = marker.dataset.rawUser;
+            const changeType = marker.dataset.changeType;
+            marker.remove();
+            this.persistentMarkers.delete(start);
+
+            // Re-show whatever is left above and below the retracted lines
+            if (start < startLine) {
+                this.show(start, userName, true, changeType, startLine - 1);
+            }
+            if (end > endLine) {
+                this.show(endLine + 1, userName, true, changeType, end);
+            }
+        });
+
+        this.tombstones.forEach((tombstone, beforeLine) => {
+            if (beforeLine >= startLine && beforeLine <= endLine) {
+                tombstone.remove();
+                this.tombstones.delete(beforeLine);
+            }
+        });
+    }
+
     clear() {
         const existingMarker = this.markers.get(this.userClass);
         if (existingMarker) {
@@ -224,15 +404,21 @@ export class Marker {
 
     clearAll() {
         this.clear();
-        this.persistentMarkers.forEach(marker => marker.remove());
-        this.persistentMarkers.clear();
+        this.clearCursor();
+        this.clearPersistentMarkers();
     }
 
     clearPersistentMarkers() {
         this.persistentMarkers.forEach(marker => marker.remove());
         this.persistentMarkers.clear();
+        this.tombstones.forEach(tombstone => tombstone.remove());
+        this.tombstones.clear();
     }
 
+    /**
+     * Lists the persistent markers and tombstones as plain data
+     * @returns {Array<Object>} - {lineNumber, endLine, userName, userClass, changeType}, plus deletedCount for tombstones
+     */
     getPersistentMarkers() {
         const markers = [];
         this.persistentMarkers.forEach((marker, lineNumber) => {
@@ -244,21 +430,37 @@ export class Marker {
 
             markers.push({
                 lineNumber: parseInt(marker.dataset.line),
+                endLine: parseInt(marker.dataset.endLine || marker.dataset.line),
                 userName: marker.dataset.rawUser || userName || 'Unknown',
                 userClass: this.userClass,
                 changeType: marker.dataset.changeType || 'edited'
             });
         });
+        this.tombstones.forEach((tombstone) => {
+            markers.push({
+                lineNumber: parseInt(tombstone.dataset.line),
+                userName: tombstone.dataset.rawUser,
+                userClass: this.userClass,
+                changeType: 'deleted',
+                deletedCount: parseInt(tombstone.dataset.deletedCount)
+            });
+        });
         return markers;
     }
 
+    /**
+     * Shows markers listed by getPersistentMarkers again
+     */
     restorePersistentMarkers(markersData) {
         if (!markersData || !Array.isArray(markersData)) return;
 
-        markersData.forEach(({ lineNumber, userName, changeType = 'edited' }) => {
-            // existing check etc
+        markersData.forEach(({ lineNumber, endLine = null, userName, changeType = 'edited', deletedCount }) => {
+            if (changeType === 'deleted') {
+                this.showTombstone(lineNumber, userName, deletedCount);
+                return;
+            }
             // Simply calling show() will trigger the new merge logic!
-            this.show(lineNumber, userName, true, changeType);
+            this.show(lineNumber, userName, true, changeType, endLine);
         });
     }
 
@@ -272,14 +474,98 @@ export class Marker {
                 this.updateMarkerVisuals(marker, editor, start, end);
             }
         });
+
+        const editor = this.markerLayer.parentElement?.querySelector('.code-editor');
+        if (editor) {
+            this.tombstones.forEach((tombstone, beforeLine) => this.updateTombstoneVisuals(tombstone, editor, beforeLine));
+        }
+
+        this.updateCursorVisuals();
     }
 
+    /**
+     * Moves persistent markers to follow their lines after a content change
+     * Markers whose lines were all removed are dropped.
+     */
     adjustByContent(oldLines, newLines) {
-        // Complex to handle perfectly with ranges, deleting for now to simplify
-        // or just clearing and re-calculating would be safer.
-        // For this demo refactor, we'll leave it as a no-op or simple position update
-        // since the main logic is re-driven by 'show' calls from the editor.
+        const mapping = buildLineMapping(oldLines, newLines);
+        const markers = Array.from(this.persistentMarkers.values());
+
+        // Rebuild the map so markers that trade line numbers don't overwrite each other
+        this.persistentMarkers.clear();
+
+        markers.forEach(marker => {
+            const start = parseInt(marker.dataset.line);
+            const end = parseInt(marker.dataset.endLine || start);
+            const range = remapRange(mapping, start, end);
+
+            if (!range) {
+                marker.remove();
+                return;
+            }
+
+            const existing = this.persistentMarkers.get(range.start);
+            if (existing) {
+                // Two markers collapsed onto the same line: keep one covering both
+                const existingEnd = parseInt(existing.dataset.endLine || range.start);
+                marker.remove();
+                this.updateMarkerRange(existing, range.start, Math.max(existingEnd, range.end));
+                return;
+            }
+
+            marker.dataset.line = range.start;
+            marker.dataset.endLine = range.end;
+            this.persistentMarkers.set(range.start, marker);
+            this.updateMarkerLabel(marker, marker.dataset.rawUser, marker.dataset.changeType, range.start, range.end);
+        });
+
+        // Tombstones stay between the same neighbours; if those went too, at the nearest surviving line
+        const tombstones = Array.from(this.tombstones.values());
+        this.tombstones.clear();
+
+        tombstones.forEach(tombstone => {
+            const beforeLine = parseInt(tombstone.dataset.line);
+            const range = remapRange(mapping, beforeLine, beforeLine);
+            const newLine = range ? range.start : nearestMappedLine(mapping, beforeLine);
+
+            const existing = newLine ? this.tombstones.get(newLine) : null;
+            if (!newLine || (existing && existing.dataset.rawUser !== tombstone.dataset.rawUser)) {
+                tombstone.remove();
+                return;
+            }
+            if (existing) {
+                // Two deletions collapsed onto the same spot
+                const count = parseInt(existing.dataset.deletedCount) + parseInt(tombstone.dataset.deletedCount);
+                tombstone.remove();
+                existing.dataset.deletedCount = count;
+                existing.dataset.label = `${existing.dataset.rawUser} deleted ${count} lines`;
+                existing.setAttribute('aria-label', existing.dataset.label);
+                return;
+            }
+
+            tombstone.dataset.line = newLine;
+            this.tombstones.set(newLine, tombstone);
+        });
+
+        // The caret and selection follow their lines; a caret whose line went is hidden
+        if (this.cursor) {
+            const { caret, anchor } = this.cursor;
+            const caretRange = remapRange(mapping, caret.line, caret.line);
+            const anchorRange = remapRange(mapping, anchor.line, anchor.line);
+            if (caretRange) {
+                this.cursor.caret = { line: caretRange.start, column: caret.column };
+                this.cursor.anchor = anchorRange ? { line: anchorRange.start, column: anchor.column } : this.cursor.caret;
+            } else {
+                this.cursor = null;
+            }
+        }
+
+        this.consolidateAllMarkers();
         this.updatePosition();
     }
 }
 
+// Helper: Orders two {line, column} positions
+function comparePositions(a, b) {
+    return a.line !== b.line ? a.line - b.line : a.column - b.column;
+}
@@ -1,7 +1,25 @@
+import { getParticipant } from '../utils/participantRegistry.js';
+
+// Status -> dot and label in the title bar
+const STATUS_LABELS = {
+    active: '● Active',
+    idle: '◐ Idle',
+    away: '○ Away',
+    inactive: '○ Inactive'
+};
+
+// How long a collaborator's avatar takes to fade out after they leave
+const LEAVE_TRANSITION = 400;
+
 /**
  * StatusIndicator Component
  * Manages the status indicator in the editor title bar
- * Shows current file lock state and active collaborators
+ * Shows the pane's presence (active, idle, away or inactive), the current
+ * file lock state and active collaborators; once a branch is set, the
+ * collaborators are counted as teammates on that branch.
+ * Each collaborator also gets an avatar in their registry color, dimmed
+ * while they are idle or away, that fades in when they join and out when
+ * they leave.
  */
 export class StatusIndicator {
     constructor(element, options = {}) {
@@ -9,6 +27,10 @@ export class StatusIndicator {
         this.status = options.status || 'active';
         this.lockState = options.lockState || 'unlocked';
         this.activeCollaborators = options.activeCollaborators || [];
+        this.collaboratorStatuses = new Map(); // userName -> 'active', 'idle' or 'away'
+        this.branch = options.branch || null;
+        this.shownCollaborators = new Set(); // Avatars already on screen, the others fade in
+        this.leavingCollaborators = new Map(); // userName -> timeout removing their fading avatar
         this.update();
     }
     
@@ -22,8 +44,22 @@ export class StatusIndicator {
         this.update();
     }
     
-    setActiveCollaborators(collaborators) {
+    setBranch(branch) {
+        this.branch = branch;
+        this.update();
+    }
+    
+    /**
+     * Sets the collaborators, and optionally how present each of them is
+     * @param {Array<string>} collaborators - Their names
+     * @param {Map} statuses - Optional userName -> 'active', 'idle' or 'away'
+     */
+    setActiveCollaborators(collaborators, statuses = null) {
+        this.trackLeaving(this.activeCollaborators.filter(userName => !collaborators.includes(userName)));
         this.activeCollaborators = collaborators;
+        if (statuses) {
+            this.collaboratorStatuses = new Map(statuses);
+        }
         this.update();
     }
     
@@ -38,13 +74,25 @@ export class StatusIndicator {
         const index = this.activeCollaborators.indexOf(userName);
         if (index > -1) {
             this.activeCollaborators.splice(index, 1);
+            this.trackLeaving([userName]);
             this.update();
         }
     }
     
+    // Helper: Keeps the avatars of collaborators who just left for their fade-out
+    trackLeaving(userNames) {
+        userNames.forEach(userName => {
+            if (!this.shownCollaborators.has(userName)) return;
+            clearTimeout(this.leavingCollaborators.get(userName));
+            this.leavingCollaborators.set(userName, setTimeout(() => {
+                this.leavingCollaborators.delete(userName);
+                this.update();
+            }, LEAVE_TRANSITION));
+        });
+    }
+    
     update() {
-        const statusIcon = this.status === 'active' ? '●' : '○';
-        let statusText = `${statusIcon} ${this.status === 'active' ? 'Active' : 'Inactive'}`;
+        let statusText = STATUS_LABELS[this.status] || STATUS_LABELS.inactive;
         
         // Add lock state
         if (this.lockState === 'locked') {
@@ -53,21 +101,64 @@ export class StatusIndicator {
             statusText += ' ⚠';
         }
         
-        // Add active collaborators count (compact format)
-        if (this.activeCollaborators.length > 0) {
+        // Add active collaborators count (compact format without a branch)
+        if (this.branch) {
+            const count = this.activeCollaborators.length;
+            statusText += ` · ${count} ${count === 1 ? 'teammate' : 'teammates'} on this branch`;
+        } else if (this.activeCollaborators.length > 0) {
             statusText += ` 👥${this.activeCollaborators.length}`;
         }
         
         this.element.textContent = statusText;
+        this.element.dataset.status = this.status;
+        
+        // Someone who came back before their avatar faded out is not leaving any more
+        this.activeCollaborators.forEach(userName => {
+            clearTimeout(this.leavingCollaborators.get(userName));
+            this.leavingCollaborators.delete(userName);
+        });
+        this.activeCollaborators.forEach(userName => {
+            const status = this.collaboratorStatuses.get(userName) || 'active';
+            const chip = this.createAvatar(userName, status);
+            if (!this.shownCollaborators.has(userName)) chip.classList.add('joining');
+            this.element.appendChild(chip);
+        });
+        this.leavingCollaborators.forEach((timeout, userName) => {
+            const chip = this.createAvatar(userName, 'leaving');
+            chip.setAttribute('aria-hidden', 'true');
+            this.element.appendChild(chip);
+        });
+        this.shownCollaborators = new Set(this.activeCollaborators);
         this.element.title = this.buildTooltip();
     }
     
+    // Helper: A collaborator's avatar chip; status is also its modifier class
+    createAvatar(userName, status) {
+        const { className, avatar } = getParticipant(userName);
+        const label = status === 'leaving' ? userName : collaboratorLabel(userName, status);
+        const chip = document.createElement('span');
+        chip.className = `collaborator-avatar ${className} ${status}`;
+        chip.textContent = avatar;
+        chip.title = label;
+        chip.setAttribute('aria-label', label);
+        return chip;
+    }
+    
     buildTooltip() {
         let tooltip = `Status: ${this.status}\nLock State: ${this.lockState}`;
+        if (this.branch) {
+            tooltip += `\nBranch: ${this.branch}`;
+        }
         if (this.activeCollaborators.length > 0) {
-            tooltip += `\nActive Collaborators: ${this.activeCollaborators.join(', ')}`;
+            const collaborators = this.activeCollaborators.map(userName =>
+                collaboratorLabel(userName, this.collaboratorStatuses.get(userName) || 'active'));
+            tooltip += `\nActive Collaborators: ${collaborators.join(', ')}`;
         }
         return tooltip;
     }
 }
 
+// Helper: 'User B', or 'User B (idle)' while they are not active
+function collaboratorLabel(userName, status) {
+    return status === 'active' ? userName : `${userName} (${status})`;
+}
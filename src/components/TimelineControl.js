@@ -0,0 +1,102 @@
+// Playback speeds offered in the speed picker
+const SPEEDS = [0.5, 1, 2, 4];
+
+/**
+ * TimelineControl Component
+ * Play/pause button, speed picker and scrubber for a replay. Dragging the
+ * scrubber only moves the time label; the replay seeks when it is released.
+ */
+export class TimelineControl {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.duration = options.duration || 0;
+        this.onPlay = options.onPlay || (() => { });
+        this.onPause = options.onPause || (() => { });
+        this.onSeek = options.onSeek || (() => { });
+        this.onSpeedChange = options.onSpeedChange || (() => { });
+        this.playing = false;
+        this.scrubbing = false;
+        this.render();
+    }
+
+    render() {
+        this.element = document.createElement('div');
+        this.element.className = 'timeline-control';
+        this.element.innerHTML = `
+            <button class="git-btn timeline-play" title="Play">▶</button>
+            <input class="timeline-scrubber" type="range" min="0" step="10" value="0" aria-label="Replay position">
+            <span class="timeline-time"></span>
+            <select class="timeline-speed" title="Playback speed" aria-label="Playback speed"></select>
+        `;
+        this.playButton = this.element.querySelector('.timeline-play');
+        this.scrubber = this.element.querySelector('.timeline-scrubber');
+        this.timeLabel = this.element.querySelector('.timeline-time');
+        this.speedPicker = this.element.querySelector('.timeline-speed');
+
+        SPEEDS.forEach(speed => {
+            const option = document.createElement('option');
+            option.value = speed;
+            option.textContent = `${speed}×`;
+            option.selected = speed === 1;
+            this.speedPicker.appendChild(option);
+        });
+
+        this.playButton.addEventListener('click', () => {
+            if (this.playing) {
+                this.onPause();
+            } else {
+                this.onPlay();
+            }
+        });
+        this.scrubber.addEventListener('input', () => {
+            this.scrubbing = true;
+            this.updateLabel(Number(this.scrubber.value));
+        });
+        this.scrubber.addEventListener('change', () => {
+            this.scrubbing = false;
+            this.onSeek(Number(this.scrubber.value));
+        });
+        this.speedPicker.addEventListener('change', () => {
+            this.onSpeedChange(Number(this.speedPicker.value));
+        });
+
+        this.setDuration(this.duration);
+        this.container.appendChild(this.element);
+    }
+
+    setDuration(duration) {
+        this.duration = duration;
+        this.scrubber.max = duration;
+        this.setPosition(Number(this.scrubber.value));
+    }
+
+    /**
+     * Moves the scrubber, unless the visitor is dragging it
+     * @param {number} position - ms into the recording
+     */
+    setPosition(position) {
+        if (this.scrubbing) return;
+        this.scrubber.value = position;
+        this.updateLabel(position);
+    }
+
+    setPlaying(playing) {
+        this.playing = playing;
+        this.playButton.textContent = playing ? '❚❚' : '▶';
+        this.playButton.title = playing ? 'Pause' : 'Play';
+    }
+
+    updateLabel(position) {
+        this.timeLabel.textContent = `${formatTime(position)} / ${formatTime(this.duration)}`;
+    }
+
+    destroy() {
+        this.element.remove();
+    }
+}
+
+// Helper: ms as m:ss
+function formatTime(ms) {
+    const seconds = Math.floor(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
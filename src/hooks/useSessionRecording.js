@@ -0,0 +1,125 @@
+import { SessionRecorder, parseRecording } from '../session/SessionRecorder.js';
+import { SessionReplayer } from '../session/SessionReplayer.js';
+import { TimelineControl } from '../components/TimelineControl.js';
+
+/**
+ * Session Recording Hook
+ * Wires the Record, Export, Import and Replay buttons under the demo. A
+ * replay takes the place of the live panes until it is closed, with a
+ * timeline to play, pause, change speed and seek.
+ * @param {CollaborationSession} session - The live session to record
+ */
+export function useSessionRecording(session) {
+    const recordButton = document.getElementById('record-session');
+    const exportButton = document.getElementById('export-recording');
+    const importInput = document.getElementById('import-recording');
+    const replayButton = document.getElementById('replay-session');
+    const liveContainer = session.container;
+
+    if (!recordButton || !liveContainer) return;
+
+    const recorder = new SessionRecorder(session);
+    let recording = null;
+    let replay = null;
+
+    const setRecording = (next) => {
+        recording = next;
+        if (exportButton) exportButton.disabled = !recording;
+        if (replayButton) replayButton.disabled = !recording;
+    };
+
+    recordButton.addEventListener('click', () => {
+        if (recorder.isRecording) {
+            setRecording(recorder.stop());
+        } else {
+            closeReplay();
+            recorder.start();
+        }
+        recordButton.classList.toggle('recording', recorder.isRecording);
+        recordButton.textContent = recorder.isRecording ? '■ Stop' : '● Record';
+    });
+
+    if (exportButton) {
+        exportButton.addEventListener('click', () => {
+            if (recording) downloadRecording(recorder.export(), recording.startedAt);
+        });
+    }
+
+    if (importInput) {
+        importInput.addEventListener('change', async () => {
+            const file = importInput.files[0];
+            importInput.value = '';
+            if (!file) return;
+
+            try {
+                setRecording(parseRecording(await file.text()));
+                openReplay();
+            } catch (error) {
+                console.warn(`Could not import ${file.name}: ${error.message}`);
+            }
+        });
+    }
+
+    if (replayButton) {
+        replayButton.addEventListener('click', () => openReplay());
+    }
+
+    function openReplay() {
+        if (!recording || recorder.isRecording) return;
+        closeReplay();
+
+        const panel = document.createElement('div');
+        panel.className = 'replay-panel';
+        panel.innerHTML = `
+            <div class="replay-header">
+                <span class="replay-title"></span>
+                <button class="git-btn replay-close" title="Back to the live demo">Close replay</button>
+            </div>
+            <div class="dual-editor-container replay-container"></div>
+        `;
+        panel.querySelector('.replay-title').textContent =
+            `Replay of ${new Date(recording.startedAt).toLocaleString()}`;
+        liveContainer.after(panel);
+        liveContainer.hidden = true;
+
+        const replayer = new SessionReplayer(recording, panel.querySelector('.replay-container'), {
+            onProgress: (position) => timeline.setPosition(position),
+            onEnd: () => timeline.setPlaying(false)
+        });
+        const timeline = new TimelineControl(panel, {
+            duration: replayer.duration,
+            onPlay: () => {
+                replayer.play();
+                timeline.setPlaying(true);
+            },
+            onPause: () => {
+                replayer.pause();
+                timeline.setPlaying(false);
+            },
+            onSeek: (position) => replayer.seek(position),
+            onSpeedChange: (speed) => replayer.setSpeed(speed)
+        });
+
+        panel.querySelector('.replay-close').addEventListener('click', closeReplay);
+        replay = { panel, replayer, timeline };
+    }
+
+    function closeReplay() {
+        if (!replay) return;
+        replay.replayer.dispose();
+        replay.timeline.destroy();
+        replay.panel.remove();
+        replay = null;
+        liveContainer.hidden = false;
+    }
+}
+
+// Helper: Saves the recording as a JSON file
+function downloadRecording(json, startedAt) {
+    const blob = new Blob([json], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `synq-session-${startedAt.replace(/[:.]/g, '-')}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
@@ -1,6 +1,7 @@
 import { useSpotlight } from './hooks/useSpotlight.js';
 import { useScrollAnimation } from './hooks/useScrollAnimation.js';
 import { useRealTimeCollaboration } from './hooks/useRealTimeCollaboration.js';
+import { useSessionRecording } from './hooks/useSessionRecording.js';
 import './styles/main.css';
 
 /**
@@ -10,7 +11,10 @@ function init() {
     // Initialize hooks
     useSpotlight();
     useScrollAnimation();
-    useRealTimeCollaboration();
+    const session = useRealTimeCollaboration();
+    if (session) {
+        useSessionRecording(session);
+    }
 }
 
 // Initialize when DOM is ready
@@ -0,0 +1,292 @@
+import { createTransport } from '../transport/createTransport.js';
+import {
+    createParticipant,
+    getPaneElements,
+    connectParticipant,
+    mirrorParticipant,
+    disposeParticipant,
+    userClassFor
+} from './participant.js';
+import { registerParticipant } from '../utils/participantRegistry.js';
+import { HEARTBEAT_INTERVAL, PRESENCE_TIMEOUT } from './presence.js';
+
+// Realistic team size for the demo; more participants are refused
+export const MAX_PARTICIPANTS = 4;
+
+// Pane keys end up in element ids, so they are limited to these characters
+const PANE_KEY_PATTERN = /^[a-z0-9-]+$/;
+
+/**
+ * CollaborationSession
+ * Holds every participant of the demo in one map. Participants can join
+ * and leave at runtime; each gets its own pane, or with the 'shared'
+ * layout only the first local participant's pane is shown and it displays
+ * everyone else's markers.
+ */
+export class CollaborationSession {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.transportKind = options.transport || 'memory';
+        this.room = options.room || 'synq-demo';
+        this.url = options.url;
+        this.layout = options.layout || 'panes';
+        this.reservationPolicy = options.reservationPolicy; // See reservations.js
+        this.reservationTtl = options.reservationTtl;
+        this.clock = options.clock; // Time source for edit history grouping, defaults to Date.now
+        this.softWrap = Boolean(options.softWrap); // Panes start with long lines wrapped
+        this.maxParticipants = options.maxParticipants || MAX_PARTICIPANTS;
+        this.onParticipantsChange = options.onParticipantsChange || (() => { });
+
+        this.participants = new Map(); // userName -> participant record
+        this.remoteLastSeen = new Map(); // userName -> when a participant in another tab last sent presence
+
+        // Listen-only connection used to discover participants in other tabs
+        this.observer = createTransport(this.transportKind, { room: this.room, url: this.url });
+        this.observer.on('presence', (message) => this.handleRemotePresence(message));
+        this.observer.connect();
+
+        // Runtime panes of other tabs that stopped sending heartbeats go away as if they had left
+        this.presenceSweep = setInterval(() => this.expireRemotePresence(), HEARTBEAT_INTERVAL);
+    }
+
+    /**
+     * Adds a participant typing in this tab
+     * Uses the pane with a matching key if the page has one, otherwise builds a new pane.
+     * @param {string} userName - Display name, e.g. 'User C'
+     * @param {Object} options - Optional key, color, avatar and initialFiles (see createParticipant),
+     *   and saved to restore the participant from a saved workspace (see WorkspaceStore)
+     * @returns {Object|null} - The participant record, or null if the participant was refused
+     *   (session full, invalid key, or a key another participant holds)
+     */
+    join(userName, options = {}) {
+        if (this.participants.has(userName)) {
+            return this.participants.get(userName);
+        }
+
+        const participant = this.createParticipantFor(userName, options);
+        if (!participant) return null;
+
+        participant.transport = createTransport(this.transportKind, { room: this.room, url: this.url });
+        this.participants.set(userName, participant);
+        connectParticipant(participant, {
+            reservationPolicy: this.reservationPolicy,
+            reservationTtl: this.reservationTtl,
+            clock: this.clock,
+            softWrap: this.softWrap,
+            saved: options.saved
+        });
+
+        this.participantsChanged();
+        return participant;
+    }
+
+    /**
+     * Adds a read-only pane for a participant typing in another tab
+     * @returns {Object|null} - The participant record, or null if the participant was refused (see join)
+     */
+    addRemote(userName, options = {}) {
+        if (this.participants.has(userName)) {
+            return this.participants.get(userName);
+        }
+
+        const participant = this.createParticipantFor(userName, options);
+        if (!participant) return null;
+
+        this.participants.set(userName, participant);
+        mirrorParticipant(participant, this.observer, { softWrap: this.softWrap });
+
+        this.participantsChanged();
+        return participant;
+    }
+
+    /**
+     * Removes a participant, announcing the leave to everyone else
+     */
+    leave(userName) {
+        const participant = this.participants.get(userName);
+        if (!participant) return;
+
+        disposeParticipant(participant);
+        if (participant.dynamic && participant.elements.window) {
+            participant.elements.window.remove();
+        }
+        this.participants.delete(userName);
+
+        this.participantsChanged();
+    }
+
+    /**
+     * Removes every participant and stops listening to the room
+     */
+    dispose() {
+        Array.from(this.participants.keys()).forEach(userName => this.leave(userName));
+        clearInterval(this.presenceSweep);
+        this.observer.disconnect();
+    }
+
+    get(userName) {
+        return this.participants.get(userName) || null;
+    }
+
+    getParticipants() {
+        return Array.from(this.participants.values());
+    }
+
+    getLocalParticipants() {
+        return this.getParticipants().filter(participant => participant.isLocal);
+    }
+
+    /**
+     * Registers a participant's color and avatar (see participantRegistry.js), builds its pane if needed
+     */
+    createParticipantFor(userName, options) {
+        if (this.participants.size >= this.maxParticipants) {
+            console.warn(`Not adding ${userName}: the session is full (${this.maxParticipants} participants)`);
+            return null;
+        }
+
+        const key = options.key || paneKeyFor(userName);
+        if (!isValidPaneKey(key)) {
+            console.warn(`Not adding ${userName}: pane key "${key}" may only contain a-z, 0-9 and -`);
+            return null;
+        }
+        const holder = this.getParticipants().find(participant => participant.key === key);
+        if (holder) {
+            console.warn(`Not adding ${userName}: pane "${key}" belongs to ${holder.userName}`);
+            return null;
+        }
+
+        const { color, avatar } = registerParticipant(userName, { color: options.color, avatar: options.avatar });
+
+        let elements = getPaneElements(key);
+        let dynamic = false;
+        if (!elements.editor) {
+            if (!this.container) {
+                console.warn(`No pane for ${userName} and no container to build one in`);
+                return null;
+            }
+            const paneWindow = createPaneElement(key, userName, color);
+            this.container.appendChild(paneWindow);
+            elements = getPaneElements(key);
+            dynamic = true;
+
+            // Closing a pane built at runtime makes its participant leave
+            paneWindow.querySelector('.pane-close').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.leave(userName);
+            });
+        }
+
+        const participant = createParticipant(userName, key, elements);
+        participant.initialFiles = options.initialFiles || null;
+        participant.dynamic = dynamic;
+        participant.color = color;
+        participant.avatar = avatar;
+        return participant;
+    }
+
+    handleRemotePresence(message) {
+        const { user: userName, state } = message.payload;
+        const participant = this.participants.get(userName);
+
+        if (state === 'leave') {
+            this.remoteLastSeen.delete(userName);
+            // Static panes stay (their status goes inactive); runtime panes go away
+            if (participant && !participant.isLocal && participant.dynamic) {
+                this.leave(userName);
+            }
+            return;
+        }
+
+        // A refused teammate (see createParticipantFor) is tried again on their next heartbeat
+        if (!participant && !this.addRemote(userName)) return;
+        if (!participant || !participant.isLocal) {
+            this.remoteLastSeen.set(userName, Date.now());
+        }
+    }
+
+    expireRemotePresence() {
+        const now = Date.now();
+        this.remoteLastSeen.forEach((lastSeen, userName) => {
+            if (now - lastSeen <= PRESENCE_TIMEOUT) return;
+            this.handleRemotePresence({ payload: { user: userName, state: 'leave' } });
+        });
+    }
+
+    participantsChanged() {
+        this.applyLayout();
+        this.onParticipantsChange(this.getParticipants());
+    }
+
+    /**
+     * Shows or hides panes for the current layout and participant count
+     */
+    applyLayout() {
+        const participants = this.getParticipants();
+        const primary = this.getLocalParticipants()[0];
+
+        participants.forEach(participant => {
+            const paneWindow = participant.elements.window;
+            if (!paneWindow) return;
+            const hidden = this.layout === 'shared' && participant !== primary;
+            paneWindow.classList.toggle('hidden-pane', hidden);
+        });
+
+        if (this.container) {
+            const visible = participants.filter(p => p.elements.window && !p.elements.window.classList.contains('hidden-pane'));
+            this.container.classList.toggle('crowded', visible.length > 2);
+        }
+    }
+}
+
+/**
+ * Checks that a pane key can be used in element ids ('c', 'replay-0')
+ */
+export function isValidPaneKey(key) {
+    return typeof key === 'string' && PANE_KEY_PATTERN.test(key);
+}
+
+/**
+ * Derives a pane key from a participant name ('User C' -> 'c')
+ * Different names can map to the same key ('user c'); the session refuses
+ * the second one (see createParticipantFor).
+ * @returns {string} - A valid pane key
+ */
+export function paneKeyFor(userName) {
+    return userClassFor(userName).replace(/^user-/, '').replace(/^-+|-+$/g, '') || 'participant';
+}
+
+/**
+ * Builds a pane with the same structure as the panes in index.html
+ */
+function createPaneElement(key, userName, color) {
+    const paneWindow = document.createElement('div');
+    paneWindow.className = `code-window ${userClassFor(userName)}`;
+    paneWindow.style.setProperty('--participant-color', color);
+    paneWindow.setAttribute('role', 'region');
+    paneWindow.setAttribute('aria-label', `${userName}'s editor`);
+    paneWindow.innerHTML = `
+        <div class="title-bar">
+            <div class="tabs"></div>
+            <div class="window-controls">
+                <span class="status-indicator" id="status-${key}">● Active</span>
+                <button class="pane-close" title="Leave session" aria-label="Leave session">×</button>
+            </div>
+        </div>
+        <div class="window-body">
+            <div class="line-numbers" id="line-numbers-${key}"><span>1</span></div>
+            <div class="code-editor" contenteditable="true" id="editor-${key}" spellcheck="false" role="textbox" aria-multiline="true"></div>
+            <div class="marker-layer" id="marker-layer-${key}"></div>
+        </div>
+        <div class="status-bar">
+            <div class="status-item">TS</div>
+            <div class="status-item right">
+                <button class="git-btn" id="git-pull-${key}" title="Git Pull">Pull</button>
+                <button class="git-btn" id="git-push-${key}" title="Git Push">Push</button>
+                <span class="status-user" style="margin-left: 10px;"></span>
+            </div>
+        </div>
+    `;
+    paneWindow.querySelector('.status-user').textContent = userName;
+    return paneWindow;
+}
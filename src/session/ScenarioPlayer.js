@@ -0,0 +1,336 @@
+import { getSelectionOffsets, setSelectionOffsets } from '../utils/lineTracking.js';
+
+// Delay between simulated keystrokes
+const DEFAULT_TYPING_DELAY = 70;
+
+// Delay between steps that have no pause of their own
+const DEFAULT_STEP_DELAY = 400;
+
+/**
+ * ScenarioPlayer
+ * Plays scripted teammates (see scenarios.js) in a session's panes. Every
+ * step goes through the same code paths as a real visitor: keystrokes are
+ * beforeinput/input events on the editor, file and branch changes use the
+ * tabs and branch picker, and Push/Pull click the buttons.
+ *
+ * Scripted keystrokes are never prompted about reserved lines: a 'type'
+ * step that runs into a line it may not edit is abandoned with a warning.
+ * A selection the visitor has outside the editors is put back after every
+ * keystroke.
+ *
+ * A scenario is {name, steps}; each step is one of
+ *   {user, action: 'type', text, line?, column?}  - types at the caret, or at line/column (default: end of the line)
+ *   {user, action: 'move', line, column?}         - moves the caret
+ *   {user, action: 'open', file}                  - switches to a file tab
+ *   {user, action: 'branch', branch}              - checks out a branch
+ *   {user, action: 'push'} / {user, action: 'pull'}
+ *   {action: 'pause', ms}
+ */
+export class ScenarioPlayer {
+    constructor(session, options = {}) {
+        this.session = session;
+        this.typingDelay = options.typingDelay || DEFAULT_TYPING_DELAY;
+        this.stepDelay = options.stepDelay || DEFAULT_STEP_DELAY;
+        this.onStop = options.onStop || (() => { });
+        this.playing = false;
+        this.stopped = false;
+        this.timeout = null;
+        this.wake = null;
+        this.carets = new Map(); // userName -> {filePath, offset}, since all panes share one selection
+    }
+
+    /**
+     * Plays scenarios one after another
+     * @param {Array<Object>} scenarios - Scenarios to play
+     * @returns {Promise<boolean>} - True if every scenario ran to the end
+     */
+    async playAll(scenarios) {
+        for (const scenario of scenarios) {
+            const finished = await this.play(scenario);
+            if (!finished) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Plays one scenario
+     * @returns {Promise<boolean>} - False if the player was stopped before the end
+     */
+    async play(scenario) {
+        this.playing = true;
+
+        try {
+            for (const step of scenario.steps) {
+                if (this.stopped) return false;
+                await this.runStep(step);
+                if (step.action !== 'pause') {
+                    await this.sleep(this.stepDelay);
+                }
+            }
+            return !this.stopped;
+        } finally {
+            this.playing = false;
+        }
+    }
+
+    /**
+     * Stops playback; the step in progress ends at its next keystroke
+     */
+    stop() {
+        if (this.stopped) return;
+        this.stopped = true;
+        clearTimeout(this.timeout);
+        if (this.wake) this.wake();
+        this.onStop();
+    }
+
+    /**
+     * Stops playback as soon as a real visitor types or clicks in one of the editors
+     * @param {HTMLElement} root - Element containing the panes
+     * @returns {Function} - Removes the listeners
+     */
+    stopOnVisitorInput(root) {
+        const handleInput = (e) => {
+            // Events the player dispatches itself are untrusted
+            if (e.isTrusted && e.target.closest && e.target.closest('.code-editor')) {
+                this.stop();
+            }
+        };
+        const events = ['keydown', 'beforeinput', 'paste', 'pointerdown'];
+        events.forEach(type => root.addEventListener(type, handleInput, true));
+        return () => events.forEach(type => root.removeEventListener(type, handleInput, true));
+    }
+
+    async runStep(step) {
+        if (step.action === 'pause') {
+            await this.sleep(step.ms || 0);
+            return;
+        }
+
+        const participant = this.session.get(step.user);
+        if (!participant || !participant.isLocal) {
+            console.warn(`Scenario step skipped: ${step.user} is not a local participant`);
+            return;
+        }
+
+        switch (step.action) {
+            case 'type':
+                if (step.line) {
+                    this.keepSelection(() => this.moveCaret(participant, step.line, step.column));
+                }
+                if (!await this.typeText(participant, step.text)) {
+                    console.warn(`Scenario step skipped: ${participant.userName} may not edit the lines at the caret`);
+                }
+                break;
+            case 'move':
+                this.keepSelection(() => this.moveCaret(participant, step.line, step.column));
+                break;
+            case 'open':
+                this.openFile(participant, step.file);
+                break;
+            case 'branch':
+                this.checkoutBranch(participant, step.branch);
+                break;
+            case 'push':
+                if (participant.elements.gitPush) participant.elements.gitPush.click();
+                break;
+            case 'pull':
+                if (participant.elements.gitPull) participant.elements.gitPull.click();
+                break;
+            default:
+                console.warn(`Unknown scenario action "${step.action}"`);
+        }
+    }
+
+    openFile(participant, filePath) {
+        const tab = participant.elements.tabs?.querySelector(`.tab[data-file="${filePath}"]`);
+        if (tab) {
+            tab.click();
+        } else {
+            console.warn(`Scenario step skipped: no tab for ${filePath}`);
+        }
+    }
+
+    checkoutBranch(participant, branch) {
+        const picker = participant.elements.controls?.querySelector('.branch-select');
+        if (!picker) return;
+        picker.value = branch;
+        picker.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    /**
+     * Places the caret in the participant's open file
+     * @param {number} line - Line number (1-based)
+     * @param {number} column - Column (0-based); defaults to the end of the line
+     */
+    moveCaret(participant, line, column = null) {
+        const file = participant.files.get(participant.activeFilePath);
+        if (!file) return;
+
+        const lines = file.editor.getContent().split('\n');
+        const target = Math.min(Math.max(line, 1), lines.length);
+        const lineText = lines[target - 1];
+        const offset = lines.slice(0, target - 1).reduce((sum, text) => sum + text.length + 1, 0) +
+            (column === null ? lineText.length : Math.min(column, lineText.length));
+
+        setSelectionOffsets(file.elements.editor, offset);
+        // Arrow keys report the line on keyup
+        file.elements.editor.dispatchEvent(new KeyboardEvent('keyup', { bubbles: true }));
+        this.saveCaret(participant);
+    }
+
+    saveCaret(participant) {
+        const editor = this.activeEditorElement(participant);
+        const offsets = editor ? getSelectionOffsets(editor) : null;
+        if (offsets) {
+            this.carets.set(participant.userName, { filePath: participant.activeFilePath, offset: offsets.end });
+        }
+    }
+
+    // Helper: Puts the caret back where this participant left it (or at the end of the file)
+    restoreCaret(participant) {
+        const editor = this.activeEditorElement(participant);
+        if (!editor || getSelectionOffsets(editor)) return;
+
+        const caret = this.carets.get(participant.userName);
+        const offset = caret && caret.filePath === participant.activeFilePath ? caret.offset : editor.textContent.length;
+        setSelectionOffsets(editor, Math.min(offset, editor.textContent.length));
+    }
+
+    /**
+     * Types text one keystroke at a time
+     * A newline is an Enter key press, which keeps the current indentation,
+     * so the next line's indentation is corrected with spaces or Backspace.
+     * @returns {Promise<boolean>} - False if a keystroke was blocked (e.g. by a reservation) and the rest left out
+     */
+    async typeText(participant, text) {
+        const lines = text.split('\n');
+
+        for (let i = 0; i < lines.length; i++) {
+            let lineText = lines[i];
+
+            if (i > 0) {
+                const indent = lineText.match(/^ */)[0].length;
+                let autoIndent = 0;
+                const typed = this.keystroke(participant, () => {
+                    if (!this.pressEnter(participant)) return false;
+                    autoIndent = this.currentIndent(participant);
+                    for (let n = autoIndent; n > indent; n--) {
+                        if (!this.pressBackspace(participant)) return false;
+                    }
+                    return true;
+                });
+                if (!typed) return false;
+                lineText = ' '.repeat(Math.max(indent - autoIndent, 0)) + lineText.slice(indent);
+                await this.sleep(this.typingDelay);
+            }
+
+            for (const character of lineText) {
+                if (this.stopped) return true;
+                if (!this.keystroke(participant, () => this.typeCharacter(participant, character))) return false;
+                await this.sleep(this.typingDelay);
+            }
+        }
+        return true;
+    }
+
+    // Helper: Runs one keystroke at the participant's caret, which the page's selection is lent to
+    keystroke(participant, press) {
+        return this.keepSelection(() => {
+            this.restoreCaret(participant);
+            const typed = press();
+            this.saveCaret(participant);
+            return typed;
+        });
+    }
+
+    // Helper: Runs scripted input, then puts back a selection the visitor had outside the editors
+    keepSelection(input) {
+        const selection = window.getSelection();
+        const anchor = selection.rangeCount > 0 ? selection.anchorNode : null;
+        const element = anchor && (anchor.nodeType === Node.ELEMENT_NODE ? anchor : anchor.parentElement);
+        const visitorRange = element && !element.closest('.code-editor') ? selection.getRangeAt(0).cloneRange() : null;
+
+        try {
+            return input();
+        } finally {
+            if (visitorRange) {
+                selection.removeAllRanges();
+                selection.addRange(visitorRange);
+            }
+        }
+    }
+
+    // Helper: One printable keystroke, cancelable like the browser's own
+    typeCharacter(participant, character) {
+        const editor = this.activeEditorElement(participant);
+        if (!editor || !this.beforeInput(editor, 'insertText', character)) return false;
+
+        const selection = window.getSelection();
+        if (selection.rangeCount === 0) return false;
+        const range = selection.getRangeAt(0);
+        range.deleteContents();
+        const textNode = document.createTextNode(character);
+        range.insertNode(textNode);
+        range.setStartAfter(textNode);
+        range.collapse(true);
+        selection.removeAllRanges();
+        selection.addRange(range);
+
+        editor.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: character }));
+        return true;
+    }
+
+    // Helper: Enter is handled by CodeEditor's keydown listener (auto-indent); asked about first like a keystroke
+    pressEnter(participant) {
+        const editor = this.activeEditorElement(participant);
+        if (!editor || !this.beforeInput(editor, 'insertParagraph', null)) return false;
+        editor.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true, cancelable: true }));
+        return true;
+    }
+
+    // Helper: Deletes the character before the caret
+    pressBackspace(participant) {
+        const editor = this.activeEditorElement(participant);
+        if (!editor || !this.beforeInput(editor, 'deleteContentBackward', null)) return false;
+
+        const offsets = getSelectionOffsets(editor);
+        if (!offsets || offsets.start === 0) return true;
+
+        const text = editor.textContent;
+        editor.textContent = text.slice(0, offsets.start - 1) + text.slice(offsets.end);
+        setSelectionOffsets(editor, offsets.start - 1);
+        editor.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'deleteContentBackward' }));
+        return true;
+    }
+
+    // Helper: Fires beforeinput and reports whether the editor let the edit through
+    beforeInput(editor, inputType, data) {
+        const event = new InputEvent('beforeinput', { bubbles: true, cancelable: true, inputType, data });
+        return editor.dispatchEvent(event);
+    }
+
+    // Helper: Indentation of the line the caret is on
+    currentIndent(participant) {
+        const editor = this.activeEditorElement(participant);
+        const offsets = editor ? getSelectionOffsets(editor) : null;
+        if (!offsets) return 0;
+        const before = editor.textContent.slice(0, offsets.start);
+        const lineText = before.slice(before.lastIndexOf('\n') + 1);
+        return lineText.match(/^ */)[0].length;
+    }
+
+    activeEditorElement(participant) {
+        const file = participant.files.get(participant.activeFilePath);
+        return file ? file.elements.editor : null;
+    }
+
+    // Helper: Resolves after ms, or right away once the player stops
+    sleep(ms) {
+        if (this.stopped) return Promise.resolve();
+        return new Promise(resolve => {
+            this.wake = resolve;
+            this.timeout = setTimeout(resolve, ms);
+        });
+    }
+}
@@ -0,0 +1,408 @@
+import { getSelectionOffsets } from '../utils/lineTracking.js';
+import { RESERVATION_POLICIES } from './reservations.js';
+
+// Bumped when the recording format changes
+export const RECORDING_VERSION = 1;
+
+// Participant colors go into the registry's stylesheet, which works out contrast from hex
+const COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+// Fields each event type records besides type, time and user (see SessionRecorder.record)
+const EVENT_FIELDS = {
+    input: ['branch', 'file', 'inputType', 'data', 'editKind', 'content', 'selection'],
+    cursor: ['branch', 'file', 'selection'],
+    history: ['branch', 'file', 'action'],
+    blur: ['branch', 'file'],
+    open: ['file'],
+    branch: ['branch'],
+    push: [],
+    pull: []
+};
+
+/**
+ * SessionRecorder
+ * Records what happens in a session's panes so it can be replayed (see
+ * SessionReplayer): every editor input with the content and caret it
+ * produced, caret moves, undo/redo, blur, file and branch switches, Push
+ * and Pull, and teammates joining or leaving, each with its time since
+ * recording started. Recording starts with a snapshot of every local
+ * participant's files; a teammate joining later is snapshot when it joins.
+ *
+ * Events are captured on the session container, so keystrokes from a
+ * visitor and from the scenario player are recorded alike.
+ */
+export class SessionRecorder {
+    constructor(session) {
+        this.session = session;
+        this.recording = null;
+        this.startTime = 0;
+        this.lastCarets = new Map(); // userName -> last recorded caret, to skip repeats
+        this.cleanup = null;
+        this.notifyParticipants = null; // The session's own onParticipantsChange while recording
+    }
+
+    get isRecording() {
+        return this.cleanup !== null;
+    }
+
+    start() {
+        if (this.isRecording) return;
+
+        this.startTime = Date.now();
+        this.lastCarets.clear();
+        this.recording = {
+            version: RECORDING_VERSION,
+            startedAt: new Date(this.startTime).toISOString(),
+            reservationPolicy: this.session.reservationPolicy || null,
+            reservationTtl: this.session.reservationTtl || null,
+            participants: this.session.getLocalParticipants().map(participant => snapshotParticipant(participant, 0)),
+            events: []
+        };
+
+        this.notifyParticipants = this.session.onParticipantsChange;
+        this.session.onParticipantsChange = (participants) => {
+            this.notifyParticipants(participants);
+            this.recordParticipants();
+        };
+
+        const detach = this.attach(this.session.container || document);
+        this.cleanup = () => {
+            detach();
+            this.session.onParticipantsChange = this.notifyParticipants;
+        };
+    }
+
+    /**
+     * Stops recording
+     * @returns {Object|null} - The recording
+     */
+    stop() {
+        if (this.cleanup) {
+            this.cleanup();
+            this.cleanup = null;
+        }
+        return this.recording;
+    }
+
+    /**
+     * Serializes the recording for download
+     */
+    export() {
+        return this.recording ? JSON.stringify(this.recording, null, 2) : null;
+    }
+
+    attach(root) {
+        const listeners = {
+            input: (e) => this.recordInput(e),
+            keyup: (e) => this.recordCaret(e),
+            mouseup: (e) => this.recordCaret(e),
+            click: (e) => this.recordClick(e),
+            keydown: (e) => this.recordHistoryKey(e),
+            beforeinput: (e) => this.recordHistoryInput(e),
+            blur: (e) => this.recordBlur(e),
+            change: (e) => this.recordBranch(e)
+        };
+        // Capture phase: the event is recorded before the pane reacts to it
+        Object.entries(listeners).forEach(([type, listener]) => root.addEventListener(type, listener, true));
+        return () => Object.entries(listeners).forEach(([type, listener]) => root.removeEventListener(type, listener, true));
+    }
+
+    record(type, participant, fields = {}) {
+        this.recording.events.push({
+            type,
+            time: this.elapsed(),
+            user: participant.userName,
+            ...fields
+        });
+    }
+
+    elapsed() {
+        return Date.now() - this.startTime;
+    }
+
+    // Teammates added or removed while recording
+    recordParticipants() {
+        const local = this.session.getLocalParticipants();
+        const present = this.recording.participants.filter(snapshot => snapshot.leftAt === undefined);
+
+        local.forEach(participant => {
+            if (!present.some(snapshot => snapshot.userName === participant.userName)) {
+                this.recording.participants.push(snapshotParticipant(participant, this.elapsed()));
+            }
+        });
+        present.forEach(snapshot => {
+            if (!local.some(participant => participant.userName === snapshot.userName)) {
+                snapshot.leftAt = this.elapsed();
+            }
+        });
+    }
+
+    recordInput(e) {
+        const target = this.locate(e.target);
+        if (!target || !target.editor) return;
+
+        const { participant, file, editor } = target;
+        this.record('input', participant, {
+            branch: file.branch,
+            file: file.filePath,
+            inputType: e.inputType || null,
+            data: e.data ?? null,
+            // Edits the editor makes itself (Enter, Tab, paste) say so before their input event
+            editKind: file.editor ? file.editor.pendingEditKind : null,
+            content: editor.textContent,
+            selection: getSelectionOffsets(editor)
+        });
+        this.lastCarets.delete(participant.userName);
+    }
+
+    recordCaret(e) {
+        const target = this.locate(e.target);
+        if (!target || !target.editor) return;
+
+        const { participant, file, editor } = target;
+        const selection = getSelectionOffsets(editor);
+        if (!selection) return;
+
+        const key = `${file.branch}:${file.filePath}:${selection.start}-${selection.end}`;
+        if (this.lastCarets.get(participant.userName) === key) return;
+        this.lastCarets.set(participant.userName, key);
+
+        this.record('cursor', participant, { branch: file.branch, file: file.filePath, selection });
+    }
+
+    recordClick(e) {
+        if (e.target.closest('.code-editor')) {
+            this.recordCaret(e);
+            return;
+        }
+
+        const target = this.locate(e.target);
+        if (!target) return;
+        const { participant } = target;
+
+        const tab = e.target.closest('.tab[data-file]');
+        if (tab) {
+            this.record('open', participant, { file: tab.dataset.file });
+        } else if (e.target === participant.elements.gitPush) {
+            this.record('push', participant);
+        } else if (e.target === participant.elements.gitPull) {
+            this.record('pull', participant);
+        }
+    }
+
+    // Undo/redo replace the content without an input event
+    recordHistoryKey(e) {
+        const modifier = e.ctrlKey || e.metaKey;
+        if (!modifier || e.altKey) return;
+
+        const key = e.key.toLowerCase();
+        if (key !== 'z' && key !== 'y') return;
+
+        const target = this.locate(e.target);
+        if (!target || !target.editor) return;
+
+        this.record('history', target.participant, {
+            branch: target.file.branch,
+            file: target.file.filePath,
+            action: key === 'y' || e.shiftKey ? 'redo' : 'undo'
+        });
+    }
+
+    // Undo/redo from the browser's Edit menu
+    recordHistoryInput(e) {
+        if (e.inputType !== 'historyUndo' && e.inputType !== 'historyRedo') return;
+
+        const target = this.locate(e.target);
+        if (!target || !target.editor) return;
+
+        this.record('history', target.participant, {
+            branch: target.file.branch,
+            file: target.file.filePath,
+            action: e.inputType === 'historyRedo' ? 'redo' : 'undo'
+        });
+    }
+
+    // Leaving an editor releases its reservations (after CodeEditor's grace period)
+    recordBlur(e) {
+        const target = this.locate(e.target);
+        if (!target || !target.editor || e.target !== target.editor) return;
+
+        this.record('blur', target.participant, { branch: target.file.branch, file: target.file.filePath });
+    }
+
+    recordBranch(e) {
+        if (!e.target.classList || !e.target.classList.contains('branch-select')) return;
+
+        const target = this.locate(e.target);
+        if (target) {
+            this.record('branch', target.participant, { branch: e.target.value });
+        }
+    }
+
+    /**
+     * Finds the participant (and file, inside an editor) an event happened in
+     */
+    locate(element) {
+        const paneWindow = element.closest ? element.closest('.code-window') : null;
+        const participant = this.session.getLocalParticipants().find(p => p.elements.window === paneWindow);
+        if (!participant) return null;
+
+        const editor = element.closest('.code-editor');
+        const body = editor ? editor.closest('.window-body') : null;
+        const file = body ? participant.branches.get(body.dataset.branch)?.get(body.dataset.file) : null;
+        return { participant, file: file || null, editor: file ? editor : null };
+    }
+}
+
+/**
+ * Checks that parsed JSON is a recording this version can replay
+ * Recordings are loaded from files anyone can hand over, so every
+ * participant and event is checked against what SessionRecorder writes;
+ * unknown fields are errors, as in the wire protocol (see protocol.js).
+ * @returns {Object} - The recording
+ * @throws {Error} - If it is not
+ */
+export function parseRecording(json) {
+    const recording = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!recording || recording.version !== RECORDING_VERSION) {
+        throw new Error(`Unsupported recording version ${recording && recording.version} (expected ${RECORDING_VERSION})`);
+    }
+    if (!Array.isArray(recording.participants) || !Array.isArray(recording.events)) {
+        throw new Error('Recording needs participants and events');
+    }
+
+    expectFields(recording, ['version', 'startedAt', 'reservationPolicy', 'reservationTtl', 'participants', 'events'], 'recording');
+    expectString(recording.startedAt, 'startedAt');
+    if (recording.reservationPolicy != null && !RESERVATION_POLICIES.includes(recording.reservationPolicy)) {
+        throw new Error(`reservationPolicy must be one of ${RESERVATION_POLICIES.join(', ')}`);
+    }
+    if (recording.reservationTtl != null && !(Number.isFinite(recording.reservationTtl) && recording.reservationTtl > 0)) {
+        throw new Error('reservationTtl must be a positive number');
+    }
+
+    recording.participants.forEach((snapshot, index) => validateSnapshot(snapshot, `participants[${index}]`));
+    const userNames = new Set(recording.participants.map(snapshot => snapshot.userName));
+    recording.events.forEach((event, index) => validateEvent(event, `events[${index}]`, userNames));
+    return recording;
+}
+
+// Helper: A participant as snapshotParticipant writes it, plus leftAt once it left
+function validateSnapshot(snapshot, name) {
+    expectFields(snapshot, ['userName', 'color', 'branch', 'activeFilePath', 'joinedAt', 'leftAt', 'files'], name);
+    expectString(snapshot.userName, `${name}.userName`);
+    if (typeof snapshot.color !== 'string' || !COLOR_PATTERN.test(snapshot.color)) {
+        throw new Error(`${name}.color must be a hex color such as #00ff99`);
+    }
+    expectString(snapshot.branch, `${name}.branch`);
+    if (snapshot.activeFilePath !== null) {
+        expectString(snapshot.activeFilePath, `${name}.activeFilePath`);
+    }
+    expectTime(snapshot.joinedAt, `${name}.joinedAt`);
+    if (snapshot.leftAt !== undefined) {
+        expectTime(snapshot.leftAt, `${name}.leftAt`);
+    }
+
+    expectObject(snapshot.files, `${name}.files`);
+    Object.entries(snapshot.files).forEach(([branch, files]) => {
+        expectObject(files, `${name}.files.${branch}`);
+        Object.entries(files).forEach(([filePath, content]) => {
+            if (typeof content !== 'string') {
+                throw new Error(`${name}.files.${branch}.${filePath} must be a string`);
+            }
+        });
+    });
+}
+
+// Helper: An event as SessionRecorder.record writes it, by someone in the recording
+function validateEvent(event, name, userNames) {
+    expectObject(event, name);
+    const fields = EVENT_FIELDS[event.type];
+    if (!fields) {
+        throw new Error(`${name}.type must be one of ${Object.keys(EVENT_FIELDS).join(', ')}`);
+    }
+    expectFields(event, ['type', 'time', 'user', ...fields], name);
+    expectTime(event.time, `${name}.time`);
+    if (!userNames.has(event.user)) {
+        throw new Error(`${name}.user must be a participant of the recording`);
+    }
+
+    fields.forEach(field => {
+        const value = event[field];
+        const path = `${name}.${field}`;
+        switch (field) {
+            case 'branch':
+            case 'file':
+                expectString(value, path);
+                break;
+            case 'content':
+                if (typeof value !== 'string') throw new Error(`${path} must be a string`);
+                break;
+            case 'inputType':
+            case 'data':
+            case 'editKind':
+                if (value !== null && typeof value !== 'string') throw new Error(`${path} must be a string or null`);
+                break;
+            case 'selection':
+                // Inputs record null when the caret is outside the editor
+                if (value !== null || event.type !== 'input') expectSelection(value, path);
+                break;
+            case 'action':
+                if (value !== 'undo' && value !== 'redo') throw new Error(`${path} must be undo or redo`);
+                break;
+        }
+    });
+}
+
+function expectObject(value, name) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error(`${name} must be an object`);
+    }
+}
+
+function expectFields(value, allowed, name) {
+    expectObject(value, name);
+    Object.keys(value).forEach(key => {
+        if (!allowed.includes(key)) {
+            throw new Error(`unexpected field "${name}.${key}"`);
+        }
+    });
+}
+
+function expectString(value, name) {
+    if (typeof value !== 'string' || value.length === 0) {
+        throw new Error(`${name} must be a non-empty string`);
+    }
+}
+
+function expectTime(value, name) {
+    if (!Number.isFinite(value) || value < 0) {
+        throw new Error(`${name} must be a number of ms since recording started`);
+    }
+}
+
+function expectSelection(value, name) {
+    expectFields(value, ['start', 'end'], name);
+    if (!Number.isInteger(value.start) || !Number.isInteger(value.end) || value.start < 0 || value.end < 0) {
+        throw new Error(`${name} must have start and end offsets`);
+    }
+}
+
+// Helper: What a participant had open when recording started (or when it joined)
+function snapshotParticipant(participant, joinedAt) {
+    const files = {};
+    participant.branches.forEach((branchFiles, branch) => {
+        files[branch] = {};
+        branchFiles.forEach((file, filePath) => {
+            files[branch][filePath] = file.editor.getContent();
+        });
+    });
+
+    return {
+        userName: participant.userName,
+        color: participant.color,
+        branch: participant.branch,
+        activeFilePath: participant.activeFilePath,
+        joinedAt,
+        files
+    };
+}
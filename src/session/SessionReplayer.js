@@ -0,0 +1,302 @@
+import { CollaborationSession } from './CollaborationSession.js';
+import { setSelectionOffsets } from '../utils/lineTracking.js';
+
+// How often playback advances
+const TICK_INTERVAL = 50;
+
+// Replays get their own in-memory room so they never reach the live panes
+let replayCount = 0;
+
+/**
+ * SessionReplayer
+ * Plays a recording (see SessionRecorder) into fresh panes. Each recorded
+ * participant joins a new in-memory session with the files it had when
+ * recording started, and every event goes through the same code paths it
+ * took when it was recorded: inputs are input events on the editor, caret
+ * moves are keyups, undo/redo are their shortcuts, and tabs, the branch
+ * picker and Push/Pull are clicked. Markers, reservations and conflicts
+ * are rebuilt by the panes themselves, just as they were live.
+ *
+ * Edit history is grouped by recorded time, so undo behaves the same at
+ * any speed. Seeking backwards rebuilds the panes and replays from the start.
+ */
+export class SessionReplayer {
+    constructor(recording, container, options = {}) {
+        this.recording = recording;
+        this.container = container; // Element the replay panes are built in
+        this.onProgress = options.onProgress || (() => { });
+        this.onEnd = options.onEnd || (() => { });
+        this.startTime = Date.parse(recording.startedAt) || 0;
+        this.timeline = buildTimeline(recording);
+        this.duration = this.timeline.length > 0 ? this.timeline[this.timeline.length - 1].time : 0;
+        this.speed = 1;
+        this.position = 0; // ms into the recording
+        this.index = 0; // Next timeline entry to apply
+        this.session = null;
+        this.interval = null;
+        this.lastTick = 0;
+        this.busy = false;
+        this.build();
+    }
+
+    get isPlaying() {
+        return this.interval !== null;
+    }
+
+    play() {
+        if (this.isPlaying) return;
+        if (this.position >= this.duration) {
+            this.seek(0).then(() => this.play());
+            return;
+        }
+        this.lastTick = Date.now();
+        this.interval = setInterval(() => this.tick(), TICK_INTERVAL);
+    }
+
+    pause() {
+        clearInterval(this.interval);
+        this.interval = null;
+    }
+
+    setSpeed(speed) {
+        this.speed = speed > 0 ? speed : 1;
+    }
+
+    /**
+     * Moves playback to a point in the recording
+     * @param {number} time - ms into the recording
+     * @returns {Promise} - Resolves once every event up to that point is applied
+     */
+    async seek(time) {
+        const wasPlaying = this.isPlaying;
+        this.pause();
+        while (this.busy) {
+            await nextTask();
+        }
+
+        const target = Math.min(Math.max(time, 0), this.duration);
+        if (target < this.position) {
+            this.build();
+        }
+        await this.applyUntil(target);
+        this.position = target;
+        this.onProgress(this.position);
+
+        if (wasPlaying) this.play();
+    }
+
+    async tick() {
+        if (this.busy) return;
+
+        const now = Date.now();
+        const target = Math.min(this.position + (now - this.lastTick) * this.speed, this.duration);
+        this.lastTick = now;
+
+        await this.applyUntil(target);
+        this.position = target;
+        this.onProgress(this.position);
+
+        if (this.position >= this.duration) {
+            this.pause();
+            this.onEnd();
+        }
+    }
+
+    async applyUntil(time) {
+        this.busy = true;
+        try {
+            while (this.index < this.timeline.length && this.timeline[this.index].time <= time) {
+                const entry = this.timeline[this.index++];
+                this.position = entry.time;
+                this.apply(entry);
+                // Let teammates receive the activity before the next event, as they did live
+                await nextTask();
+            }
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    /**
+     * Builds fresh panes with the participants present when recording started
+     */
+    build() {
+        if (this.session) {
+            this.session.dispose();
+        }
+        this.container.innerHTML = '';
+        this.position = 0;
+        this.index = 0;
+
+        this.session = new CollaborationSession(this.container, {
+            room: `synq-replay-${++replayCount}`,
+            reservationPolicy: this.recording.reservationPolicy || undefined,
+            reservationTtl: this.recording.reservationTtl || undefined,
+            clock: () => this.startTime + this.position
+        });
+        this.recording.participants
+            .filter(snapshot => !snapshot.joinedAt)
+            .forEach(snapshot => this.join(snapshot));
+    }
+
+    join(snapshot) {
+        const index = this.recording.participants.indexOf(snapshot);
+        const participant = this.session.join(snapshot.userName, {
+            key: `replay-${index}`,
+            color: snapshot.color,
+            initialFiles: snapshot.files
+        });
+        if (!participant) return;
+
+        this.ensureView(participant, snapshot.branch, snapshot.activeFilePath);
+    }
+
+    apply(entry) {
+        if (entry.type === 'join') {
+            this.join(entry.snapshot);
+            return;
+        }
+        if (entry.type === 'leave') {
+            this.session.leave(entry.user);
+            return;
+        }
+
+        const participant = this.session.get(entry.user);
+        if (!participant) {
+            console.warn(`Replay event skipped: ${entry.user} is not in the replay`);
+            return;
+        }
+
+        switch (entry.type) {
+            case 'input':
+                this.applyInput(participant, entry);
+                break;
+            case 'cursor':
+                this.applyCaret(participant, entry);
+                break;
+            case 'history':
+                this.applyHistory(participant, entry);
+                break;
+            case 'blur':
+                this.applyBlur(participant, entry);
+                break;
+            case 'open':
+                this.ensureView(participant, null, entry.file);
+                break;
+            case 'branch':
+                this.ensureView(participant, entry.branch, null);
+                break;
+            case 'push':
+                if (participant.elements.gitPush) participant.elements.gitPush.click();
+                break;
+            case 'pull':
+                if (participant.elements.gitPull) participant.elements.gitPull.click();
+                break;
+            default:
+                console.warn(`Unknown replay event "${entry.type}"`);
+        }
+    }
+
+    applyInput(participant, entry) {
+        const file = this.ensureView(participant, entry.branch, entry.file);
+        if (!file) return;
+
+        const editor = file.elements.editor;
+        file.editor.pendingEditKind = entry.editKind;
+        editor.textContent = entry.content;
+        if (entry.selection) {
+            setSelectionOffsets(editor, entry.selection.start, entry.selection.end);
+        }
+        editor.dispatchEvent(new InputEvent('input', {
+            bubbles: true,
+            inputType: entry.inputType || '',
+            data: entry.data
+        }));
+    }
+
+    applyCaret(participant, entry) {
+        const file = this.ensureView(participant, entry.branch, entry.file);
+        if (!file || !entry.selection) return;
+
+        setSelectionOffsets(file.elements.editor, entry.selection.start, entry.selection.end);
+        file.elements.editor.dispatchEvent(new KeyboardEvent('keyup', { bubbles: true }));
+    }
+
+    applyHistory(participant, entry) {
+        const file = this.ensureView(participant, entry.branch, entry.file);
+        if (!file) return;
+
+        file.elements.editor.dispatchEvent(new KeyboardEvent('keydown', {
+            key: 'z',
+            ctrlKey: true,
+            shiftKey: entry.action === 'redo',
+            bubbles: true,
+            cancelable: true
+        }));
+    }
+
+    applyBlur(participant, entry) {
+        const file = this.ensureView(participant, entry.branch, entry.file);
+        if (file) {
+            file.elements.editor.dispatchEvent(new FocusEvent('blur'));
+        }
+    }
+
+    /**
+     * Checks out the branch and opens the file an event happened in
+     * @returns {Object|null} - The file view, when a file was given
+     */
+    ensureView(participant, branch, filePath) {
+        if (branch && participant.branch !== branch) {
+            const picker = participant.elements.controls?.querySelector('.branch-select');
+            if (picker) {
+                picker.value = branch;
+                picker.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+        }
+        if (filePath && participant.activeFilePath !== filePath) {
+            // Compared through the dataset: a recorded path is not safe to put in a selector
+            const tabs = participant.elements.tabs ? Array.from(participant.elements.tabs.querySelectorAll('.tab[data-file]')) : [];
+            const tab = tabs.find(candidate => candidate.dataset.file === filePath);
+            if (tab) tab.click();
+        }
+        return filePath ? participant.files.get(filePath) || null : null;
+    }
+
+    dispose() {
+        this.pause();
+        if (this.session) {
+            this.session.dispose();
+            this.session = null;
+        }
+        this.container.innerHTML = '';
+    }
+}
+
+// Helper: Recorded events plus teammates joining and leaving, in time order
+function buildTimeline(recording) {
+    const entries = [...recording.events];
+    recording.participants.forEach(snapshot => {
+        if (snapshot.joinedAt) {
+            entries.push({ type: 'join', time: snapshot.joinedAt, user: snapshot.userName, snapshot });
+        }
+        if (snapshot.leftAt !== undefined) {
+            entries.push({ type: 'leave', time: snapshot.leftAt, user: snapshot.userName });
+        }
+    });
+    // Array.prototype.sort is stable, so same-time events keep their recorded order
+    return entries.sort((a, b) => a.time - b.time);
+}
+
+// Helper: Resolves after pending transport messages are delivered
+// (a message channel task, since chained timeouts are throttled to 4ms)
+function nextTask() {
+    return new Promise(resolve => {
+        const channel = new MessageChannel();
+        channel.port1.onmessage = () => {
+            channel.port1.close();
+            resolve();
+        };
+        channel.port2.postMessage(null);
+    });
+}
@@ -0,0 +1,137 @@
+import { debounce } from '../utils/domUtils.js';
+
+// Bumped when the saved format changes; saves in another format are dropped
+export const WORKSPACE_SCHEMA_VERSION = 1;
+
+// How long the panes have to be quiet before the workspace is saved
+const SAVE_DELAY = 1000;
+
+// Room messages that change what a pane holds (carets are not saved); of presence, only leaves do
+const SAVED_MESSAGE_TYPES = ['activity', 'push', 'pull', 'presence'];
+
+/**
+ * WorkspaceStore
+ * Keeps the demo workspace in localStorage so a reload brings it back:
+ * every local participant's open branches with each file's content,
+ * baselines, pushed and pending snapshots, reservations, markers, gutter
+ * icons and change blocks (see the file views' snapshot/restore). Saves
+ * carry WORKSPACE_SCHEMA_VERSION; a save in another version is ignored.
+ *
+ * Participants in other tabs are not saved here, each tab keeps its own.
+ */
+export class WorkspaceStore {
+    constructor(key, storage = window.localStorage) {
+        this.key = key; // Storage key, one per room and tab role
+        this.storage = storage;
+        this.stopAutosave = null;
+    }
+
+    /**
+     * Reads the saved workspace
+     * @returns {Object|null} - {version, savedAt, participants}, or null if nothing usable was saved
+     */
+    load() {
+        let workspace;
+        try {
+            const json = this.storage.getItem(this.key);
+            if (!json) return null;
+            workspace = JSON.parse(json);
+        } catch (error) {
+            console.warn(`Could not read the saved workspace: ${error.message}`);
+            return null;
+        }
+
+        if (!workspace || workspace.version !== WORKSPACE_SCHEMA_VERSION || !Array.isArray(workspace.participants)) {
+            console.warn(`Ignoring saved workspace version ${workspace && workspace.version} (expected ${WORKSPACE_SCHEMA_VERSION})`);
+            return null;
+        }
+        return workspace;
+    }
+
+    /**
+     * Writes every local participant of the session
+     */
+    save(session) {
+        const workspace = {
+            version: WORKSPACE_SCHEMA_VERSION,
+            savedAt: new Date().toISOString(),
+            participants: session.getLocalParticipants().map(participant => snapshotParticipant(participant))
+        };
+
+        try {
+            this.storage.setItem(this.key, JSON.stringify(workspace));
+        } catch (error) {
+            console.warn(`Could not save the workspace: ${error.message}`);
+        }
+    }
+
+    clear() {
+        this.stop();
+        try {
+            this.storage.removeItem(this.key);
+        } catch (error) {
+            console.warn(`Could not clear the saved workspace: ${error.message}`);
+        }
+    }
+
+    /**
+     * Saves the session shortly after anything changes in its panes or room, and before the page goes away
+     */
+    autosave(session) {
+        this.stop();
+
+        let active = true;
+        const save = () => {
+            // A save already scheduled when autosave stopped (e.g. by clear) is dropped
+            if (active) this.save(session);
+        };
+        const scheduleSave = debounce(save, SAVE_DELAY);
+        const saveIfHidden = () => {
+            if (document.visibilityState === 'hidden') save();
+        };
+
+        const root = session.container || document;
+        const unsubscribes = SAVED_MESSAGE_TYPES.map(type => session.observer.on(type, (message) => {
+            if (type !== 'presence' || message.payload.state === 'leave') scheduleSave();
+        }));
+        ['input', 'click', 'change'].forEach(type => root.addEventListener(type, scheduleSave, true));
+        // Panes announce their leave on pagehide and teammates then drop their markers,
+        // so the last save happens on beforeunload, which comes first
+        window.addEventListener('beforeunload', save);
+        document.addEventListener('visibilitychange', saveIfHidden);
+
+        this.stopAutosave = () => {
+            active = false;
+            unsubscribes.forEach(unsubscribe => unsubscribe());
+            ['input', 'click', 'change'].forEach(type => root.removeEventListener(type, scheduleSave, true));
+            window.removeEventListener('beforeunload', save);
+            document.removeEventListener('visibilitychange', saveIfHidden);
+        };
+    }
+
+    stop() {
+        if (this.stopAutosave) {
+            this.stopAutosave();
+            this.stopAutosave = null;
+        }
+    }
+}
+
+// Helper: A participant's branches and files, as file snapshots
+function snapshotParticipant(participant) {
+    const branches = {};
+    participant.branches.forEach((files, branch) => {
+        branches[branch] = {};
+        files.forEach((file, filePath) => {
+            branches[branch][filePath] = file.snapshot();
+        });
+    });
+
+    return {
+        userName: participant.userName,
+        key: participant.key,
+        branch: participant.branch,
+        activeFilePath: participant.activeFilePath,
+        branches
+    };
+}
@@ -0,0 +1,1253 @@
+import { CodeEditor } from '../components/CodeEditor.js';
+import { Marker } from '../components/Marker.js';
+import { GutterIcons } from '../components/GutterIcons.js';
+import { ChangeBlock } from '../components/ChangeBlock.js';
+import { ConflictWarning } from '../components/ConflictWarning.js';
+import { threeWayMerge, applyChangesInRange } from '../utils/merge.js';
+import { languageForPath } from '../utils/syntaxHighlight.js';
+import { observeLineGeometry, getLineRangeBox } from '../utils/lineGeometry.js';
+import { getCurrentLine, describeLines } from '../utils/lineTracking.js';
+import { getParticipant, userClassFor } from '../utils/participantRegistry.js';
+import {
+    DEFAULT_RESERVATION_POLICY,
+    DEFAULT_RESERVATION_TTL,
+    reserveLines,
+    renewReservations,
+    releaseReservations,
+    expireReservations,
+    findConflict,
+    conflictRanges,
+    lockStateFor
+} from './reservations.js';
+
+// A teammate's edits are announced again after this long without activity from them
+const ANNOUNCE_IDLE_TIME = 10000;
+
+// How long lines picked in the activity feed stay highlighted (matches the line-flash animation)
+const LINE_FLASH_DURATION = 1500;
+
+export { userClassFor };
+
+/**
+ * File views
+ * One workspace file inside a pane: its editor, its decorations (gutter
+ * icons, teammates' markers, change blocks) and the collaboration state
+ * kept for it. A pane holds one view per file and shows the active one.
+ */
+
+/**
+ * Creates the state held for one file
+ * @param {string} filePath - Workspace path, e.g. 'utils.js'
+ * @param {Object} elements - {body, editor, markerLayer, lineNumbers}
+ * @param {string} branch - Branch the file is checked out from
+ * @returns {Object} - The file view record
+ */
+export function createFileView(filePath, elements, branch) {
+    return {
+        filePath,
+        branch,
+        language: languageForPath(filePath),
+        elements,
+        editor: null,
+        markers: new Map(), // Teammates' markers: userName -> Marker
+        gutterIcons: null,
+        changeBlocks: null,
+        conflictWarning: null,
+        state: {
+            changes: new Map(), // lineNumber -> change
+            deletions: new Map(), // Line the deleted lines sat above -> {beforeLine, lines, userName, timestamp}
+            reservations: new Map(), // lineNumber -> {userName, timestamp, confirmed} (see reservations.js)
+            remoteReservations: new Map(), // Teammates' reservations, from activity messages
+            pendingPushes: new Map(), // userName -> push payload not pulled yet
+            mergeBases: new Map(), // userName -> last content shared with that teammate
+            blockBases: new Map(), // userName -> merge base that already has the change blocks taken or rejected
+            handledBlocks: new Set(), // IDs of change blocks taken or rejected, not shown again
+            recentAdditions: [], // Array of {line, content, timestamp}
+            recentEdits: [],
+            baselineContent: '',
+            initialContent: '',
+            lastPushedContent: null
+        }
+    };
+}
+
+/**
+ * Builds the editor, gutter and marker layer for a file that has no
+ * elements in the page yet
+ * @returns {Object} - {body, editor, markerLayer, lineNumbers}
+ */
+export function buildFileElements(filePath, branch) {
+    const body = document.createElement('div');
+    body.className = 'window-body';
+    body.dataset.file = filePath;
+    body.dataset.branch = branch;
+    body.innerHTML = `
+        <div class="line-numbers"><span>1</span></div>
+        <div class="code-editor" contenteditable="true" spellcheck="false" role="textbox" aria-multiline="true"></div>
+        <div class="marker-layer"></div>
+    `;
+    return {
+        body,
+        editor: body.querySelector('.code-editor'),
+        markerLayer: body.querySelector('.marker-layer'),
+        lineNumbers: body.querySelector('.line-numbers')
+    };
+}
+
+/**
+ * Wires a file the local participant edits
+ * Local edits in this file are published as activity messages; the
+ * participant routes incoming messages for this file to the receive*
+ * functions added to the record.
+ * @param {Object} participant - The participant the file belongs to (userName, transport)
+ * @param {Object} file - Record from createFileView
+ * @param {Object} options - The initial content, the reservationPolicy and reservationTtl,
+ *   onLockChange (called when the lock state may have changed), announce (reads a message out
+ *   to screen readers, see LiveRegion), softWrap and an optional clock for the edit history
+ */
+export function connectFileView(participant, file, options = {}) {
+    const { userName, transport } = participant;
+    const { markers, state, filePath, branch } = file;
+    const { editor, markerLayer, lineNumbers } = file.elements;
+    const reservationPolicy = options.reservationPolicy || DEFAULT_RESERVATION_POLICY;
+    const reservationTtl = options.reservationTtl || DEFAULT_RESERVATION_TTL;
+    const onLockChange = options.onLockChange || (() => { });
+    const announce = options.announce || (() => { });
+
+    if (options.content && !editor.textContent) {
+        editor.textContent = options.content;
+    }
+    editor.setAttribute('aria-label', filePath);
+    editor.setAttribute('aria-keyshortcuts', 'F7 Shift+F7');
+    markerLayer.setAttribute('aria-label', `Teammates' activity in ${filePath}`);
+
+    // Create gutter icons
+    const gutterIcons = new GutterIcons(lineNumbers, {
+        onIconClick: (line) => codeEditor.focusLine(line)
+    });
+
+    // Create change blocks
+    const changeBlocks = new ChangeBlock(editor, {
+        onInsertBefore: (blockId, startLine) => insertBlock(blockId, startLine - 1),
+        onInsertAfter: (blockId, endLine) => insertBlock(blockId, endLine),
+        onInsertBetween: (blockId, startLine, midLine) => insertBlock(blockId, midLine),
+        onAccept: (blockId) => acceptBlock(blockId),
+        onReject: (blockId) => rejectBlock(blockId)
+    });
+
+    // Lines we and a teammate both hold (see reservations.js)
+    const conflictWarning = new ConflictWarning(editor, markerLayer, file.elements.body, { userName });
+
+    // Lines near the editor's viewport, reported by the CodeEditor
+    let viewport = null;
+
+    // Teammate -> {startLine, endLine, timestamp} of the edits last announced for them
+    const announcedEdits = new Map();
+
+    function markerFor(teammate) {
+        if (!markers.has(teammate)) {
+            const marker = new Marker(markerLayer, { userClass: getParticipant(teammate).className });
+            if (viewport) marker.setViewport(viewport.startLine, viewport.endLine);
+            markers.set(teammate, marker);
+        }
+        return markers.get(teammate);
+    }
+
+    function handleViewportChange(next) {
+        const scrolled = !viewport || viewport.scrollTop !== next.scrollTop;
+        const scrolledSideways = viewport && viewport.scrollLeft !== next.scrollLeft;
+        viewport = next;
+        // The marker layer doesn't scroll with the editor, so its content is moved instead
+        markerLayer.style.transform = next.scrollTop ? `translateY(${-next.scrollTop}px)` : '';
+        markers.forEach(marker => marker.setViewport(next.startLine, next.endLine));
+        gutterIcons.setViewport(next.startLine, next.endLine);
+        // Change blocks sit outside the marker layer
+        if (scrolled) changeBlocks.updatePositions();
+        // Carets and selections are placed by column, which moves with horizontal scrolling
+        if (scrolledSideways) markers.forEach(marker => marker.updateCursorVisuals());
+    }
+
+    // Awareness messages carry metadata only (see transport/protocol.js)
+    function sendActivity(editType, startLine, endLine, extra = {}) {
+        transport.send('activity', {
+            filePath,
+            branch,
+            lineRange: { start: startLine, end: endLine },
+            editType,
+            timestamp: Date.now(),
+            user: userName,
+            ...extra
+        });
+    }
+
+    // Where our caret and selection are; without a selection the caret left the file
+    function sendCursor(selection) {
+        transport.send('cursor', {
+            filePath,
+            branch,
+            timestamp: Date.now(),
+            user: userName,
+            ...(selection ? { caret: selection.caret, anchor: selection.anchor } : {})
+        });
+    }
+
+    function handleLocalChange(line, changeType) {
+        const content = codeEditor.getContent();
+
+        // Detect range insertion/edit
+        const detectRange = changeType === 'added' ? detectRangeInsertion : detectRangeEdit;
+        const recent = changeType === 'added' ? state.recentAdditions : state.recentEdits;
+        const rangeResult = detectRange(line, content, state.baselineContent, recent, userName, state.changes, state.reservations);
+
+        let startLine = line;
+        let endLine = line;
+
+        if (rangeResult.isRange) {
+            startLine = rangeResult.startLine;
+            endLine = rangeResult.endLine;
+        } else {
+            const lines = content.split('\n');
+
+            // Check for overlap
+            const conflict = findConflict(state.remoteReservations, line, line, userName);
+            if (conflict) {
+                console.warn(`Conflict detected: ${userName} trying to edit line ${line} reserved by ${conflict.userName}`);
+            }
+
+            // Reserve territory
+            reserveLines(state.reservations, line, line, userName);
+
+            // Track change
+            state.changes.set(line, {
+                changeType,
+                userName,
+                lineNumber: line,
+                lineContent: lines[line - 1] || '',
+                timestamp: Date.now()
+            });
+        }
+
+        sendActivity(changeType, startLine, endLine);
+        renderConflicts();
+    }
+
+    function handleLocalDeletion(deletion) {
+        const { startLine, endLine, lines, beforeLine } = deletion;
+
+        // Deleted lines are no longer pending changes or ours to reserve
+        for (let line = startLine; line <= endLine; line++) {
+            state.changes.delete(line);
+            state.reservations.delete(line);
+        }
+
+        // Repeated deletions at one spot (e.g. deleting line after line) add up
+        const existing = state.deletions.get(beforeLine);
+        state.deletions.set(beforeLine, {
+            beforeLine,
+            lines: existing ? [...existing.lines, ...lines] : lines,
+            userName,
+            timestamp: Date.now()
+        });
+
+        sendActivity('deleted', beforeLine, beforeLine, { deletedCount: lines.length });
+        renderConflicts();
+    }
+
+    // Leaving the editor or pushing hands our lines back
+    function releaseOwnReservations() {
+        const released = releaseReservations(state.reservations, userName);
+        activityRanges(released.map(line => ({ line }))).forEach(({ startLine, endLine }) => {
+            sendActivity('released', startLine, endLine);
+        });
+        renderConflicts();
+    }
+
+    // Contested lines get a warning band, a gutter icon and a banner until either side lets go
+    function renderConflicts() {
+        const conflicts = conflictRanges(state.reservations, state.remoteReservations);
+        conflictWarning.show(conflicts);
+        gutterIcons.clearConflicts();
+        conflicts.forEach(conflict => {
+            gutterIcons.showConflict(conflict.startLine, conflict.teammate, {
+                endLine: conflict.endLine,
+                description: conflictWarning.describe(conflict)
+            });
+        });
+    }
+
+    // Enforces teammates' reservations according to the policy; scripted input is never prompted, only blocked
+    function canEditLines(startLine, endLine, scripted = false) {
+        expireReservations(state.remoteReservations, reservationTtl);
+        const conflict = findConflict(state.remoteReservations, startLine, endLine, userName);
+        if (!conflict || reservationPolicy === 'warn') return true;
+
+        if (reservationPolicy === 'hard-lock') {
+            console.warn(`Line ${conflict.line} is locked by ${conflict.userName}`);
+            onLockChange();
+            return false;
+        }
+
+        if (conflict.confirmed) return true;
+        if (scripted) {
+            console.warn(`Scripted edit of line ${conflict.line} blocked: reserved by ${conflict.userName}`);
+            return false;
+        }
+        const confirmed = window.confirm(`Line ${conflict.line} is reserved by ${conflict.userName}. Edit it anyway?`);
+        if (confirmed) {
+            for (let line = startLine; line <= endLine; line++) {
+                const reservation = state.remoteReservations.get(line);
+                if (reservation && reservation.userName !== userName) {
+                    reservation.confirmed = true;
+                }
+            }
+        }
+        onLockChange();
+        return confirmed;
+    }
+
+    // Undoing an edit takes back what teammates were told about it
+    function retractActivity(entry) {
+        const ranges = activityRanges(entry.activity);
+        if (ranges.length === 0) return;
+
+        // Our own icons go now, before the undone content moves them
+        ranges.forEach(({ startLine, endLine }) => {
+            gutterIcons.retract(startLine, endLine);
+            for (let line = startLine; line <= endLine; line++) {
+                state.changes.delete(line);
+                state.reservations.delete(line);
+                state.deletions.delete(line);
+            }
+            sendActivity('retracted', startLine, endLine);
+        });
+        renderConflicts();
+    }
+
+    function showPushBlocks(push) {
+        // Replace this teammate's blocks with the new consolidated ones
+        removeBlocksBy(changeBlocks, push.userName);
+        push.blocks.filter(block => !state.handledBlocks.has(block.blockId)).forEach(block => {
+            changeBlocks.create(
+                block.blockId,
+                block.startLine,
+                block.endLine,
+                push.userName,
+                block.changes,
+                block.changeType
+            );
+        });
+    }
+
+    function snapshotPullState() {
+        return {
+            pendingPushes: Array.from(state.pendingPushes),
+            mergeBases: Array.from(state.mergeBases),
+            blockBases: Array.from(state.blockBases),
+            handledBlocks: Array.from(state.handledBlocks)
+        };
+    }
+
+    // Puts pull bookkeeping back to how it was before (undo) or after (redo) a merge or a block action
+    function restorePullState(snapshot, sources, showBlocks) {
+        state.pendingPushes = new Map(snapshot.pendingPushes);
+        state.mergeBases = new Map(snapshot.mergeBases);
+        state.blockBases = new Map(snapshot.blockBases);
+        state.handledBlocks = new Set(snapshot.handledBlocks);
+        sources.forEach(author => {
+            const push = state.pendingPushes.get(author);
+            if (showBlocks && push) {
+                showPushBlocks(push);
+            } else {
+                removeBlocksBy(changeBlocks, author);
+            }
+        });
+    }
+
+    // Create editor
+    const codeEditor = new CodeEditor(editor, lineNumbers, {
+        language: file.language,
+        softWrap: options.softWrap,
+        clock: options.clock,
+        onLineAdded: (line) => handleLocalChange(line, 'added'),
+        onLineEdited: (line) => handleLocalChange(line, 'edited'),
+        onLineDeleted: (deletion) => handleLocalDeletion(deletion),
+        onLineChange: () => onLockChange(),
+        onSelectionChange: (selection) => sendCursor(selection),
+        onBlur: () => {
+            // The editor reports blur after a grace period; ignore it if focus came back
+            if (document.activeElement !== editor) {
+                releaseOwnReservations();
+                sendCursor(null);
+            }
+        },
+        canEdit: (startLine, endLine, kind, { scripted } = {}) => canEditLines(startLine, endLine, scripted),
+        onViewportChange: handleViewportChange,
+        onUndo: (entry) => {
+            retractActivity(entry);
+            if (entry.meta && (entry.meta.type === 'pull' || entry.meta.type === 'block')) {
+                restorePullState(entry.meta.before, entry.meta.sources, true);
+            }
+        },
+        onRedo: (entry) => {
+            entry.activity.forEach(({ line, changeType, deletion }) => {
+                if (changeType === 'deleted') {
+                    handleLocalDeletion(deletion);
+                } else {
+                    handleLocalChange(line, changeType);
+                }
+            });
+            if (entry.meta && entry.meta.type === 'pull') {
+                restorePullState(entry.meta.after, entry.meta.sources, false);
+            } else if (entry.meta && entry.meta.type === 'block') {
+                restorePullState(entry.meta.after, entry.meta.sources, true);
+            }
+        },
+        onContentChange: () => followContentChange()
+    });
+
+    // Decorations follow their lines to the editor's new content
+    function followContentChange() {
+        const content = codeEditor.getContent();
+        markers.forEach(marker => adjustMarkersForContentChange(marker, state.baselineContent, content));
+        adjustMarkersForContentChange(gutterIcons, state.baselineContent, content);
+        adjustMarkersForContentChange(changeBlocks, state.baselineContent, content);
+        state.baselineContent = content;
+
+        // Update positions
+        setTimeout(() => {
+            gutterIcons.updatePositions();
+            changeBlocks.updatePositions();
+        }, 50);
+    }
+
+    // Initialize baselines
+    state.baselineContent = codeEditor.getContent();
+    state.initialContent = state.baselineContent;
+
+    // Teammates' carets and selections, drawn by their marker
+    function receiveCursor(message) {
+        if (message.from === transport.clientId) return;
+
+        const { user: author, caret, anchor } = message.payload;
+        if (caret) {
+            markerFor(author).showCursor(author, caret, anchor);
+        } else if (markers.has(author)) {
+            markers.get(author).clearCursor();
+        }
+    }
+
+    // Line activity: our own comes back as gutter icons, teammates' as markers
+    function receiveActivity(message) {
+        const { user: author, lineRange, editType, timestamp, deletedCount } = message.payload;
+        const { start: startLine, end: endLine } = lineRange;
+        const rangeEnd = endLine > startLine ? endLine : null;
+        const isOwn = message.from === transport.clientId;
+        // Teammates' reservations expire on our clock, whatever theirs says
+        const receivedAt = Date.now();
+
+        // Undone edits: drop the markers and reservations they produced (our own icons are already gone)
+        if (editType === 'retracted') {
+            if (isOwn) return;
+            releaseReservations(state.remoteReservations, author, startLine, endLine);
+            const marker = markers.get(author);
+            if (marker) {
+                marker.retract(startLine, endLine);
+            }
+            renderConflicts();
+            onLockChange();
+            return;
+        }
+
+        // Released lines keep their markers but are free to edit again
+        if (editType === 'released') {
+            if (isOwn) return;
+            releaseReservations(state.remoteReservations, author, startLine, endLine);
+            renderConflicts();
+            onLockChange();
+            return;
+        }
+
+        // Deletions show between lines and reserve nothing, but count as the author still typing
+        if (editType === 'deleted') {
+            if (isOwn) {
+                gutterIcons.show(startLine, author, 'deleted', { timestamp, deletedCount });
+            } else {
+                renewReservations(state.remoteReservations, author, receivedAt);
+                announce(`${author} deleted ${deletedCount} ${deletedCount === 1 ? 'line' : 'lines'} above line ${startLine} in ${filePath}`);
+                const marker = markerFor(author);
+                marker.showTombstone(startLine, author, deletedCount);
+                setTimeout(() => marker.updatePosition(), 100);
+            }
+            return;
+        }
+
+        if (isOwn) {
+            gutterIcons.show(startLine, author, editType, { timestamp }, rangeEnd);
+
+            // Consolidate icons into ranges after a delay
+            setTimeout(() => {
+                consolidateIconsIntoRanges(gutterIcons, author, editType);
+                gutterIcons.updatePositions();
+            }, 100);
+            return;
+        }
+
+        reserveLines(state.remoteReservations, startLine, endLine, author, receivedAt);
+        renderConflicts();
+        onLockChange();
+        announceEdits(author, startLine, endLine, receivedAt);
+
+        const marker = markerFor(author);
+        marker.show(startLine, author, true, editType, rangeEnd);
+        setTimeout(() => marker.updatePosition(), 100);
+    }
+
+    // A teammate's run of edits is announced when it starts, not on every keystroke
+    function announceEdits(author, startLine, endLine, timestamp) {
+        const previous = announcedEdits.get(author);
+        const continues = previous && timestamp - previous.timestamp < ANNOUNCE_IDLE_TIME &&
+            startLine <= previous.endLine + 1 && endLine >= previous.startLine - 1;
+
+        if (continues) {
+            announcedEdits.set(author, {
+                startLine: Math.min(startLine, previous.startLine),
+                endLine: Math.max(endLine, previous.endLine),
+                timestamp
+            });
+            return;
+        }
+        announcedEdits.set(author, { startLine, endLine, timestamp });
+        announce(`${author} started editing ${describeLines(startLine, endLine)} in ${filePath}`);
+    }
+
+    // Teammate pushes become change blocks until we pull them
+    function receivePush(push) {
+        state.pendingPushes.set(push.userName, push);
+        showPushBlocks(push);
+
+        const count = Array.from(changeBlocks.blocks.values()).filter(blockData => blockData.userName === push.userName).length;
+        announce(`${push.userName} pushed changes to ${filePath}` +
+            (count > 0 ? `, ${count} ${count === 1 ? 'change block' : 'change blocks'} to review` : ''));
+    }
+
+    /**
+     * Moves focus to the next or previous change block or gutter icon
+     * From the editor this starts at the caret's line; the order wraps around.
+     * @param {number} direction - 1 for the next one, -1 for the previous one
+     */
+    function focusOverlay(direction) {
+        const targets = overlayTargets(changeBlocks, gutterIcons);
+        if (targets.length === 0) {
+            announce(`No teammate changes or gutter icons in ${filePath}`);
+            return;
+        }
+
+        const current = targets.findIndex(target => target.container.contains(document.activeElement));
+        let next;
+        if (current !== -1) {
+            next = targets[(current + direction + targets.length) % targets.length];
+        } else {
+            const line = getCurrentLine(editor) || 0;
+            next = direction > 0 ?
+                targets.find(target => target.line > line) || targets[0] :
+                targets.filter(target => target.line < line).pop() || targets[targets.length - 1];
+        }
+
+        // Icons far from the viewport are out of the DOM until their line is scrolled to
+        codeEditor.revealLine(next.line);
+        if (next.element.isConnected) next.element.focus({ preventScroll: true });
+    }
+
+    // F7 and Shift+F7 step through the overlays, Escape on one goes back to the editor at its line
+    file.elements.body.addEventListener('keydown', (e) => {
+        if (e.key === 'F7' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+            e.preventDefault();
+            focusOverlay(e.shiftKey ? -1 : 1);
+        } else if (e.key === 'Escape' && e.target !== editor) {
+            const overlay = e.target.closest('.change-block, .gutter-icon');
+            if (!overlay) return;
+            e.preventDefault();
+            codeEditor.focusLine(parseInt(overlay.dataset.startLine || overlay.dataset.line));
+        }
+    });
+
+    /**
+     * Scrolls to a run of lines and briefly highlights them in an author's color
+     * Lines past the end of the file (e.g. since deleted) are clamped to it.
+     */
+    function flashLines(startLine, endLine = startLine, author = null) {
+        const lineCount = codeEditor.getContent().split('\n').length;
+        const start = Math.min(Math.max(startLine, 1), lineCount);
+        const end = Math.min(Math.max(endLine, start), lineCount);
+        codeEditor.revealLine(start);
+
+        const box = getLineRangeBox(editor, start, end);
+        const flash = document.createElement('div');
+        flash.className = 'line-flash';
+        if (author) flash.classList.add(getParticipant(author).className);
+        flash.style.top = `${box.top}px`;
+        flash.style.height = `${box.height}px`;
+        flash.addEventListener('animationend', () => flash.remove());
+        markerLayer.appendChild(flash);
+        // Without animations (reduced motion) there is no animationend
+        setTimeout(() => flash.remove(), LINE_FLASH_DURATION);
+    }
+
+    /**
+     * Builds the push for this file
+     * @returns {Object|null} - The push payload, or null if nothing changed since the last push
+     */
+    function createPush() {
+        const content = codeEditor.getContent();
+        const lastShared = state.lastPushedContent !== null ? state.lastPushedContent : state.initialContent;
+        if (content === lastShared && state.changes.size === 0 && state.deletions.size === 0) {
+            return null;
+        }
+
+        const pushedChanges = Array.from(state.changes.values()).map(change => ({
+            lineContent: change.lineContent,
+            lineNumber: change.lineNumber,
+            changeType: change.changeType,
+            userName
+        }));
+        state.deletions.forEach(deletion => {
+            pushedChanges.push({
+                lineContent: deletion.lines.join('\n'),
+                lineNumber: deletion.beforeLine,
+                changeType: 'deleted',
+                userName
+            });
+        });
+        const blocks = [
+            ...createChangeBlocks(Array.from(state.changes.values()), userName),
+            ...createDeletionBlocks(Array.from(state.deletions.values()), userName)
+        ];
+
+        // Update baseline
+        state.baselineContent = content;
+        state.lastPushedContent = content;
+        releaseOwnReservations();
+
+        return {
+            userName,
+            filePath,
+            branch,
+            content,
+            bases: Object.fromEntries(state.mergeBases),
+            changes: pushedChanges,
+            blocks
+        };
+    }
+
+    // Common ancestor for merging a teammate's push into the editor
+    function mergeBaseFor(author, push) {
+        if (state.blockBases.has(author)) return state.blockBases.get(author);
+
+        const localBase = state.mergeBases.has(author) ? state.mergeBases.get(author) : state.initialContent;
+        const incomingBase = push.bases && userName in push.bases ? push.bases[userName] : null;
+        return pickMergeBase(localBase, incomingBase, state.lastPushedContent);
+    }
+
+    /**
+     * Finds a change block with the push it came from
+     * @returns {Object|null} - {blockData, push, block}: block has the lines as pushed
+     */
+    function findBlock(blockId) {
+        const blockData = changeBlocks.blocks.get(blockId);
+        const push = blockData ? state.pendingPushes.get(blockData.userName) : null;
+        const block = push ? push.blocks.find(candidate => candidate.blockId === blockId) : null;
+        return block ? { blockData, push, block } : null;
+    }
+
+    /**
+     * Takes a change block out of the pending push
+     * The block's changes go into this teammate's merge base, so a later
+     * Pull treats them as merged: whatever the editor has there by then
+     * (the lines taken, moved or left out) is our side of the merge.
+     * @param {string} blockId - The block
+     * @param {string|null} content - New editor content, or null to leave the editor as it is (Reject)
+     */
+    function settleBlock(blockId, content) {
+        const found = findBlock(blockId);
+        if (!found) return;
+
+        const { blockData, push, block } = found;
+        const author = push.userName;
+        const before = snapshotPullState();
+        // A block acted on from the keyboard hands focus back to the editor
+        const hadFocus = blockData.element.contains(document.activeElement);
+        state.blockBases.set(author, withBlockChanges(mergeBaseFor(author, push), push, block));
+        state.handledBlocks.add(blockId);
+        changeBlocks.remove(blockId);
+
+        const marker = markers.get(author);
+        if (marker) {
+            marker.retract(blockData.startLine, blockData.endLine);
+        }
+
+        if (content !== null && content !== codeEditor.getContent()) {
+            codeEditor.setContent(content, {
+                historyKind: 'merge',
+                historyMeta: { type: 'block', sources: [author], before, after: snapshotPullState() }
+            });
+            followContentChange();
+        }
+        if (hadFocus) codeEditor.focusLine(blockData.startLine);
+    }
+
+    // Applies a block's changes where the teammate made them
+    function acceptBlock(blockId) {
+        const found = findBlock(blockId);
+        if (!found) return;
+
+        const { push, block } = found;
+        const author = push.userName;
+        const ancestor = mergeBaseFor(author, push);
+        const result = threeWayMerge(ancestor, codeEditor.getContent(), withBlockChanges(ancestor, push, block), {
+            oursLabel: userName,
+            theirsLabel: author
+        });
+
+        if (result.conflicts.length > 0) {
+            console.warn(`${author}'s block conflicts with your changes in ${filePath}; resolve the conflict markers`);
+            announce(`${author}'s changes conflict with yours in ${filePath}; resolve the conflict markers`);
+        } else {
+            announce(`Accepted ${author}'s changes to ${describeLines(found.blockData.startLine, found.blockData.endLine)}`);
+        }
+        settleBlock(blockId, result.content);
+    }
+
+    function rejectBlock(blockId) {
+        const found = findBlock(blockId);
+        if (!found) return;
+
+        announce(`Rejected ${found.push.userName}'s changes to ${describeLines(found.blockData.startLine, found.blockData.endLine)}`);
+        settleBlock(blockId, null);
+    }
+
+    // Inserts a block's lines as new lines after the given line (0 for the top of the file)
+    function insertBlock(blockId, afterLine) {
+        const found = findBlock(blockId);
+        if (!found) return;
+
+        const lines = codeEditor.getContent().split('\n');
+        const at = Math.min(Math.max(afterLine, 0), lines.length);
+        lines.splice(at, 0, ...found.block.changes);
+        announce(at === 0 ? `Inserted ${found.push.userName}'s lines at the top of ${filePath}` :
+            `Inserted ${found.push.userName}'s lines after line ${at}`);
+        settleBlock(blockId, lines.join('\n'));
+    }
+
+    /**
+     * Merges every pending push for this file into the editor
+     * @returns {Object|null} - {cleanHunks, conflicts, sources}, or null if nothing was pending
+     */
+    function pull() {
+        if (state.pendingPushes.size === 0) return null;
+
+        let mergedContent = codeEditor.getContent();
+        const summary = { cleanHunks: 0, conflicts: [], sources: Array.from(state.pendingPushes.keys()) };
+        const before = snapshotPullState();
+
+        state.pendingPushes.forEach((push, author) => {
+            const result = threeWayMerge(mergeBaseFor(author, push), mergedContent, push.content, {
+                oursLabel: userName,
+                theirsLabel: author
+            });
+
+            mergedContent = result.content;
+            state.mergeBases.set(author, push.content);
+            state.blockBases.delete(author);
+            summary.cleanHunks += result.cleanHunks;
+            summary.conflicts.push(...result.conflicts.map(conflict => ({ ...conflict, filePath })));
+
+            // Clear change blocks (changes are now merged)
+            removeBlocksBy(changeBlocks, author);
+            transport.send('pull', { userName, source: author, filePath, branch });
+        });
+        state.pendingPushes.clear();
+
+        // The merge is one undo step; undoing it brings the teammates' pushes back
+        codeEditor.setContent(mergedContent, {
+            historyKind: 'merge',
+            historyMeta: {
+                type: 'pull',
+                sources: summary.sources,
+                before,
+                after: snapshotPullState()
+            }
+        });
+        state.baselineContent = mergedContent;
+
+        // Update positions
+        setTimeout(() => {
+            summary.sources.forEach(author => {
+                const marker = markers.get(author);
+                if (marker) {
+                    marker.clearPersistentMarkers();
+                }
+            });
+            gutterIcons.updatePositions();
+        }, 100);
+
+        return summary;
+    }
+
+    /**
+     * Drops reservations (ours and teammates') whose time-to-live ran out
+     * @returns {boolean} - Whether any teammate's reservation expired
+     */
+    function expireStaleReservations() {
+        const ownExpired = expireReservations(state.reservations, reservationTtl);
+        const remoteExpired = expireReservations(state.remoteReservations, reservationTtl);
+        if (ownExpired.length > 0 || remoteExpired.length > 0) {
+            renderConflicts();
+        }
+        return remoteExpired.length > 0;
+    }
+
+    /**
+     * Lock state of the caret's line for the title bar
+     * @returns {string} - 'unlocked', 'partial' or 'locked' (see lockStateFor)
+     */
+    function getLockState() {
+        return lockStateFor(state.remoteReservations, codeEditor.getActiveLine(), reservationPolicy);
+    }
+
+    /**
+     * Everything the file holds, as plain data for saving the workspace (see WorkspaceStore)
+     * Teammates' carets are left out; they come back with the teammates' next cursor message.
+     * @returns {Object} - Content, baselines, collaboration state and decorations
+     */
+    function snapshot() {
+        return {
+            content: codeEditor.getContent(),
+            baselineContent: state.baselineContent,
+            initialContent: state.initialContent,
+            lastPushedContent: state.lastPushedContent,
+            changes: Array.from(state.changes),
+            deletions: Array.from(state.deletions),
+            reservations: Array.from(state.reservations),
+            remoteReservations: Array.from(state.remoteReservations),
+            ...snapshotPullState(),
+            markers: Array.from(markers).map(([teammate, marker]) => [teammate, marker.getPersistentMarkers()]),
+            gutterIcons: gutterIcons.getIcons(),
+            changeBlocks: Array.from(changeBlocks.blocks).map(([blockId, { startLine, endLine, userName, changes, changeType }]) => ({
+                blockId, startLine, endLine, userName, changes, changeType
+            }))
+        };
+    }
+
+    /**
+     * Puts back what snapshot() returned
+     * The content becomes the start of the undo history.
+     */
+    function restore(saved) {
+        codeEditor.setContent(saved.content, { resetHistory: true });
+        state.baselineContent = saved.baselineContent;
+        state.initialContent = saved.initialContent;
+        state.lastPushedContent = saved.lastPushedContent;
+        state.changes = new Map(saved.changes);
+        state.deletions = new Map(saved.deletions);
+        state.reservations = new Map(saved.reservations);
+        state.remoteReservations = new Map(saved.remoteReservations);
+        restorePullState(saved, [], false);
+
+        (saved.markers || []).forEach(([teammate, markersData]) => markerFor(teammate).restorePersistentMarkers(markersData));
+        gutterIcons.restoreIcons(saved.gutterIcons);
+        (saved.changeBlocks || []).forEach(({ blockId, startLine, endLine, userName, changes, changeType }) => {
+            changeBlocks.create(blockId, startLine, endLine, userName, changes, changeType);
+        });
+        renderConflicts();
+    }
+
+    // Measured line boxes change with the editor's size and fonts
+    const unobserveGeometry = observeLineGeometry(editor, () => refreshFileView(file));
+
+    Object.assign(file, {
+        editor: codeEditor,
+        unobserveGeometry,
+        gutterIcons,
+        changeBlocks,
+        conflictWarning,
+        renderConflicts,
+        receiveActivity,
+        receiveCursor,
+        receivePush,
+        createPush,
+        flashLines,
+        pull,
+        expireStaleReservations,
+        getLockState,
+        snapshot,
+        restore
+    });
+
+    return file;
+}
+
+/**
+ * Wires a read-only file showing another tab's pushed content
+ * @param {Object} file - Record from createFileView
+ * @param {Object} options - The initial content and softWrap
+ */
+export function mirrorFileView(file, options = {}) {
+    const { editor, lineNumbers } = file.elements;
+
+    if (options.content && !editor.textContent) {
+        editor.textContent = options.content;
+    }
+    editor.contentEditable = 'false';
+    editor.setAttribute('aria-readonly', 'true');
+    editor.setAttribute('aria-label', file.filePath);
+
+    const codeEditor = new CodeEditor(editor, lineNumbers, {
+        language: file.language,
+        softWrap: options.softWrap
+    });
+
+    Object.assign(file, {
+        editor: codeEditor,
+        receivePush: (push) => codeEditor.setContent(push.content)
+    });
+
+    return file;
+}
+
+/**
+ * Repositions a file's decorations, e.g. after its tab is shown again
+ */
+export function refreshFileView(file) {
+    // A tab that was hidden had no layout to measure its viewport from
+    if (file.editor) file.editor.updateLineNumbers();
+    file.markers.forEach(marker => marker.updatePosition());
+    if (file.gutterIcons) file.gutterIcons.updatePositions();
+    if (file.changeBlocks) file.changeBlocks.updatePositions();
+    if (file.conflictWarning) file.conflictWarning.updatePositions();
+}
+
+/**
+ * Turns soft wrap on or off for a file and moves its decorations to the new line boxes
+ */
+export function setFileSoftWrap(file, enabled) {
+    if (!file.editor) return;
+    file.editor.setSoftWrap(enabled);
+    refreshFileView(file);
+}
+
+/**
+ * Removes every decoration of a file
+ */
+export function disposeFileView(file) {
+    if (file.unobserveGeometry) file.unobserveGeometry();
+    file.markers.forEach(marker => marker.clearAll());
+    file.markers.clear();
+    if (file.gutterIcons) file.gutterIcons.clear();
+    if (file.changeBlocks) file.changeBlocks.clear();
+    if (file.conflictWarning) file.conflictWarning.clear();
+}
+
+/**
+ * Drops everything a file shows for a teammate who left
+ */
+export function forgetTeammateInFile(file, teammate) {
+    const { markers, state, changeBlocks } = file;
+
+    const marker = markers.get(teammate);
+    if (marker) {
+        marker.clearAll();
+        markers.delete(teammate);
+    }
+
+    releaseReservations(state.remoteReservations, teammate);
+    if (file.renderConflicts) {
+        file.renderConflicts();
+    }
+
+    state.pendingPushes.delete(teammate);
+    if (changeBlocks) {
+        removeBlocksBy(changeBlocks, teammate);
+    }
+}
+
+// Helper: Collapse undone line activity into ranges of consecutive lines
+function activityRanges(activity) {
+    const lines = Array.from(new Set(activity.map(({ line }) => line))).sort((a, b) => a - b);
+    const ranges = [];
+
+    lines.forEach(line => {
+        const last = ranges[ranges.length - 1];
+        if (last && line === last.endLine + 1) {
+            last.endLine = line;
+        } else {
+            ranges.push({ startLine: line, endLine: line });
+        }
+    });
+
+    return ranges;
+}
+
+// Helper: Collect consecutive recent lines (within 500ms) into a range
+function collectRecentRange(currentLine, content, recentItems) {
+    const currentLines = content.split('\n');
+
+    // Add to recent items
+    recentItems.push({
+        line: currentLine,
+        content: currentLines[currentLine - 1] || '',
+        timestamp: Date.now()
+    });
+
+    // Clean old items (older than 500ms)
+    const now = Date.now();
+    const recent = recentItems.filter(item => now - item.timestamp < 500);
+    recentItems.length = 0;
+    recentItems.push(...recent);
+
+    if (recent.length < 2) return null;
+
+    // Sort by line number and check if they're consecutive
+    recent.sort((a, b) => a.line - b.line);
+
+    const consecutive = [];
+    let rangeEnd = recent[0].line;
+
+    for (let i = 0; i < recent.length; i++) {
+        if (i === 0 || recent[i].line === recent[i - 1].line + 1) {
+            consecutive.push(recent[i]);
+            rangeEnd = recent[i].line;
+        } else {
+            break;
+        }
+    }
+
+    // Only a range of 2+ consecutive lines counts
+    if (consecutive.length < 2 || rangeEnd <= recent[0].line) return null;
+
+    return { startLine: recent[0].line, endLine: rangeEnd, items: consecutive };
+}
+
+// Helper: Record a detected range as reserved, tracked changes
+function recordRange(range, changeType, userName, changes, reservations) {
+    reserveLines(reservations, range.startLine, range.endLine, userName);
+
+    range.items.forEach((item) => {
+        changes.set(item.line, {
+            changeType,
+            userName,
+            lineNumber: item.line,
+            lineContent: item.content,
+            timestamp: item.timestamp
+        });
+    });
+}
+
+// Helper: Detect range insertions
+function detectRangeInsertion(currentLine, content, baselineContent, recentAdditions, userName, changes, reservations) {
+    const baselineLines = baselineContent ? baselineContent.split('\n') : [];
+
+    // Check if we're inserting between existing lines (not at the end)
+    // If currentLine is less than or equal to the baseline length, it's an insertion
+    const isInsertionBetween = baselineContent && baselineLines.length > 0 && currentLine <= baselineLines.length;
+
+    const range = collectRecentRange(currentLine, content, recentAdditions);
+
+    // Check if the range start is before or at the original baseline length
+    if (range && isInsertionBetween && range.startLine <= baselineLines.length + 1) {
+        recordRange(range, 'added', userName, changes, reservations);
+
+        // Clear recent additions since we've processed the range
+        recentAdditions.length = 0;
+
+        return {
+            isRange: true,
+            startLine: range.startLine,
+            endLine: range.endLine,
+            shiftAmount: range.endLine - range.startLine + 1
+        };
+    }
+
+    // Single line addition
+    return { isRange: false };
+}
+
+// Helper: Detect range edits
+function detectRangeEdit(currentLine, content, baselineContent, recentEdits, userName, changes, reservations) {
+    const range = collectRecentRange(currentLine, content, recentEdits);
+
+    if (range) {
+        recordRange(range, 'edited', userName, changes, reservations);
+
+        // Clear recent edits since we've processed the range
+        recentEdits.length = 0;
+
+        return {
+            isRange: true,
+            startLine: range.startLine,
+            endLine: range.endLine
+        };
+    }
+
+    // Single line edit
+    return { isRange: false };
+}
+
+// Helper: Consolidate consecutive single-line gutter icons into range icons
+function consolidateIconsIntoRanges(gutterIcons, userName, changeType) {
+    const lines = Array.from(gutterIcons.icons.entries())
+        .filter(([key, icon]) => {
+            // Only process single-line icons (not already ranges)
+            return typeof key === 'number' &&
+                icon.dataset.userName === userName &&
+                icon.dataset.changeType === changeType;
+        })
+        .map(([line]) => line)
+        .sort((a, b) => a - b);
+
+    if (lines.length < 2) return;
+
+    // Find consecutive ranges
+    const ranges = [];
+    let rangeStart = lines[0];
+    let rangeEnd = lines[0];
+
+    for (let i = 1; i <= lines.length; i++) {
+        if (i < lines.length && lines[i] === rangeEnd + 1) {
+            rangeEnd = lines[i];
+            continue;
+        }
+        if (rangeEnd > rangeStart) {
+            ranges.push({ start: rangeStart, end: rangeEnd });
+        }
+        if (i < lines.length) {
+            rangeStart = lines[i];
+            rangeEnd = lines[i];
+        }
+    }
+
+    // Replace individual icons with range icons (show() hides the icons it covers)
+    ranges.forEach(({ start, end }) => {
+        gutterIcons.show(start, userName, changeType, {
+            timestamp: Date.now()
+        }, end);
+    });
+}
+
+// Helper: Create change blocks from uncommitted changes
+function createChangeBlocks(changes, userName) {
+    if (changes.length === 0) return [];
+
+    // Sort changes by line number
+    const sortedChanges = [...changes].sort((a, b) => a.lineNumber - b.lineNumber);
+
+    // Group consecutive changes into blocks
+    const blocks = [];
+    let currentBlock = null;
+
+    sortedChanges.forEach((change) => {
+        if (!currentBlock) {
+            currentBlock = {
+                blockId: `${userName}-block-${Date.now()}-${blocks.length}`,
+                startLine: change.lineNumber,
+                endLine: change.lineNumber,
+                changes: [change.lineContent],
+                changeType: change.changeType
+            };
+        } else if (change.lineNumber === currentBlock.endLine + 1) {
+            // Consecutive line - consolidate regardless of changeType
+            currentBlock.endLine = change.lineNumber;
+            currentBlock.changes.push(change.lineContent);
+            // Keep the first changeType, or use 'edited' as default for mixed blocks
+            if (currentBlock.changeType !== change.changeType) {
+                currentBlock.changeType = 'edited'; // Use 'edited' for mixed blocks
+            }
+        } else {
+            // New block (gap in line numbers)
+            blocks.push(currentBlock);
+            currentBlock = {
+                blockId: `${userName}-block-${Date.now()}-${blocks.length}`,
+                startLine: change.lineNumber,
+                endLine: change.lineNumber,
+                changes: [change.lineContent],
+                changeType: change.changeType
+            };
+        }
+    });
+
+    if (currentBlock) {
+        blocks.push(currentBlock);
+    }
+
+    return blocks;
+}
+
+// Helper: Create one preview block per deletion
+function createDeletionBlocks(deletions, userName) {
+    return deletions
+        .sort((a, b) => a.beforeLine - b.beforeLine)
+        .map((deletion, index) => ({
+            blockId: `${userName}-deletion-${Date.now()}-${index}`,
+            startLine: deletion.beforeLine,
+            endLine: deletion.beforeLine,
+            changes: deletion.lines,
+            changeType: 'deleted'
+        }));
+}
+
+// Helper: Remove every change block from one user
+function removeBlocksBy(changeBlocks, userName) {
+    Array.from(changeBlocks.blocks.entries()).forEach(([blockId, blockData]) => {
+        if (blockData.userName === userName) {
+            changeBlocks.remove(blockId);
+        }
+    });
+}
+
+/**
+ * Adjusts markers/icons/blocks when content changes
+ */
+function adjustMarkersForContentChange(component, oldContent, newContent) {
+    if (!oldContent || !newContent || !component) return;
+
+    const oldLines = oldContent.split('\n');
+    const newLines = newContent.split('\n');
+
+    if (component.adjustByContent) {
+        component.adjustByContent(oldLines, newLines);
+    } else if (component.updatePositions) {
+        component.updatePositions();
+    }
+}
+
+// Helper: Change blocks and gutter icons in line order, each with the element that takes focus
+function overlayTargets(changeBlocks, gutterIcons) {
+    const blocks = Array.from(changeBlocks.blocks.values()).map(blockData => ({
+        line: blockData.startLine,
+        element: blockData.element.querySelector('.change-block-indicator'),
+        container: blockData.element
+    }));
+    const icons = [...gutterIcons.icons.values(), ...gutterIcons.conflictIcons.values()]
+        .filter(icon => !icon.classList.contains('range-end'))
+        .map(icon => ({ line: parseInt(icon.dataset.line), element: icon, container: icon }));
+
+    // Blocks come before icons on the same line (sort is stable)
+    return [...blocks, ...icons].sort((a, b) => a.line - b.line);
+}
+
+// Helper: A merge base with one pushed block's changes applied (a deletion block sits on the line after the deleted ones)
+function withBlockChanges(base, push, block) {
+    const end = block.changeType === 'deleted' ? block.startLine - 1 : block.endLine;
+    return applyChangesInRange(base, push.content, block.startLine - 1, end);
+}
+
+/**
+ * Picks the common ancestor for a pull
+ * If the incoming push was built on content this user pushed earlier, that
+ * content is a newer shared ancestor than the one recorded at the last pull.
+ */
+function pickMergeBase(localBase, incomingBase, lastPushedContent) {
+    if (incomingBase !== null && incomingBase === lastPushedContent) {
+        return incomingBase;
+    }
+    return localBase;
+}
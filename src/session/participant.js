@@ -0,0 +1,755 @@
+import { StatusIndicator } from '../components/StatusIndicator.js';
+import { LiveRegion } from '../components/LiveRegion.js';
+import { ActivityFeed } from '../components/ActivityFeed.js';
+import {
+    createFileView,
+    buildFileElements,
+    connectFileView,
+    mirrorFileView,
+    refreshFileView,
+    setFileSoftWrap,
+    disposeFileView,
+    forgetTeammateInFile,
+    userClassFor
+} from './fileView.js';
+import { WORKSPACE_BRANCHES, DEFAULT_BRANCH, filesForBranch, fileLabelFor } from './workspace.js';
+import { HEARTBEAT_INTERVAL, PRESENCE_TIMEOUT, watchOwnPresence, recordPresence, expirePresence } from './presence.js';
+
+// How often expired reservations are swept and the lock state refreshed
+const RESERVATION_SWEEP_INTERVAL = 1000;
+
+export { userClassFor };
+
+/**
+ * Participant wiring
+ * Connects a participant's pane to its transport. All per-participant
+ * state lives on the participant object so the session can hold any
+ * number of them in one map; per-file state lives on its file views.
+ * Each branch a participant checks out gets its own set of file views,
+ * and activity and pushes are only exchanged within a branch.
+ */
+
+/**
+ * Creates the state held for one participant
+ * @param {string} userName - Display name, e.g. 'User C'
+ * @param {string} key - Pane key used in element ids, e.g. 'c'
+ * @param {Object} elements - Pane elements (see getPaneElements)
+ * @returns {Object} - The participant record
+ */
+export function createParticipant(userName, key, elements) {
+    return {
+        userName,
+        key,
+        elements,
+        branch: null, // Checked-out branch, set when the workspace opens
+        isLocal: true,
+        transport: null,
+        branches: new Map(), // branch -> Map of filePath -> file view, kept while other branches are checked out
+        files: new Map(), // File views of the checked-out branch
+        activeFilePath: null,
+        softWrap: false, // Long lines wrap in every file of the pane
+        initialFiles: null, // branch -> {filePath: content} opened instead of the workspace content (e.g. for a replay)
+        teammateBranches: new Map(), // Teammate -> branch from their last presence message
+        teammatePresence: new Map(), // Teammate -> {status, lastSeen} from their presence messages (see presence.js)
+        teammateLocations: new Map(), // Teammate -> {filePath, line, timestamp} of their last activity
+        statusIndicator: null,
+        liveRegion: null, // Screen-reader announcements of teammates' activity (see LiveRegion)
+        activityFeed: null, // Teammates' activity listed next to the editor (see ActivityFeed)
+        cleanups: []
+    };
+}
+
+/**
+ * Looks up the elements of a pane by key
+ */
+export function getPaneElements(key, root = document) {
+    const find = (id) => root.querySelector(`#${id}`);
+    const paneWindow = find(`editor-${key}`)?.closest('.code-window') || null;
+    return {
+        window: paneWindow,
+        body: find(`editor-${key}`)?.closest('.window-body') || null,
+        editor: find(`editor-${key}`),
+        markerLayer: find(`marker-layer-${key}`),
+        lineNumbers: find(`line-numbers-${key}`),
+        tabs: paneWindow?.querySelector('.tabs') || null,
+        controls: paneWindow?.querySelector('.window-controls') || null,
+        fileLabel: paneWindow?.querySelector('.status-bar .status-item') || null,
+        status: find(`status-${key}`),
+        gitPull: find(`git-pull-${key}`),
+        gitPush: find(`git-push-${key}`)
+    };
+}
+
+/**
+ * Gets the file view shown in a participant's pane
+ */
+export function getActiveFile(participant) {
+    return participant.files.get(participant.activeFilePath) || null;
+}
+
+/**
+ * Wires a pane the local participant types in
+ * Local edits are published as messages; every decoration in the pane
+ * (own gutter icons, teammates' markers and change blocks) is driven by
+ * messages coming back from the transport.
+ * @param {Object} participant - Record from createParticipant, with a transport set
+ * @param {Object} options - The reservationPolicy and reservationTtl (see reservations.js),
+ *   softWrap, an optional clock for edit history, idleTimeout (see presence.js), and saved:
+ *   this participant in a saved workspace (see WorkspaceStore) to open instead of the workspace content
+ */
+export function connectParticipant(participant, options = {}) {
+    const { userName, elements, transport } = participant;
+    const { status, gitPull, gitPush } = elements;
+
+    participant.softWrap = Boolean(options.softWrap);
+    if (elements.window) {
+        participant.liveRegion = new LiveRegion(elements.window);
+        participant.cleanups.push(() => participant.liveRegion.destroy());
+    }
+    const announce = (message) => {
+        if (participant.liveRegion) participant.liveRegion.announce(message);
+    };
+
+    const openFile = (file, content) => connectFileView(participant, file, {
+        reservationPolicy: options.reservationPolicy,
+        reservationTtl: options.reservationTtl,
+        clock: options.clock,
+        softWrap: participant.softWrap,
+        onLockChange: () => renderLockState(participant),
+        announce,
+        content
+    });
+
+    // Create status indicator (collaborators are filled in from presence messages)
+    const statusIndicator = new StatusIndicator(status, {
+        status: 'active'
+    });
+    participant.statusIndicator = statusIndicator;
+
+    // Our presence goes out with every presence message, as soon as it changes and as a heartbeat
+    const sendPresence = (presenceState) => transport.send('presence', {
+        user: userName,
+        state: presenceState,
+        status: presence.getStatus(),
+        branch: participant.branch
+    });
+    const presence = watchOwnPresence(elements.window || elements.body, {
+        idleTimeout: options.idleTimeout,
+        onChange: (presenceStatus) => {
+            statusIndicator.setStatus(presenceStatus);
+            sendPresence('heartbeat');
+        }
+    });
+    participant.cleanups.push(() => presence.stop());
+    statusIndicator.setStatus(presence.getStatus());
+
+    checkoutBranch(participant, DEFAULT_BRANCH, openFile);
+    renderWrapToggle(participant);
+
+    // Switching branches swaps the file views and tells teammates where we went
+    const switchBranch = (branch) => {
+        checkoutBranch(participant, branch, openFile);
+        sendPresence('here');
+    };
+    renderBranchPicker(participant, switchBranch);
+
+    // Picking an entry in the activity feed goes to its branch and file and flashes its lines
+    const activityFeed = elements.window ? new ActivityFeed(elements.window, {
+        label: `Teammates' activity in ${userName}'s pane`,
+        before: elements.window.querySelector('.status-bar'),
+        onSelect: (entry) => {
+            if (entry.branch !== participant.branch) switchBranch(entry.branch);
+            if (!participant.files.has(entry.filePath)) return;
+            setActiveFile(participant, entry.filePath);
+            participant.files.get(entry.filePath).flashLines(entry.startLine, entry.endLine, entry.userName);
+        }
+    }) : null;
+    if (activityFeed) {
+        participant.activityFeed = activityFeed;
+        participant.cleanups.push(() => activityFeed.destroy());
+    }
+    const logActivity = (event) => {
+        if (activityFeed) activityFeed.add(event);
+    };
+
+    if (options.saved) {
+        restoreParticipant(participant, options.saved, openFile);
+    }
+
+    // Line activity goes to the file it happened in; teammates elsewhere show up in the cross-file indicator
+    transport.on('activity', (message) => {
+        const { user: author, filePath, branch, lineRange, editType, timestamp } = message.payload;
+        if (branch !== participant.branch) return;
+
+        if (message.from !== transport.clientId && editType !== 'retracted' && editType !== 'released') {
+            participant.teammateLocations.set(author, { filePath, line: lineRange.start, timestamp });
+            renderTeammateLocations(participant);
+            // The feed stamps entries when they arrive (see ActivityFeed.add), not with the sender's clock
+            logActivity({
+                userName: author,
+                type: editType,
+                filePath,
+                branch,
+                startLine: lineRange.start,
+                endLine: lineRange.end,
+                count: message.payload.deletedCount
+            });
+        }
+
+        const file = participant.files.get(filePath);
+        if (file) {
+            file.receiveActivity(message);
+        }
+    });
+
+    // A teammate's caret shows in the file it is in and leaves every other file
+    transport.on('cursor', (message) => {
+        if (message.from === transport.clientId) return;
+
+        const { user: author, filePath, branch } = message.payload;
+        participant.branches.forEach((files, filesBranch) => {
+            files.forEach(file => {
+                if (filesBranch === branch && file.filePath === filePath) {
+                    file.receiveCursor(message);
+                } else if (file.markers.has(author)) {
+                    file.markers.get(author).clearCursor();
+                }
+            });
+        });
+    });
+
+    // Teammate pushes become change blocks until we pull them
+    transport.on('push', (message) => {
+        if (message.from === transport.clientId) return;
+
+        const push = message.payload;
+        if (push.branch !== participant.branch) return;
+
+        const lines = push.blocks.length > 0 ? {
+            startLine: Math.min(...push.blocks.map(block => block.startLine)),
+            endLine: Math.max(...push.blocks.map(block => block.endLine))
+        } : {};
+        logActivity({
+            userName: push.userName,
+            type: 'pushed',
+            filePath: push.filePath,
+            branch: push.branch,
+            count: push.changes.length,
+            ...lines
+        });
+
+        const file = participant.files.get(push.filePath);
+        if (file) {
+            file.receivePush(push);
+        }
+    });
+
+    transport.on('pull', (message) => {
+        if (message.from === transport.clientId) return;
+        const { userName: puller, source, filePath, branch } = message.payload;
+        logActivity({ userName: puller, type: 'pulled', filePath, branch, source });
+    });
+
+    // Presence: track collaborators and answer newcomers so they see us too
+    transport.on('presence', (message) => {
+        if (message.from === transport.clientId) return;
+
+        const { user: teammate, state: presenceState, branch, status: presenceStatus } = message.payload;
+        if (presenceState === 'leave') {
+            forgetTeammate(participant, teammate);
+            announce(`${teammate} left the session`);
+            logActivity({ userName: teammate, type: 'left' });
+            return;
+        }
+        // A heartbeat from someone we don't know is a teammate back after timing out
+        const isNew = recordPresence(participant.teammatePresence, teammate, presenceStatus);
+        if (presenceState === 'join' || (presenceState === 'heartbeat' && isNew)) {
+            announce(`${teammate} joined the session`);
+            logActivity({ userName: teammate, type: 'joined' });
+        }
+
+        participant.teammateBranches.set(teammate, branch || DEFAULT_BRANCH);
+        if (branch !== participant.branch && participant.teammateLocations.delete(teammate)) {
+            renderTeammateLocations(participant);
+        }
+        renderBranchTeammates(participant);
+
+        if (presenceState === 'join') {
+            sendPresence('here');
+        }
+    });
+
+    // Git Push: one push per file that changed
+    if (gitPush) {
+        gitPush.addEventListener('click', () => {
+            participant.files.forEach(file => {
+                const push = file.createPush();
+                if (push) {
+                    transport.send('push', push);
+                }
+            });
+        });
+    }
+
+    // Git Pull: merge every file with pending pushes
+    if (gitPull) {
+        gitPull.addEventListener('click', () => {
+            const summary = { cleanHunks: 0, conflicts: [] };
+            const pulled = [];
+
+            participant.files.forEach(file => {
+                const result = file.pull();
+                if (!result) return;
+                summary.cleanHunks += result.cleanHunks;
+                summary.conflicts.push(...result.conflicts);
+                pulled.push(`${file.filePath} (${result.sources.join(', ')})`);
+            });
+
+            if (pulled.length === 0) {
+                announce(showMergeResult(gitPull, null));
+                return;
+            }
+
+            announce(`Pulled ${pulled.join(', ')}: ${showMergeResult(gitPull, summary).replace(/\n/g, '. ')}`);
+        });
+    }
+
+    // Reservations run out on their own; sweep them and keep the title bar current.
+    // Teammates that stopped sending heartbeats are dropped as if they had left
+    const sweep = setInterval(() => {
+        participant.files.forEach(file => file.expireStaleReservations());
+        renderLockState(participant);
+        expirePresence(participant.teammatePresence, PRESENCE_TIMEOUT).forEach(teammate => {
+            forgetTeammate(participant, teammate);
+            announce(`${teammate} stopped responding and left the session`);
+            logActivity({ userName: teammate, type: 'left' });
+        });
+    }, RESERVATION_SWEEP_INTERVAL);
+    const heartbeat = setInterval(() => sendPresence('heartbeat'), HEARTBEAT_INTERVAL);
+    participant.cleanups.push(() => clearInterval(sweep), () => clearInterval(heartbeat));
+
+    const announceLeave = () => {
+        transport.send('presence', { user: userName, state: 'leave' });
+        transport.disconnect();
+    };
+    window.addEventListener('pagehide', announceLeave);
+    participant.cleanups.push(() => {
+        window.removeEventListener('pagehide', announceLeave);
+        announceLeave();
+    });
+
+    transport.connect();
+    sendPresence('join');
+
+    return participant;
+}
+
+/**
+ * Wires a pane whose participant types in another tab
+ * The pane is read-only, follows that participant's branch and shows
+ * their last pushed content.
+ * @param {Object} participant - Record from createParticipant
+ * @param {Transport} transport - A transport connected to the same room
+ * @param {Object} options - softWrap
+ */
+export function mirrorParticipant(participant, transport, options = {}) {
+    const { userName, elements } = participant;
+    const { status, gitPull, gitPush } = elements;
+
+    participant.isLocal = false;
+    elements.window?.classList.add('remote-pane');
+    [gitPull, gitPush].forEach(button => {
+        if (button) button.disabled = true;
+    });
+
+    participant.softWrap = Boolean(options.softWrap);
+    const openFile = (file, content) => mirrorFileView(file, { content, softWrap: participant.softWrap });
+
+    const statusIndicator = new StatusIndicator(status, {
+        status: 'inactive'
+    });
+    participant.statusIndicator = statusIndicator;
+
+    checkoutBranch(participant, DEFAULT_BRANCH, openFile);
+    const branchPicker = renderBranchPicker(participant, null);
+    let lastSeen = 0;
+    renderWrapToggle(participant);
+
+    const follow = (branch) => {
+        if (branch && branch !== participant.branch) {
+            checkoutBranch(participant, branch, openFile);
+        }
+    };
+
+    participant.cleanups.push(
+        transport.on('push', (message) => {
+            const push = message.payload;
+            if (push.userName !== userName) return;
+
+            follow(push.branch);
+            const file = push.branch === participant.branch ? participant.files.get(push.filePath) : null;
+            if (file) {
+                file.receivePush(push);
+            }
+        }),
+        transport.on('presence', (message) => {
+            const { user, state: presenceState, branch, status: presenceStatus } = message.payload;
+            if (user === userName) {
+                lastSeen = Date.now();
+                statusIndicator.setStatus(presenceState === 'leave' ? 'inactive' : presenceStatus || 'active');
+                follow(branch);
+            }
+        })
+    );
+
+    // Without heartbeats for a while the other tab is gone
+    const sweep = setInterval(() => {
+        if (statusIndicator.status !== 'inactive' && Date.now() - lastSeen > PRESENCE_TIMEOUT) {
+            statusIndicator.setStatus('inactive');
+        }
+    }, HEARTBEAT_INTERVAL);
+    participant.cleanups.push(() => clearInterval(sweep));
+
+    if (branchPicker) {
+        branchPicker.disabled = true;
+    }
+
+    return participant;
+}
+
+/**
+ * Disconnects a participant and releases its listeners
+ */
+export function disposeParticipant(participant) {
+    participant.cleanups.splice(0).forEach(cleanup => cleanup());
+    participant.branches.forEach(files => files.forEach(file => disposeFileView(file)));
+}
+
+/**
+ * Shows one of the participant's files
+ * @param {Object} participant - The participant record
+ * @param {string} filePath - Workspace path of the file to show
+ */
+export function setActiveFile(participant, filePath) {
+    const file = participant.files.get(filePath);
+    if (!file) return;
+
+    participant.activeFilePath = filePath;
+    participant.branches.forEach(files => files.forEach(other => {
+        other.elements.body.classList.toggle('hidden-file', other !== file);
+    }));
+
+    if (participant.elements.fileLabel) {
+        participant.elements.fileLabel.textContent = fileLabelFor(file.language);
+    }
+
+    renderTeammateLocations(participant);
+    renderLockState(participant);
+
+    // Decorations of a hidden file could not be measured
+    refreshFileView(file);
+}
+
+/**
+ * Checks out a branch in a participant's pane
+ * The branch's file views are created the first time it is checked out
+ * and kept afterwards, so switching back brings back its content and
+ * decorations.
+ * @param {Object} participant - The participant record
+ * @param {string} branch - Name of a workspace branch
+ * @param {Function} openFile - Wires a new file view: (file, content) => void
+ */
+export function checkoutBranch(participant, branch, openFile) {
+    if (!WORKSPACE_BRANCHES.some(({ name }) => name === branch)) {
+        console.warn(`Unknown branch "${branch}"`);
+        return;
+    }
+
+    const firstCheckout = participant.branches.size === 0;
+    if (!participant.branches.has(branch)) {
+        participant.branches.set(branch, openBranch(participant, branch, openFile));
+    }
+
+    participant.branch = branch;
+    participant.files = participant.branches.get(branch);
+    participant.teammateLocations.clear();
+
+    const branchPicker = participant.elements.controls?.querySelector('.branch-select');
+    if (branchPicker) {
+        branchPicker.value = branch;
+    }
+    if (firstCheckout) {
+        renderFileTabs(participant);
+    }
+    renderBranchTeammates(participant);
+
+    const filePath = participant.files.has(participant.activeFilePath)
+        ? participant.activeFilePath
+        : participant.files.keys().next().value;
+    setActiveFile(participant, filePath);
+}
+
+/**
+ * Creates a view per workspace file on a branch
+ * The first file of the first branch uses the editor already in the
+ * pane, the others get their own window body after the existing ones.
+ * @returns {Map} - filePath -> file view
+ */
+function openBranch(participant, branch, openFile) {
+    const { elements } = participant;
+    const files = new Map();
+    const bodies = elements.window ? elements.window.querySelectorAll('.window-body') : [];
+    let previousBody = bodies.length > 0 ? bodies[bodies.length - 1] : elements.body;
+
+    const seeded = participant.initialFiles?.[branch] || {};
+
+    filesForBranch(branch).forEach(({ path, content }, index) => {
+        if (path in seeded) {
+            content = seeded[path];
+        }
+
+        let fileElements;
+        if (index === 0 && participant.branches.size === 0) {
+            fileElements = {
+                body: elements.body,
+                editor: elements.editor,
+                markerLayer: elements.markerLayer,
+                lineNumbers: elements.lineNumbers
+            };
+            elements.body.dataset.file = path;
+            elements.body.dataset.branch = branch;
+        } else {
+            fileElements = buildFileElements(path, branch);
+            fileElements.body.classList.add('hidden-file');
+            previousBody.after(fileElements.body);
+            previousBody = fileElements.body;
+        }
+
+        const file = createFileView(path, fileElements, branch);
+        files.set(path, file);
+        openFile(file, content);
+    });
+
+    return files;
+}
+
+// Helper: Opens every branch a saved participant had and puts its files back, then its branch and file
+function restoreParticipant(participant, saved, openFile) {
+    Object.entries(saved.branches || {}).forEach(([branch, files]) => {
+        if (!WORKSPACE_BRANCHES.some(({ name }) => name === branch)) return;
+        if (!participant.branches.has(branch)) {
+            participant.branches.set(branch, openBranch(participant, branch, openFile));
+        }
+        participant.branches.get(branch).forEach((file, filePath) => {
+            if (files[filePath]) file.restore(files[filePath]);
+        });
+    });
+
+    if (saved.activeFilePath) {
+        participant.activeFilePath = saved.activeFilePath;
+    }
+    checkoutBranch(participant, participant.branches.has(saved.branch) ? saved.branch : participant.branch, openFile);
+}
+
+// Helper: Branch picker at the start of the title bar controls
+function renderBranchPicker(participant, onSelect) {
+    const { controls } = participant.elements;
+    if (!controls) return null;
+
+    const picker = document.createElement('select');
+    picker.className = 'branch-select';
+    picker.title = 'Branch';
+    WORKSPACE_BRANCHES.forEach(({ name }) => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        picker.appendChild(option);
+    });
+    picker.value = participant.branch;
+
+    if (onSelect) {
+        picker.addEventListener('change', () => onSelect(picker.value));
+    }
+    controls.prepend(picker);
+    return picker;
+}
+
+// Helper: Status bar button turning soft wrap on and off for the whole pane
+function renderWrapToggle(participant) {
+    const anchor = participant.elements.gitPull || participant.elements.gitPush;
+    if (!anchor) return null;
+
+    const toggle = document.createElement('button');
+    toggle.className = 'git-btn wrap-toggle';
+    toggle.textContent = 'Wrap';
+    toggle.title = 'Soft-wrap long lines';
+    toggle.setAttribute('aria-pressed', String(participant.softWrap));
+    toggle.addEventListener('click', () => {
+        setParticipantSoftWrap(participant, !participant.softWrap);
+        toggle.setAttribute('aria-pressed', String(participant.softWrap));
+    });
+    anchor.before(toggle);
+    return toggle;
+}
+
+/**
+ * Turns soft wrap on or off in every file a participant has open
+ * Branches opened later pick the setting up from participant.softWrap.
+ */
+export function setParticipantSoftWrap(participant, enabled) {
+    participant.softWrap = Boolean(enabled);
+    participant.branches.forEach(files => {
+        files.forEach(file => setFileSoftWrap(file, participant.softWrap));
+    });
+}
+
+// Helper: Title bar lock state for the open file
+function renderLockState(participant) {
+    const file = getActiveFile(participant);
+    if (!participant.statusIndicator || !file || !file.getLockState) return;
+
+    const lockState = file.getLockState();
+    if (lockState !== participant.statusIndicator.lockState) {
+        participant.statusIndicator.setLockState(lockState);
+    }
+}
+
+// Helper: Teammates counted in the status indicator are the ones on our branch
+function renderBranchTeammates(participant) {
+    const { statusIndicator } = participant;
+    if (!statusIndicator || !participant.isLocal) return;
+
+    const teammates = Array.from(participant.teammateBranches.entries())
+        .filter(([, branch]) => branch === participant.branch)
+        .map(([teammate]) => teammate);
+    const statuses = teammates.map(teammate => [teammate, participant.teammatePresence.get(teammate)?.status || 'active']);
+    statusIndicator.setBranch(participant.branch);
+    statusIndicator.setActiveCollaborators(teammates, new Map(statuses));
+}
+
+// Helper: One tab per file in the pane's title bar
+function renderFileTabs(participant) {
+    const { tabs } = participant.elements;
+    if (!tabs) return;
+
+    tabs.innerHTML = '';
+    participant.files.forEach((file, filePath) => {
+        const tab = document.createElement('div');
+        tab.className = 'tab';
+        tab.dataset.file = filePath;
+        tab.innerHTML = `<span class="tab-icon">${fileLabelFor(file.language)}</span> <span class="tab-name"></span>`;
+        tab.querySelector('.tab-name').textContent = filePath;
+        tab.addEventListener('click', () => setActiveFile(participant, filePath));
+        tabs.appendChild(tab);
+    });
+}
+
+/**
+ * Updates the active tab, marks tabs with teammate activity and shows
+ * where teammates are working when it is not the open file
+ */
+function renderTeammateLocations(participant) {
+    const { tabs, window: paneWindow } = participant.elements;
+    const elsewhere = Array.from(participant.teammateLocations.entries())
+        .filter(([, location]) => location.filePath !== participant.activeFilePath);
+
+    if (tabs) {
+        tabs.querySelectorAll('.tab').forEach(tab => {
+            const filePath = tab.dataset.file;
+            const editing = elsewhere.filter(([, location]) => location.filePath === filePath).map(([teammate]) => teammate);
+            tab.classList.toggle('active', filePath === participant.activeFilePath);
+            tab.classList.toggle('has-activity', editing.length > 0);
+            tab.title = editing.length > 0 ? `${editing.join(', ')} editing ${filePath}` : filePath;
+        });
+    }
+
+    const indicator = crossFileIndicatorFor(participant);
+    if (!indicator) return;
+
+    indicator.innerHTML = '';
+    elsewhere.forEach(([teammate, location]) => {
+        const item = document.createElement('span');
+        item.className = `cross-file-item ${userClassFor(teammate)}`;
+        item.textContent = `${teammate} is editing ${location.filePath}:${location.line}`;
+        if (participant.files.has(location.filePath)) {
+            item.title = `Open ${location.filePath}`;
+            item.addEventListener('click', () => setActiveFile(participant, location.filePath));
+        }
+        indicator.appendChild(item);
+    });
+    indicator.hidden = elsewhere.length === 0;
+
+    if (paneWindow) {
+        paneWindow.classList.toggle('has-cross-file-activity', elsewhere.length > 0);
+    }
+}
+
+// Helper: The status bar element listing teammates in other files (created on first use)
+function crossFileIndicatorFor(participant) {
+    const { window: paneWindow, fileLabel } = participant.elements;
+    if (!paneWindow || !fileLabel) return null;
+
+    let indicator = paneWindow.querySelector('.cross-file');
+    if (!indicator) {
+        indicator = document.createElement('div');
+        indicator.className = 'status-item cross-file';
+        indicator.hidden = true;
+        fileLabel.after(indicator);
+    }
+    return indicator;
+}
+
+/**
+ * Drops everything a participant shows for a teammate who left
+ */
+function forgetTeammate(participant, teammate) {
+    participant.teammateBranches.delete(teammate);
+    participant.teammatePresence.delete(teammate);
+    participant.statusIndicator.removeCollaborator(teammate);
+    participant.branches.forEach(files => files.forEach(file => forgetTeammateInFile(file, teammate)));
+    participant.teammateLocations.delete(teammate);
+    renderTeammateLocations(participant);
+}
+
+/**
+ * Surfaces a merge result on the pull button
+ * @param {HTMLElement} button - The pull button
+ * @param {Object|null} result - Merged result summary, or null when there was nothing to pull
+ * @returns {string} - The result spelled out, one line per conflict
+ */
+function showMergeResult(button, result) {
+    if (!button) return '';
+
+    if (!button.dataset.defaultLabel) {
+        button.dataset.defaultLabel = button.textContent;
+    }
+    if (button.mergeResultTimeout) {
+        clearTimeout(button.mergeResultTimeout);
+    }
+    button.classList.remove('merge-clean', 'merge-conflict');
+
+    let tooltip;
+    if (!result) {
+        button.textContent = 'Up to date';
+        tooltip = 'Nothing to pull';
+    } else if (result.conflicts.length === 0) {
+        button.classList.add('merge-clean');
+        button.textContent = `Merged ${result.cleanHunks}`;
+        tooltip = `${result.cleanHunks} ${result.cleanHunks === 1 ? 'hunk' : 'hunks'} merged cleanly`;
+    } else {
+        button.classList.add('merge-conflict');
+        button.textContent = `${result.conflicts.length} conflict${result.conflicts.length === 1 ? '' : 's'}`;
+        tooltip = `${result.cleanHunks} ${result.cleanHunks === 1 ? 'hunk' : 'hunks'} merged cleanly`;
+        result.conflicts.forEach(conflict => {
+            tooltip += `\nConflict in ${conflict.filePath} at lines ${conflict.startLine}-${conflict.endLine}`;
+        });
+    }
+    button.title = tooltip;
+
+    button.mergeResultTimeout = setTimeout(() => {
+        button.textContent = button.dataset.defaultLabel;
+        button.title = 'Git Pull';
+        button.classList.remove('merge-clean', 'merge-conflict');
+    }, 4000);
+    return tooltip;
+}
@@ -0,0 +1,118 @@
+/**
+ * Presence
+ * Each participant tells the room how present it is with a heartbeat every
+ * HEARTBEAT_INTERVAL, and right away when that changes: 'active', 'idle'
+ * after IDLE_TIMEOUT without input in its pane, or 'away' while the page is
+ * hidden or focus has left the pane. Teammates that send nothing for
+ * PRESENCE_TIMEOUT are treated as gone, as if they had left.
+ */
+
+export const HEARTBEAT_INTERVAL = 10000;
+
+export const IDLE_TIMEOUT = 60000;
+
+// Three missed heartbeats, with some slack for throttled timers
+export const PRESENCE_TIMEOUT = 35000;
+
+/**
+ * Works out a participant's presence
+ * @param {Object} signals - {hidden, blurred, idleFor}: page hidden, focus left the pane, ms since the last input
+ * @param {number} idleTimeout - How long without input counts as idle
+ * @returns {string} - 'active', 'idle' or 'away'
+ */
+export function presenceStatusFor({ hidden, blurred, idleFor }, idleTimeout = IDLE_TIMEOUT) {
+    if (hidden || blurred) return 'away';
+    return idleFor >= idleTimeout ? 'idle' : 'active';
+}
+
+/**
+ * Tracks the local participant's presence in its pane
+ * Keys, clicks, input and focus in the pane count as input. A pane that
+ * never had focus (e.g. typed in by the scenario player) is only away
+ * while the page is hidden.
+ * @param {HTMLElement} pane - The participant's pane
+ * @param {Object} options - onChange(status) called when the presence changes, and idleTimeout
+ * @returns {Object} - {getStatus, stop}
+ */
+export function watchOwnPresence(pane, options = {}) {
+    const idleTimeout = options.idleTimeout || IDLE_TIMEOUT;
+    const onChange = options.onChange || (() => { });
+    let lastInput = Date.now();
+    let blurred = false;
+    let idleTimer = null;
+
+    const compute = () => presenceStatusFor({
+        hidden: document.visibilityState === 'hidden',
+        blurred,
+        idleFor: Date.now() - lastInput
+    }, idleTimeout);
+    let status = compute();
+
+    const update = () => {
+        clearTimeout(idleTimer);
+        const next = compute();
+        if (next === 'active') {
+            idleTimer = setTimeout(update, idleTimeout - (Date.now() - lastInput));
+        }
+        if (next !== status) {
+            status = next;
+            onChange(status);
+        }
+    };
+
+    const handleInput = () => {
+        lastInput = Date.now();
+        blurred = false;
+        update();
+    };
+    // Focus moving within the pane is a focusout then a focusin; look once it has landed
+    const handleFocusOut = () => setTimeout(() => {
+        if (!pane.contains(document.activeElement)) {
+            blurred = true;
+            update();
+        }
+    }, 0);
+
+    const inputEvents = ['keydown', 'pointerdown', 'input', 'focusin'];
+    inputEvents.forEach(type => pane.addEventListener(type, handleInput));
+    pane.addEventListener('focusout', handleFocusOut);
+    document.addEventListener('visibilitychange', update);
+    update();
+
+    return {
+        getStatus: () => status,
+        stop: () => {
+            clearTimeout(idleTimer);
+            inputEvents.forEach(type => pane.removeEventListener(type, handleInput));
+            pane.removeEventListener('focusout', handleFocusOut);
+            document.removeEventListener('visibilitychange', update);
+        }
+    };
+}
+
+/**
+ * Records a presence message from a teammate
+ * @param {Map} teammatePresence - Teammate -> {status, lastSeen}
+ * @returns {boolean} - Whether the teammate was not known yet (joined, or is back after timing out)
+ */
+export function recordPresence(teammatePresence, teammate, status, now = Date.now()) {
+    const isNew = !teammatePresence.has(teammate);
+    teammatePresence.set(teammate, { status: status || 'active', lastSeen: now });
+    return isNew;
+}
+
+/**
+ * Drops teammates that sent no presence for too long
+ * @param {Map} teammatePresence - Teammate -> {status, lastSeen}
+ * @returns {Array<string>} - The teammates dropped
+ */
+export function expirePresence(teammatePresence, timeout = PRESENCE_TIMEOUT, now = Date.now()) {
+    const expired = [];
+    teammatePresence.forEach(({ lastSeen }, teammate) => {
+        if (now - lastSeen > timeout) {
+            expired.push(teammate);
+        }
+    });
+    expired.forEach(teammate => teammatePresence.delete(teammate));
+    return expired;
+}
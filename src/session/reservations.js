@@ -0,0 +1,144 @@
+/**
+ * Line reservations
+ * Editing a line reserves it for its author. A reservation lasts `ttl` ms
+ * after the author's last edit in the file, so it renews while they keep
+ * typing; it is released early when they leave the editor or push. What a
+ * teammate's reservation means for you depends on the policy.
+ */
+
+// 'warn' only logs, 'soft-lock' asks before editing a reserved line, 'hard-lock' makes it read-only
+export const RESERVATION_POLICIES = ['warn', 'soft-lock', 'hard-lock'];
+
+export const DEFAULT_RESERVATION_POLICY = 'warn';
+
+export const DEFAULT_RESERVATION_TTL = 30000;
+
+/**
+ * Reserves lines for a user and renews everything else they hold
+ * @param {Map} reservations - lineNumber -> {userName, since, timestamp, confirmed}
+ * @param {number} startLine - First line (1-based)
+ * @param {number} endLine - Last line
+ * @param {string} userName - Who is editing
+ * @param {number} timestamp - Time of the edit
+ */
+export function reserveLines(reservations, startLine, endLine, userName, timestamp = Date.now()) {
+    for (let line = startLine; line <= endLine; line++) {
+        const existing = reservations.get(line);
+        const kept = Boolean(existing && existing.userName === userName);
+        reservations.set(line, {
+            userName,
+            since: kept ? existing.since : timestamp,
+            timestamp,
+            // A teammate who already confirmed editing this reservation is not asked again
+            confirmed: kept && existing.confirmed
+        });
+    }
+    renewReservations(reservations, userName, timestamp);
+}
+
+/**
+ * Extends every reservation a user holds
+ */
+export function renewReservations(reservations, userName, timestamp = Date.now()) {
+    reservations.forEach(reservation => {
+        if (reservation.userName === userName) {
+            reservation.timestamp = Math.max(reservation.timestamp, timestamp);
+        }
+    });
+}
+
+/**
+ * Releases a user's reservations, optionally only within a range
+ * @returns {number[]} - The released lines in ascending order
+ */
+export function releaseReservations(reservations, userName, startLine = 1, endLine = Infinity) {
+    const released = [];
+    reservations.forEach((reservation, line) => {
+        if (reservation.userName === userName && line >= startLine && line <= endLine) {
+            reservations.delete(line);
+            released.push(line);
+        }
+    });
+    return released.sort((a, b) => a - b);
+}
+
+/**
+ * Drops reservations whose time-to-live has run out
+ * @returns {number[]} - The expired lines
+ */
+export function expireReservations(reservations, ttl, now = Date.now()) {
+    const expired = [];
+    reservations.forEach((reservation, line) => {
+        if (now - reservation.timestamp >= ttl) {
+            reservations.delete(line);
+            expired.push(line);
+        }
+    });
+    return expired;
+}
+
+/**
+ * Finds a reservation held by someone else within a range
+ * @returns {Object|null} - {line, userName, timestamp, confirmed} of the first one, or null
+ */
+export function findConflict(reservations, startLine, endLine, userName) {
+    for (let line = startLine; line <= endLine; line++) {
+        const reservation = reservations.get(line);
+        if (reservation && reservation.userName !== userName) {
+            return { line, ...reservation };
+        }
+    }
+    return null;
+}
+
+/**
+ * Finds the lines both we and a teammate hold
+ * @param {Map} reservations - Our reservations
+ * @param {Map} remoteReservations - Teammates' reservations
+ * @returns {Array<Object>} - {startLine, endLine, teammate, holder, since} per run of consecutive
+ *   lines, where holder is whoever reserved first and since is when they did
+ */
+export function conflictRanges(reservations, remoteReservations) {
+    const lines = Array.from(reservations.keys())
+        .filter(line => remoteReservations.has(line))
+        .sort((a, b) => a - b);
+    const ranges = [];
+
+    lines.forEach(line => {
+        const own = reservations.get(line);
+        const remote = remoteReservations.get(line);
+        const first = remote.since < own.since ? remote : own;
+        const last = ranges[ranges.length - 1];
+
+        if (last && line === last.endLine + 1 && last.teammate === remote.userName && last.holder === first.userName) {
+            last.endLine = line;
+            last.since = Math.min(last.since, first.since);
+        } else {
+            ranges.push({
+                startLine: line,
+                endLine: line,
+                teammate: remote.userName,
+                holder: first.userName,
+                since: first.since
+            });
+        }
+    });
+
+    return ranges;
+}
+
+/**
+ * Works out the lock state shown in the title bar
+ * @param {Map} reservations - Teammates' reservations in the open file
+ * @param {number|null} line - Line the caret is on
+ * @param {string} policy - One of RESERVATION_POLICIES
+ * @returns {string} - 'locked' if the caret's line is reserved under a locking policy (and,
+ *   for soft-lock, not confirmed yet), 'partial' if teammates hold other lines, otherwise 'unlocked'
+ */
+export function lockStateFor(reservations, line, policy) {
+    if (reservations.size === 0) return 'unlocked';
+
+    const reservation = line !== null ? reservations.get(line) : null;
+    const enforced = policy === 'hard-lock' || (policy === 'soft-lock' && reservation && !reservation.confirmed);
+    return reservation && enforced ? 'locked' : 'partial';
+}
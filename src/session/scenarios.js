@@ -0,0 +1,61 @@
+/**
+ * Demo scenarios
+ * Scripted teammates played on page load by ScenarioPlayer (see there for
+ * the step format). Line numbers refer to the content at that point of the
+ * script; a newline in typed text is an Enter key press.
+ */
+export const SCENARIOS = [
+    {
+        name: 'Two files at once',
+        steps: [
+            { user: 'User B', action: 'open', file: 'utils.js' },
+            {
+                user: 'User B',
+                action: 'type',
+                line: 11,
+                text: '\n\nexport function once(fn) {\n    let called = false;\n    return (...args) => {\n        if (called) return;\n        called = true;\n        return fn(...args);\n    };\n}'
+            },
+            { action: 'pause', ms: 600 },
+            {
+                user: 'User A',
+                action: 'type',
+                line: 1,
+                text: "import { clamp, debounce } from './utils.js';\n\nexport const onResize = debounce(() => {\n    console.log(clamp(window.innerWidth, 320, 1440));\n});"
+            },
+            { action: 'pause', ms: 800 },
+            { user: 'User B', action: 'push' },
+            { action: 'pause', ms: 1200 },
+            { user: 'User A', action: 'pull' },
+            { action: 'pause', ms: 2000 }
+        ]
+    },
+    {
+        name: 'Same line, two people',
+        steps: [
+            { user: 'User A', action: 'open', file: 'utils.js' },
+            { user: 'User A', action: 'type', line: 6, text: ' // pending call' },
+            { action: 'pause', ms: 700 },
+            { user: 'User B', action: 'type', line: 6, text: ' // reset on flush' },
+            { action: 'pause', ms: 2500 },
+            { user: 'User B', action: 'push' },
+            { action: 'pause', ms: 2000 }
+        ]
+    },
+    {
+        name: 'Feature branch',
+        steps: [
+            { user: 'User A', action: 'branch', branch: 'feature/retry' },
+            { action: 'pause', ms: 800 },
+            { user: 'User A', action: 'type', line: 13, text: '\n\nexport const retryTwice = (fn) => retry(fn, 2);' },
+            { action: 'pause', ms: 600 },
+            { user: 'User B', action: 'branch', branch: 'feature/retry' },
+            { action: 'pause', ms: 800 },
+            { user: 'User A', action: 'push' },
+            { action: 'pause', ms: 1000 },
+            { user: 'User B', action: 'pull' },
+            { action: 'pause', ms: 2000 },
+            { user: 'User A', action: 'branch', branch: 'main' },
+            { user: 'User B', action: 'branch', branch: 'main' }
+        ]
+    }
+];
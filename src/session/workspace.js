@@ -0,0 +1,111 @@
+/**
+ * Demo workspace
+ * The files every pane opens, in tab order, and the branches they exist
+ * on. The first file on the first branch is the one whose editor is
+ * already in index.html.
+ */
+export const WORKSPACE_FILES = [
+    {
+        path: 'logic.ts',
+        content: ''
+    },
+    {
+        path: 'utils.js',
+        content: [
+            'export function clamp(value, min, max) {',
+            '    return Math.min(Math.max(value, min), max);',
+            '}',
+            '',
+            'export function debounce(fn, wait = 100) {',
+            '    let timeout;',
+            '    return (...args) => {',
+            '        clearTimeout(timeout);',
+            '        timeout = setTimeout(() => fn(...args), wait);',
+            '    };',
+            '}'
+        ].join('\n')
+    },
+    {
+        path: 'config.json',
+        content: [
+            '{',
+            '    "name": "synq-demo",',
+            '    "syncInterval": 500,',
+            '    "shareContent": false',
+            '}'
+        ].join('\n')
+    }
+];
+
+// Branches in the demo repository; files not listed keep their content from WORKSPACE_FILES
+export const WORKSPACE_BRANCHES = [
+    {
+        name: 'main',
+        files: {}
+    },
+    {
+        name: 'feature/retry',
+        files: {
+            'utils.js': [
+                'export function clamp(value, min, max) {',
+                '    return Math.min(Math.max(value, min), max);',
+                '}',
+                '',
+                'export async function retry(fn, attempts = 3) {',
+                '    for (let i = 1; i <= attempts; i++) {',
+                '        try {',
+                '            return await fn();',
+                '        } catch (e) {',
+                '            if (i === attempts) throw e;',
+                '        }',
+                '    }',
+                '}'
+            ].join('\n')
+        }
+    },
+    {
+        name: 'fix/config',
+        files: {
+            'config.json': [
+                '{',
+                '    "name": "synq-demo",',
+                '    "syncInterval": 250,',
+                '    "shareContent": false,',
+                '    "branchScoped": true',
+                '}'
+            ].join('\n')
+        }
+    }
+];
+
+export const DEFAULT_BRANCH = WORKSPACE_BRANCHES[0].name;
+
+/**
+ * Gets the files of a branch with their content on that branch
+ * @param {string} branch - Branch name
+ * @returns {Array<{path: string, content: string}>} - Files in tab order
+ */
+export function filesForBranch(branch) {
+    const overrides = WORKSPACE_BRANCHES.find(({ name }) => name === branch)?.files || {};
+    return WORKSPACE_FILES.map(({ path, content }) => ({
+        path,
+        content: path in overrides ? overrides[path] : content
+    }));
+}
+
+// Short label shown in tabs and the status bar
+const FILE_LABELS = {
+    javascript: 'JS',
+    typescript: 'TS',
+    python: 'PY',
+    json: '{}'
+};
+
+/**
+ * Gets the short label for a file's language
+ * @param {string|null} language - Result of languageForPath
+ * @returns {string} - e.g. 'TS'
+ */
+export function fileLabelFor(language) {
+    return FILE_LABELS[language] || 'TXT';
+}
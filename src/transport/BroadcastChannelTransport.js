@@ -0,0 +1,34 @@
+import { Transport } from './Transport.js';
+
+/**
+ * BroadcastChannelTransport
+ * Delivers messages between browser tabs of the same origin, so two tabs
+ * can act as User A and User B.
+ */
+export class BroadcastChannelTransport extends Transport {
+    constructor(options = {}) {
+        super(options);
+        this.channel = null;
+    }
+
+    connect() {
+        super.connect();
+        this.channel = new BroadcastChannel(`synq:${this.room}`);
+        this.channel.addEventListener('message', (event) => {
+            this.dispatch(event.data);
+        });
+    }
+
+    disconnect() {
+        super.disconnect();
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+    }
+
+    transmit(message) {
+        if (!this.channel) return;
+        this.channel.postMessage(message);
+    }
+}
@@ -0,0 +1,42 @@
+import { Transport } from './Transport.js';
+
+// Connected transports by room name
+const rooms = new Map();
+
+/**
+ * InMemoryTransport
+ * Delivers messages between transports in the same page. Messages are
+ * serialized and delivered asynchronously, like they would be over a network.
+ */
+export class InMemoryTransport extends Transport {
+    connect() {
+        super.connect();
+        if (!rooms.has(this.room)) {
+            rooms.set(this.room, new Set());
+        }
+        rooms.get(this.room).add(this);
+    }
+
+    disconnect() {
+        super.disconnect();
+        const peers = rooms.get(this.room);
+        if (peers) {
+            peers.delete(this);
+            if (peers.size === 0) {
+                rooms.delete(this.room);
+            }
+        }
+    }
+
+    transmit(message) {
+        const peers = rooms.get(this.room);
+        if (!peers) return;
+
+        const data = JSON.stringify(message);
+        peers.forEach(peer => {
+            if (peer !== this) {
+                queueMicrotask(() => peer.dispatch(JSON.parse(data)));
+            }
+        });
+    }
+}
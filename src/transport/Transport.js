@@ -0,0 +1,119 @@
+import { MESSAGE_CODECS } from './protocol.js';
+
+/**
+ * Transport
+ * Base class for collaboration transports. A transport carries presence,
+ * activity, cursor and push/pull messages between the participants of a
+ * room. Every payload goes through its wire schema (see protocol.js) in
+ * both directions, and messages that don't match it are dropped.
+ * Adapters implement transmit() and usually override connect()/disconnect().
+ */
+export class Transport {
+    constructor(options = {}) {
+        this.room = options.room || 'synq-demo';
+        this.clientId = options.clientId || createClientId();
+        this.listeners = new Map(); // message type -> Set of handlers
+        this.connected = false;
+    }
+
+    connect() {
+        this.connected = true;
+    }
+
+    disconnect() {
+        this.connected = false;
+    }
+
+    /**
+     * Sends a message to everyone in the room, including this transport's own listeners
+     * @param {string} type - Message type: 'presence', 'activity', 'cursor', 'push' or 'pull'
+     * @param {Object} payload - Message payload
+     * @returns {Object|null} - The message that was sent, or null if the payload was invalid
+     */
+    send(type, payload = {}) {
+        const codec = MESSAGE_CODECS[type];
+        let data = payload;
+        if (codec) {
+            try {
+                data = codec.encode(payload);
+            } catch (e) {
+                console.warn(`Not sending "${type}" message: ${e.message}`);
+                return null;
+            }
+        }
+
+        const message = {
+            type,
+            from: this.clientId,
+            room: this.room,
+            timestamp: Date.now(),
+            payload: data
+        };
+
+        this.transmit(message);
+        // Loop back asynchronously so local listeners see the same ordering as remote peers
+        queueMicrotask(() => this.dispatch(message));
+        return message;
+    }
+
+    /**
+     * Delivers a message to the other participants (implemented by adapters)
+     */
+    transmit(message) {
+        throw new Error(`${this.constructor.name} must implement transmit()`);
+    }
+
+    /**
+     * Subscribes to a message type
+     * @returns {Function} - Unsubscribe function
+     */
+    on(type, handler) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(handler);
+        return () => this.off(type, handler);
+    }
+
+    off(type, handler) {
+        const handlers = this.listeners.get(type);
+        if (handlers) {
+            handlers.delete(handler);
+        }
+    }
+
+    /**
+     * Hands an incoming message to the listeners for its type
+     */
+    dispatch(message) {
+        if (!message || message.room !== this.room) return;
+
+        const handlers = this.listeners.get(message.type);
+        if (!handlers) return;
+
+        const codec = MESSAGE_CODECS[message.type];
+        if (codec) {
+            try {
+                message = { ...message, payload: codec.decode(message.payload) };
+            } catch (e) {
+                console.warn(`Rejected "${message.type}" message from ${message.from}: ${e.message}`);
+                return;
+            }
+        }
+
+        handlers.forEach(handler => {
+            try {
+                handler(message);
+            } catch (e) {
+                console.error(`Transport handler for "${message.type}" failed:`, e);
+            }
+        });
+    }
+}
+
+function createClientId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
@@ -0,0 +1,69 @@
+import { Transport } from './Transport.js';
+
+/**
+ * WebSocketTransport
+ * Delivers messages through a relay server (see server/relay.js).
+ * Messages sent before the socket opens are queued, and the socket
+ * reconnects after it drops until disconnect() is called.
+ */
+export class WebSocketTransport extends Transport {
+    constructor(options = {}) {
+        super(options);
+        this.url = options.url || 'ws://localhost:8787';
+        this.reconnectDelay = options.reconnectDelay || 1000;
+        this.socket = null;
+        this.queue = [];
+        this.reconnectTimeout = null;
+    }
+
+    connect() {
+        super.connect();
+
+        const url = new URL(this.url);
+        url.searchParams.set('room', this.room);
+        this.socket = new WebSocket(url.toString());
+
+        this.socket.addEventListener('open', () => {
+            this.queue.splice(0).forEach(data => this.socket.send(data));
+        });
+
+        this.socket.addEventListener('message', (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (e) {
+                console.warn('Dropping malformed message from relay:', e);
+                return;
+            }
+            this.dispatch(message);
+        });
+
+        this.socket.addEventListener('close', () => {
+            this.socket = null;
+            if (this.connected) {
+                this.reconnectTimeout = setTimeout(() => this.connect(), this.reconnectDelay);
+            }
+        });
+    }
+
+    disconnect() {
+        super.disconnect();
+        if (this.reconnectTimeout) {
+            clearTimeout(this.reconnectTimeout);
+            this.reconnectTimeout = null;
+        }
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+    }
+
+    transmit(message) {
+        const data = JSON.stringify(message);
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(data);
+        } else {
+            this.queue.push(data);
+        }
+    }
+}
@@ -0,0 +1,23 @@
+import { InMemoryTransport } from './InMemoryTransport.js';
+import { BroadcastChannelTransport } from './BroadcastChannelTransport.js';
+import { WebSocketTransport } from './WebSocketTransport.js';
+
+/**
+ * Creates a transport adapter by name
+ * @param {string} kind - 'memory', 'broadcast' or 'websocket'
+ * @param {Object} options - Adapter options (room, url, clientId)
+ * @returns {Transport} - The transport (not yet connected)
+ */
+export function createTransport(kind = 'memory', options = {}) {
+    switch (kind) {
+        case 'memory':
+            return new InMemoryTransport(options);
+        case 'broadcast':
+            return new BroadcastChannelTransport(options);
+        case 'websocket':
+            return new WebSocketTransport(options);
+        default:
+            console.warn(`Unknown transport "${kind}", falling back to in-memory`);
+            return new InMemoryTransport(options);
+    }
+}
@@ -0,0 +1,421 @@
+/**
+ * Wire protocol
+ * Versioned schemas for every message. Activity, cursor and presence carry
+ * metadata only (who, which file and branch, which lines or caret position,
+ * what kind of edit, when); anything else, in particular line contents, is
+ * rejected. Push and pull stand in for the git remote: a push carries the
+ * file's content and change blocks and has a larger size limit.
+ */
+
+export const PROTOCOL_VERSION = 1;
+
+// Largest encoded awareness message we accept
+export const MAX_MESSAGE_BYTES = 512;
+
+// Largest encoded push we accept: the content plus one merge base per teammate
+export const MAX_PUSH_BYTES = 2 * 1024 * 1024;
+
+export const EDIT_TYPES = ['added', 'edited', 'deleted', 'retracted', 'released'];
+
+export const PRESENCE_STATES = ['join', 'here', 'heartbeat', 'leave'];
+
+export const PRESENCE_STATUSES = ['active', 'idle', 'away'];
+
+export const CHANGE_TYPES = ['added', 'edited', 'deleted'];
+
+const MAX_USER_LENGTH = 64;
+const MAX_PATH_LENGTH = 256;
+const MAX_BRANCH_LENGTH = 100;
+const MAX_LINE = 1000000;
+const MAX_COLUMN = 100000;
+const MAX_BLOCK_ID_LENGTH = 200;
+
+/**
+ * ProtocolError
+ * Thrown when a message does not match its schema
+ */
+export class ProtocolError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ProtocolError';
+    }
+}
+
+/**
+ * Encodes an activity event for the wire
+ * @param {Object} event - {filePath, branch, lineRange: {start, end}, editType, timestamp, user},
+ *   plus deletedCount for 'deleted'
+ * @returns {string} - The encoded message
+ * @throws {ProtocolError} - If the event does not match the schema
+ */
+export function encodeActivity(event) {
+    return encode({ v: PROTOCOL_VERSION, ...event }, validateActivity);
+}
+
+/**
+ * Decodes and validates an activity message
+ * @param {string} data - The encoded message
+ * @returns {Object} - The activity event
+ * @throws {ProtocolError} - If the message is oversized or invalid
+ */
+export function decodeActivity(data) {
+    return decode(data, validateActivity);
+}
+
+/**
+ * Encodes a caret and selection update for the wire
+ * @param {Object} event - {filePath, branch, timestamp, user}, plus caret and anchor
+ *   ({line, column}) while the user is in the file; without them the caret left it
+ * @returns {string} - The encoded message
+ * @throws {ProtocolError} - If the event does not match the schema
+ */
+export function encodeCursor(event) {
+    return encode({ v: PROTOCOL_VERSION, ...event }, validateCursor);
+}
+
+/**
+ * Decodes and validates a cursor message
+ * @param {string} data - The encoded message
+ * @returns {Object} - The cursor event
+ * @throws {ProtocolError} - If the message is oversized or invalid
+ */
+export function decodeCursor(data) {
+    return decode(data, validateCursor);
+}
+
+/**
+ * Encodes a presence update for the wire
+ * @param {Object} event - {user, state, timestamp}, plus the checked-out branch if known and,
+ *   except for 'leave', the sender's status (see session/presence.js)
+ * @returns {string} - The encoded message
+ * @throws {ProtocolError} - If the event does not match the schema
+ */
+export function encodePresence(event) {
+    return encode({ v: PROTOCOL_VERSION, timestamp: Date.now(), ...event }, validatePresence);
+}
+
+/**
+ * Decodes and validates a presence message
+ * @param {string} data - The encoded message
+ * @returns {Object} - The presence event
+ * @throws {ProtocolError} - If the message is oversized or invalid
+ */
+export function decodePresence(data) {
+    return decode(data, validatePresence);
+}
+
+/**
+ * Encodes a push for the wire
+ * @param {Object} push - {userName, filePath, branch, content, bases, changes, blocks}
+ *   (see the file views' createPush)
+ * @returns {string} - The encoded message
+ * @throws {ProtocolError} - If the push does not match the schema
+ */
+export function encodePush(push) {
+    return encode({ v: PROTOCOL_VERSION, ...push }, validatePush, MAX_PUSH_BYTES);
+}
+
+/**
+ * Decodes and validates a push message
+ * @param {string} data - The encoded message
+ * @returns {Object} - The push
+ * @throws {ProtocolError} - If the message is oversized or invalid
+ */
+export function decodePush(data) {
+    return decode(data, validatePush, MAX_PUSH_BYTES);
+}
+
+/**
+ * Encodes a pull notice for the wire
+ * @param {Object} event - {userName, source, filePath, branch}: who pulled whose push of which file
+ * @returns {string} - The encoded message
+ * @throws {ProtocolError} - If the event does not match the schema
+ */
+export function encodePull(event) {
+    return encode({ v: PROTOCOL_VERSION, ...event }, validatePull);
+}
+
+/**
+ * Decodes and validates a pull message
+ * @param {string} data - The encoded message
+ * @returns {Object} - The pull event
+ * @throws {ProtocolError} - If the message is oversized or invalid
+ */
+export function decodePull(data) {
+    return decode(data, validatePull);
+}
+
+/**
+ * Checks an activity event against the schema
+ * @throws {ProtocolError} - Naming the first field that is wrong
+ */
+export function validateActivity(event) {
+    expectObject(event, 'activity');
+    expectFields(event, ['v', 'filePath', 'branch', 'lineRange', 'editType', 'timestamp', 'user', 'deletedCount']);
+    expectVersion(event);
+    expectString(event, 'filePath', MAX_PATH_LENGTH);
+    expectString(event, 'branch', MAX_BRANCH_LENGTH);
+    expectString(event, 'user', MAX_USER_LENGTH);
+    expectTimestamp(event);
+
+    if (!EDIT_TYPES.includes(event.editType)) {
+        throw new ProtocolError(`editType must be one of ${EDIT_TYPES.join(', ')}`);
+    }
+
+    expectObject(event.lineRange, 'lineRange');
+    expectFields(event.lineRange, ['start', 'end'], 'lineRange.');
+    expectLine(event.lineRange.start, 'lineRange.start');
+    expectLine(event.lineRange.end, 'lineRange.end');
+    if (event.lineRange.end < event.lineRange.start) {
+        throw new ProtocolError('lineRange.end must not be before lineRange.start');
+    }
+
+    if (event.editType === 'deleted') {
+        expectLine(event.deletedCount, 'deletedCount');
+    } else if (event.deletedCount !== undefined) {
+        throw new ProtocolError('deletedCount is only allowed for deleted lines');
+    }
+}
+
+/**
+ * Checks a cursor event against the schema
+ * @throws {ProtocolError} - Naming the first field that is wrong
+ */
+export function validateCursor(event) {
+    expectObject(event, 'cursor');
+    expectFields(event, ['v', 'filePath', 'branch', 'caret', 'anchor', 'timestamp', 'user']);
+    expectVersion(event);
+    expectString(event, 'filePath', MAX_PATH_LENGTH);
+    expectString(event, 'branch', MAX_BRANCH_LENGTH);
+    expectString(event, 'user', MAX_USER_LENGTH);
+    expectTimestamp(event);
+
+    if (event.caret !== undefined) {
+        expectPosition(event.caret, 'caret');
+        expectPosition(event.anchor, 'anchor');
+    } else if (event.anchor !== undefined) {
+        throw new ProtocolError('anchor is only allowed with a caret');
+    }
+}
+
+/**
+ * Checks a presence event against the schema
+ * @throws {ProtocolError} - Naming the first field that is wrong
+ */
+export function validatePresence(event) {
+    expectObject(event, 'presence');
+    expectFields(event, ['v', 'user', 'state', 'timestamp', 'branch', 'status']);
+    expectVersion(event);
+    expectString(event, 'user', MAX_USER_LENGTH);
+    expectTimestamp(event);
+    // The relay announces leaves without knowing the branch
+    if (event.branch !== undefined) {
+        expectString(event, 'branch', MAX_BRANCH_LENGTH);
+    }
+
+    if (!PRESENCE_STATES.includes(event.state)) {
+        throw new ProtocolError(`state must be one of ${PRESENCE_STATES.join(', ')}`);
+    }
+
+    if (event.status !== undefined) {
+        if (event.state === 'leave') {
+            throw new ProtocolError('status is not allowed when leaving');
+        }
+        if (!PRESENCE_STATUSES.includes(event.status)) {
+            throw new ProtocolError(`status must be one of ${PRESENCE_STATUSES.join(', ')}`);
+        }
+    }
+}
+
+/**
+ * Checks a push against the schema
+ * Block and change lines must lie within the pushed content (or just past
+ * its end, where lines were deleted); a block of added or edited lines has
+ * one line of content per line it covers.
+ * @throws {ProtocolError} - Naming the first field that is wrong
+ */
+export function validatePush(push) {
+    expectObject(push, 'push');
+    expectFields(push, ['v', 'userName', 'filePath', 'branch', 'content', 'bases', 'changes', 'blocks']);
+    expectVersion(push);
+    expectString(push, 'userName', MAX_USER_LENGTH);
+    expectString(push, 'filePath', MAX_PATH_LENGTH);
+    expectString(push, 'branch', MAX_BRANCH_LENGTH);
+    expectText(push.content, 'content');
+    const lastLine = push.content.split('\n').length + 1;
+
+    expectObject(push.bases, 'bases');
+    Object.entries(push.bases).forEach(([teammate, base]) => {
+        if (teammate.length === 0 || teammate.length > MAX_USER_LENGTH) {
+            throw new ProtocolError(`bases must be keyed by user names of 1 to ${MAX_USER_LENGTH} characters`);
+        }
+        expectText(base, `bases["${teammate}"]`);
+    });
+
+    expectArray(push.changes, 'changes');
+    push.changes.forEach((change, index) => {
+        const name = `changes[${index}]`;
+        expectObject(change, name);
+        expectFields(change, ['lineContent', 'lineNumber', 'changeType', 'userName'], `${name}.`);
+        expectText(change.lineContent, `${name}.lineContent`);
+        expectLineIn(change.lineNumber, lastLine, `${name}.lineNumber`);
+        expectChangeType(change.changeType, `${name}.changeType`);
+        expectString(change, 'userName', MAX_USER_LENGTH);
+    });
+
+    expectArray(push.blocks, 'blocks');
+    push.blocks.forEach((block, index) => {
+        const name = `blocks[${index}]`;
+        expectObject(block, name);
+        expectFields(block, ['blockId', 'startLine', 'endLine', 'changes', 'changeType'], `${name}.`);
+        expectString(block, 'blockId', MAX_BLOCK_ID_LENGTH);
+        expectLineIn(block.startLine, lastLine, `${name}.startLine`);
+        expectLineIn(block.endLine, lastLine, `${name}.endLine`);
+        if (block.endLine < block.startLine) {
+            throw new ProtocolError(`${name}.endLine must not be before ${name}.startLine`);
+        }
+        expectChangeType(block.changeType, `${name}.changeType`);
+        expectArray(block.changes, `${name}.changes`);
+        block.changes.forEach((line, lineIndex) => expectText(line, `${name}.changes[${lineIndex}]`));
+        if (block.changeType !== 'deleted' && block.changes.length !== block.endLine - block.startLine + 1) {
+            throw new ProtocolError(`${name}.changes must have one entry per line from startLine to endLine`);
+        }
+    });
+}
+
+/**
+ * Checks a pull event against the schema
+ * @throws {ProtocolError} - Naming the first field that is wrong
+ */
+export function validatePull(event) {
+    expectObject(event, 'pull');
+    expectFields(event, ['v', 'userName', 'source', 'filePath', 'branch']);
+    expectVersion(event);
+    expectString(event, 'userName', MAX_USER_LENGTH);
+    expectString(event, 'source', MAX_USER_LENGTH);
+    expectString(event, 'filePath', MAX_PATH_LENGTH);
+    expectString(event, 'branch', MAX_BRANCH_LENGTH);
+}
+
+// Message type -> codec, used by Transport for every message it sends and receives
+export const MESSAGE_CODECS = {
+    activity: { encode: encodeActivity, decode: decodeActivity },
+    cursor: { encode: encodeCursor, decode: decodeCursor },
+    presence: { encode: encodePresence, decode: decodePresence },
+    push: { encode: encodePush, decode: decodePush },
+    pull: { encode: encodePull, decode: decodePull }
+};
+
+function encode(event, validate, maxBytes = MAX_MESSAGE_BYTES) {
+    validate(event);
+    const data = JSON.stringify(event);
+    expectSize(data, maxBytes);
+    return data;
+}
+
+function decode(data, validate, maxBytes = MAX_MESSAGE_BYTES) {
+    if (typeof data !== 'string') {
+        throw new ProtocolError('message must be an encoded string');
+    }
+    expectSize(data, maxBytes);
+
+    let event;
+    try {
+        event = JSON.parse(data);
+    } catch (e) {
+        throw new ProtocolError('message is not valid JSON');
+    }
+
+    validate(event);
+    return event;
+}
+
+// Helper: Byte length of the encoded message (UTF-8)
+function byteLength(text) {
+    return typeof TextEncoder !== 'undefined' ? new TextEncoder().encode(text).length : text.length;
+}
+
+function expectSize(data, maxBytes) {
+    const size = byteLength(data);
+    if (size > maxBytes) {
+        throw new ProtocolError(`message is ${size} bytes, the limit is ${maxBytes}`);
+    }
+}
+
+function expectObject(value, name) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new ProtocolError(`${name} must be an object`);
+    }
+}
+
+// Unknown fields are errors so nothing beyond the schema (e.g. line contents) can ride along
+function expectFields(value, allowed, prefix = '') {
+    Object.keys(value).forEach(key => {
+        if (!allowed.includes(key)) {
+            throw new ProtocolError(`unexpected field "${prefix}${key}"`);
+        }
+    });
+}
+
+function expectArray(value, name) {
+    if (!Array.isArray(value)) {
+        throw new ProtocolError(`${name} must be an array`);
+    }
+}
+
+// Helper: File text, which may be empty
+function expectText(value, name) {
+    if (typeof value !== 'string') {
+        throw new ProtocolError(`${name} must be a string`);
+    }
+}
+
+function expectVersion(event) {
+    if (event.v !== PROTOCOL_VERSION) {
+        throw new ProtocolError(`unsupported protocol version ${event.v} (expected ${PROTOCOL_VERSION})`);
+    }
+}
+
+function expectString(event, field, maxLength) {
+    const value = event[field];
+    if (typeof value !== 'string' || value.length === 0) {
+        throw new ProtocolError(`${field} must be a non-empty string`);
+    }
+    if (value.length > maxLength) {
+        throw new ProtocolError(`${field} is longer than ${maxLength} characters`);
+    }
+}
+
+function expectTimestamp(event) {
+    if (!Number.isFinite(event.timestamp) || event.timestamp <= 0) {
+        throw new ProtocolError('timestamp must be a positive number');
+    }
+}
+
+function expectLine(value, name) {
+    if (!Number.isInteger(value) || value < 1 || value > MAX_LINE) {
+        throw new ProtocolError(`${name} must be an integer between 1 and ${MAX_LINE}`);
+    }
+}
+
+function expectLineIn(value, lastLine, name) {
+    expectLine(value, name);
+    if (value > lastLine) {
+        throw new ProtocolError(`${name} is past the end of the content (line ${lastLine})`);
+    }
+}
+
+function expectChangeType(value, name) {
+    if (!CHANGE_TYPES.includes(value)) {
+        throw new ProtocolError(`${name} must be one of ${CHANGE_TYPES.join(', ')}`);
+    }
+}
+
+function expectPosition(value, name) {
+    expectObject(value, name);
+    expectFields(value, ['line', 'column'], `${name}.`);
+    expectLine(value.line, `${name}.line`);
+    if (!Number.isInteger(value.column) || value.column < 0 || value.column > MAX_COLUMN) {
+        throw new ProtocolError(`${name}.column must be an integer between 0 and ${MAX_COLUMN}`);
+    }
+}
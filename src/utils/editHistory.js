@@ -0,0 +1,117 @@
+/**
+ * Edit history utilities
+ * Snapshot-based undo/redo stack used by CodeEditor
+ */
+
+// Edit kinds that merge into the previous transaction when they follow quickly on the same line
+const GROUPABLE_KINDS = new Set(['typing', 'delete']);
+
+/**
+ * EditHistory
+ * Each entry is the editor state after a transaction, plus the line
+ * activity it produced and optional metadata (e.g. what a pull changed),
+ * so undoing it can also roll back what teammates were told.
+ */
+export class EditHistory {
+    constructor(options = {}) {
+        this.limit = options.limit || 200;
+        this.groupDelay = options.groupDelay || 1000;
+        this.now = options.now || Date.now; // Clock for grouping (a replay uses recorded time)
+        this.entries = [];
+        this.index = -1;
+    }
+
+    /**
+     * Starts a fresh history at the given state
+     * @param {Object} state - {content, selection, line}
+     */
+    reset(state) {
+        this.entries = [this.createEntry(state, 'initial', null)];
+        this.index = 0;
+    }
+
+    /**
+     * Records the state after an edit
+     * @param {Object} state - {content, selection, line}
+     * @param {string} kind - 'typing', 'delete', 'enter', 'tab', 'paste', 'merge' or 'set'
+     * @param {Object|null} meta - Extra data handed back on undo/redo
+     * @returns {Object|null} - The entry the edit was recorded in, or null if nothing changed
+     */
+    record(state, kind, meta = null) {
+        const current = this.entries[this.index];
+        if (current && current.content === state.content && !meta) return null;
+
+        const now = this.now();
+        const atTip = this.index === this.entries.length - 1;
+
+        if (current && atTip && GROUPABLE_KINDS.has(kind) && current.kind === kind &&
+            current.line === state.line && now - current.time < this.groupDelay) {
+            current.content = state.content;
+            current.selection = state.selection;
+            current.time = now;
+            return current;
+        }
+
+        // A new edit after undoing drops the redo branch
+        this.entries.splice(this.index + 1);
+        this.entries.push(this.createEntry(state, kind, meta));
+        if (this.entries.length > this.limit) {
+            this.entries.shift();
+        }
+        this.index = this.entries.length - 1;
+        return this.entries[this.index];
+    }
+
+    /**
+     * Attaches line activity to the current transaction
+     * @param {Object} activity - {line, changeType}, plus the removed lines for 'deleted'
+     */
+    annotate(activity) {
+        const entry = this.entries[this.index];
+        if (entry && this.index > 0) {
+            entry.activity.push(activity);
+        }
+    }
+
+    /**
+     * Steps back one transaction
+     * @returns {{state: Object, entry: Object}|null} - The state to restore and the entry that was undone
+     */
+    undo() {
+        if (!this.canUndo()) return null;
+        const entry = this.entries[this.index];
+        this.index--;
+        return { state: this.entries[this.index], entry };
+    }
+
+    /**
+     * Steps forward one transaction
+     * @returns {{state: Object, entry: Object}|null} - The state to restore and the entry that was redone
+     */
+    redo() {
+        if (!this.canRedo()) return null;
+        this.index++;
+        const entry = this.entries[this.index];
+        return { state: entry, entry };
+    }
+
+    canUndo() {
+        return this.index > 0;
+    }
+
+    canRedo() {
+        return this.index < this.entries.length - 1;
+    }
+
+    createEntry(state, kind, meta) {
+        return {
+            content: state.content,
+            selection: state.selection || null,
+            line: state.line || null,
+            kind,
+            meta,
+            activity: [],
+            time: this.now()
+        };
+    }
+}
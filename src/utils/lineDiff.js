@@ -0,0 +1,256 @@
+/**
+ * Line diff utilities
+ * Myers O(ND) diff over arrays of lines
+ */
+
+// Longer line pairs are shown as replaced rather than diffed character by character
+const MAX_CHAR_DIFF_LENGTH = 2000;
+
+// Past this many differing lines the changed middle is reported as deleted and re-inserted;
+// the search costs O((N+M)·D) time and O(D²) memory
+const MAX_EDIT_DISTANCE = 1000;
+
+/**
+ * Computes the edit script that turns oldLines into newLines
+ * @param {Array<string>} oldLines - The original lines
+ * @param {Array<string>} newLines - The updated lines
+ * @returns {Array<{type: string, oldIndex: number, newIndex: number}>} - Operations in order;
+ *   type is 'equal', 'delete' or 'insert' and indices are 0-indexed (-1 when not applicable)
+ */
+export function diffOps(oldLines, newLines) {
+    // Trim the common prefix and suffix so the O(ND) search only runs on the changed middle
+    let prefix = 0;
+    while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+        prefix++;
+    }
+
+    let suffix = 0;
+    while (suffix < oldLines.length - prefix && suffix < newLines.length - prefix &&
+        oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]) {
+        suffix++;
+    }
+
+    const ops = [];
+    for (let i = 0; i < prefix; i++) {
+        ops.push({ type: 'equal', oldIndex: i, newIndex: i });
+    }
+
+    const a = oldLines.slice(prefix, oldLines.length - suffix);
+    const b = newLines.slice(prefix, newLines.length - suffix);
+    myers(a, b).forEach(op => {
+        ops.push({
+            type: op.type,
+            oldIndex: op.oldIndex === -1 ? -1 : op.oldIndex + prefix,
+            newIndex: op.newIndex === -1 ? -1 : op.newIndex + prefix
+        });
+    });
+
+    for (let i = 0; i < suffix; i++) {
+        ops.push({
+            type: 'equal',
+            oldIndex: oldLines.length - suffix + i,
+            newIndex: newLines.length - suffix + i
+        });
+    }
+
+    return ops;
+}
+
+/**
+ * Groups a diff into hunks of consecutive changes
+ * @param {Array<string>} oldLines - The original lines
+ * @param {Array<string>} newLines - The updated lines
+ * @returns {Array<{oldStart: number, oldEnd: number, newStart: number, newEnd: number}>} -
+ *   0-indexed, end-exclusive ranges; an empty old range is a pure insertion
+ */
+export function diffLines(oldLines, newLines) {
+    const hunks = [];
+    let current = null;
+    let oldPos = 0;
+    let newPos = 0;
+
+    diffOps(oldLines, newLines).forEach(op => {
+        if (op.type === 'equal') {
+            if (current) {
+                hunks.push(current);
+                current = null;
+            }
+            oldPos = op.oldIndex + 1;
+            newPos = op.newIndex + 1;
+            return;
+        }
+
+        if (!current) {
+            current = { oldStart: oldPos, oldEnd: oldPos, newStart: newPos, newEnd: newPos };
+        }
+        if (op.type === 'delete') {
+            oldPos = op.oldIndex + 1;
+            current.oldEnd = oldPos;
+        } else {
+            newPos = op.newIndex + 1;
+            current.newEnd = newPos;
+        }
+    });
+
+    if (current) {
+        hunks.push(current);
+    }
+
+    return hunks;
+}
+
+/**
+ * Lays out a diff as rows for display
+ * Within a hunk, deleted and inserted lines are paired in order as changed
+ * lines; the ones left over are removed or added.
+ * @param {Array<string>} oldLines - The original lines
+ * @param {Array<string>} newLines - The updated lines
+ * @returns {Array<{type: string, oldIndex: number, newIndex: number}>} - type is 'equal',
+ *   'changed', 'removed' or 'added'; indices are 0-indexed (-1 when the side has no line)
+ */
+export function diffRows(oldLines, newLines) {
+    const rows = [];
+    let oldPos = 0;
+    let newPos = 0;
+
+    const pushEqual = (oldEnd) => {
+        for (; oldPos < oldEnd; oldPos++, newPos++) {
+            rows.push({ type: 'equal', oldIndex: oldPos, newIndex: newPos });
+        }
+    };
+
+    diffLines(oldLines, newLines).forEach(hunk => {
+        pushEqual(hunk.oldStart);
+        const paired = Math.min(hunk.oldEnd - hunk.oldStart, hunk.newEnd - hunk.newStart);
+        for (let i = 0; i < paired; i++) {
+            rows.push({ type: 'changed', oldIndex: hunk.oldStart + i, newIndex: hunk.newStart + i });
+        }
+        for (let i = hunk.oldStart + paired; i < hunk.oldEnd; i++) {
+            rows.push({ type: 'removed', oldIndex: i, newIndex: -1 });
+        }
+        for (let i = hunk.newStart + paired; i < hunk.newEnd; i++) {
+            rows.push({ type: 'added', oldIndex: -1, newIndex: i });
+        }
+        oldPos = hunk.oldEnd;
+        newPos = hunk.newEnd;
+    });
+    pushEqual(oldLines.length);
+
+    return rows;
+}
+
+/**
+ * Diffs two lines character by character
+ * @param {string} oldText - The original line
+ * @param {string} newText - The updated line
+ * @returns {Array<{type: string, text: string}>} - Runs in order; type is 'equal', 'delete' or 'insert'
+ */
+export function diffChars(oldText, newText) {
+    if (oldText.length + newText.length > MAX_CHAR_DIFF_LENGTH) {
+        return [
+            { type: 'delete', text: oldText },
+            { type: 'insert', text: newText }
+        ].filter(run => run.text);
+    }
+
+    const oldChars = Array.from(oldText);
+    const newChars = Array.from(newText);
+    const runs = [];
+    diffOps(oldChars, newChars).forEach(op => {
+        const char = op.type === 'insert' ? newChars[op.newIndex] : oldChars[op.oldIndex];
+        const last = runs[runs.length - 1];
+        if (last && last.type === op.type) {
+            last.text += char;
+        } else {
+            runs.push({ type: op.type, text: char });
+        }
+    });
+    return runs;
+}
+
+/**
+ * Myers shortest edit script with a saved trace for backtracking
+ * Each step of the trace keeps only the diagonals that step can reach
+ * (-d-1 to d+1). Past MAX_EDIT_DISTANCE it gives up and replaces the lines.
+ */
+function myers(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const max = n + m;
+    if (max === 0) return [];
+
+    const offset = max + 1;
+    const v = new Array(2 * max + 3).fill(0);
+    const trace = [];
+
+    for (let d = 0; d <= Math.min(max, MAX_EDIT_DISTANCE); d++) {
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+        for (let k = -d; k <= d; k += 2) {
+            let x;
+            if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+                x = v[offset + k + 1];
+            } else {
+                x = v[offset + k - 1] + 1;
+            }
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                return backtrack(trace, a, b);
+            }
+        }
+    }
+
+    return replaceAll(a, b);
+}
+
+// Helper: Every old line deleted, then every new line inserted
+function replaceAll(a, b) {
+    return [
+        ...a.map((line, index) => ({ type: 'delete', oldIndex: index, newIndex: -1 })),
+        ...b.map((line, index) => ({ type: 'insert', oldIndex: -1, newIndex: index }))
+    ];
+}
+
+function backtrack(trace, a, b) {
+    const ops = [];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = trace.length - 1; d >= 0; d--) {
+        // trace[d] starts at diagonal -d-1
+        const v = trace[d];
+        const offset = d + 1;
+        const k = x - y;
+        let prevK;
+        if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+            prevK = k + 1;
+        } else {
+            prevK = k - 1;
+        }
+        const prevX = v[offset + prevK];
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            x--;
+            y--;
+            ops.push({ type: 'equal', oldIndex: x, newIndex: y });
+        }
+
+        if (d > 0) {
+            if (x === prevX) {
+                ops.push({ type: 'insert', oldIndex: -1, newIndex: prevY });
+            } else {
+                ops.push({ type: 'delete', oldIndex: prevX, newIndex: -1 });
+            }
+        }
+
+        x = prevX;
+        y = prevY;
+    }
+
+    return ops.reverse();
+}
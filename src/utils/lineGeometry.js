@@ -0,0 +1,319 @@
+/**
+ * Line geometry
+ * Measures where an editor's lines really are from the line boxes the
+ * browser laid out (Range client rects), so overlays line up whatever the
+ * CSS, zoom level or font. Measurements are cached per editor and dropped
+ * when the content changes (see invalidateLineGeometry), the editor is
+ * resized or a font finishes loading (see observeLineGeometry).
+ *
+ * Positions are in the editor's content coordinates: 0 is the top of its
+ * padding box with the editor scrolled to the top.
+ */
+
+// Per-editor caches: {boxes, nodes, lineStarts, textLength, observers}
+const geometries = new WeakMap();
+
+// Editors with observers, told when fonts load
+const observedEditors = new Set();
+let watchingFonts = false;
+
+/**
+ * Gets the box of a line
+ * Lines that can't be measured (no layout yet, e.g. a hidden tab) are
+ * estimated from the computed line height and padding, and not cached.
+ * @param {HTMLElement} editor - The editor element
+ * @param {number} lineNumber - The line number (1-indexed)
+ * @returns {Object} - {top, height} in pixels; a wrapped line is several rows high
+ */
+export function getLineBox(editor, lineNumber) {
+    const geometry = geometryFor(editor);
+    const cached = geometry.boxes.get(lineNumber);
+    if (cached) return cached;
+
+    const measured = measureLine(editor, geometry, lineNumber);
+    if (measured) {
+        geometry.boxes.set(lineNumber, measured);
+        return measured;
+    }
+    return estimateLine(editor, geometry, lineNumber);
+}
+
+/**
+ * Gets the box covering a range of lines
+ * @returns {Object} - {top, height} in pixels
+ */
+export function getLineRangeBox(editor, startLine, endLine = startLine) {
+    const start = getLineBox(editor, startLine);
+    const end = endLine > startLine ? getLineBox(editor, endLine) : start;
+    return { top: start.top, height: end.top + end.height - start.top };
+}
+
+/**
+ * Gets the box of a caret placed before a column
+ * @param {HTMLElement} editor - The editor element
+ * @param {Object} position - {line, column}: line 1-indexed, column 0-indexed (clamped to the line)
+ * @returns {Object} - {left, top, height} in pixels; left is from the editor's left edge
+ */
+export function getCaretBox(editor, position) {
+    const geometry = geometryFor(editor);
+    const offsets = lineOffsets(editor, geometry, position.line);
+    const line = getLineBox(editor, position.line);
+    const fallback = { left: parseFloat(getComputedStyle(editor).paddingLeft) || 0, top: line.top, height: getLineHeight(editor) };
+    if (!offsets) return fallback;
+
+    const offset = Math.min(offsets.start + Math.max(position.column, 0), offsets.end);
+    // The character after the caret gives its left edge; at the end of the line, the one before its right
+    const after = offset < offsets.end;
+    const rects = after ? textRects(geometry, offset, offset + 1) :
+        offset > offsets.start ? textRects(geometry, offset - 1, offset) : [];
+    if (rects.length === 0) return fallback;
+
+    const rect = after ? rects[0] : rects[rects.length - 1];
+    const row = toContentBox(editor, rect);
+    return { left: after ? row.left : row.left + row.width, top: row.top, height: row.height };
+}
+
+/**
+ * Gets the rows of text between two positions, one box per visual row
+ * @param {HTMLElement} editor - The editor element
+ * @param {Object} from - {line, column} where the text starts
+ * @param {Object} to - {line, column} where it ends
+ * @returns {Array<Object>} - {left, top, width, height} boxes in pixels, top to bottom
+ */
+export function getTextRangeBoxes(editor, from, to) {
+    const geometry = geometryFor(editor);
+    const start = lineOffsets(editor, geometry, from.line);
+    const end = lineOffsets(editor, geometry, to.line);
+    if (!start || !end) return [];
+
+    const startOffset = Math.min(start.start + Math.max(from.column, 0), start.end);
+    const endOffset = Math.min(end.start + Math.max(to.column, 0), end.end);
+    if (endOffset <= startOffset) return [];
+
+    // A row is split into several rects where highlighting wraps tokens in spans
+    const rows = [];
+    textRects(geometry, startOffset, endOffset).map(rect => toContentBox(editor, rect)).forEach(box => {
+        const row = rows.find(existing => Math.abs(existing.top - box.top) < 1);
+        if (row) {
+            const right = Math.max(row.left + row.width, box.left + box.width);
+            row.left = Math.min(row.left, box.left);
+            row.width = right - row.left;
+        } else {
+            rows.push({ ...box });
+        }
+    });
+    return rows.sort((a, b) => a.top - b.top);
+}
+
+/**
+ * Finds the line at a vertical position
+ * Searches the line boxes, so it holds when wrapped lines are several rows high.
+ * @param {HTMLElement} editor - The editor element
+ * @param {number} offset - Position in content coordinates
+ * @param {number} lineCount - Number of lines in the editor
+ * @returns {number} - The line number (1-indexed), clamped to the content
+ */
+export function getLineAtOffset(editor, offset, lineCount) {
+    let low = 1;
+    let high = Math.max(lineCount, 1);
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (getLineBox(editor, middle).top <= offset) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+    return low;
+}
+
+/**
+ * Height of one row of text, from the editor's computed line-height
+ */
+export function getLineHeight(editor) {
+    const style = getComputedStyle(editor);
+    const lineHeight = parseFloat(style.lineHeight);
+    if (lineHeight > 0) return lineHeight;
+
+    // 'normal' (or no layout): browsers use about 1.2em
+    const fontSize = parseFloat(style.fontSize) || 14.4;
+    return fontSize * 1.2;
+}
+
+/**
+ * Drops an editor's cached measurements, e.g. after its content changed
+ */
+export function invalidateLineGeometry(editor) {
+    const geometry = geometries.get(editor);
+    if (!geometry) return;
+
+    geometry.boxes.clear();
+    geometry.nodes = null;
+    geometry.lineStarts = null;
+}
+
+/**
+ * Invalidates an editor's measurements when it is resized or fonts load
+ * @param {HTMLElement} editor - The editor element
+ * @param {Function} onChange - Called after the measurements were dropped
+ * @returns {Function} - Stops observing
+ */
+export function observeLineGeometry(editor, onChange) {
+    const geometry = geometryFor(editor);
+    const notify = () => {
+        invalidateLineGeometry(editor);
+        onChange();
+    };
+
+    let resizeObserver = null;
+    if (typeof ResizeObserver !== 'undefined') {
+        resizeObserver = new ResizeObserver(notify);
+        resizeObserver.observe(editor);
+    }
+    geometry.observers.add(notify);
+    observedEditors.add(editor);
+    watchFonts();
+
+    return () => {
+        if (resizeObserver) resizeObserver.disconnect();
+        geometry.observers.delete(notify);
+        if (geometry.observers.size === 0) {
+            observedEditors.delete(editor);
+        }
+    };
+}
+
+// Helper: Creates an editor's cache on first use
+function geometryFor(editor) {
+    let geometry = geometries.get(editor);
+    if (!geometry) {
+        geometry = { boxes: new Map(), nodes: null, lineStarts: null, textLength: 0, observers: new Set() };
+        geometries.set(editor, geometry);
+    }
+    return geometry;
+}
+
+// Helper: A font that loads late changes every line box
+function watchFonts() {
+    if (watchingFonts || typeof document === 'undefined' || !document.fonts) return;
+    watchingFonts = true;
+
+    document.fonts.addEventListener('loadingdone', () => {
+        observedEditors.forEach(editor => {
+            geometries.get(editor).observers.forEach(notify => notify());
+        });
+    });
+}
+
+// Helper: Text nodes with their offsets, and where each line starts
+function indexText(editor, geometry) {
+    if (geometry.nodes) return;
+
+    const nodes = [];
+    const lineStarts = [0];
+    let offset = 0;
+    const walker = document.createTreeWalker(editor, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+        const node = walker.currentNode;
+        nodes.push({ node, start: offset });
+        const text = node.data;
+        for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+            lineStarts.push(offset + i + 1);
+        }
+        offset += text.length;
+    }
+
+    geometry.nodes = nodes;
+    geometry.lineStarts = lineStarts;
+    geometry.textLength = offset;
+}
+
+// Helper: The text node and offset at a character offset
+function locate(geometry, offset) {
+    const { nodes } = geometry;
+    let low = 0;
+    let high = nodes.length - 1;
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (nodes[middle].start <= offset) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+    const { node, start } = nodes[low];
+    return { node, offset: Math.min(offset - start, node.length) };
+}
+
+// Helper: Character offsets where a line starts and ends (before its newline)
+function lineOffsets(editor, geometry, lineNumber) {
+    indexText(editor, geometry);
+    const { lineStarts, nodes, textLength } = geometry;
+    if (nodes.length === 0 || lineNumber < 1 || lineNumber > lineStarts.length) return null;
+
+    const start = lineStarts[lineNumber - 1];
+    const end = lineNumber < lineStarts.length ? lineStarts[lineNumber] - 1 : textLength;
+    return { start, end };
+}
+
+// Helper: Client rects of the text between two character offsets
+function textRects(geometry, start, end) {
+    const range = document.createRange();
+    const from = locate(geometry, start);
+    const to = locate(geometry, end);
+    range.setStart(from.node, from.offset);
+    range.setEnd(to.node, to.offset);
+
+    return typeof range.getClientRects === 'function' ?
+        Array.from(range.getClientRects()).filter(rect => rect.height > 0) : [];
+}
+
+// Helper: A text rect as a full-height row box in content coordinates
+function toContentBox(editor, rect) {
+    const leading = Math.max(getLineHeight(editor) - rect.height, 0);
+    const editorRect = editor.getBoundingClientRect();
+    return {
+        left: rect.left - editorRect.left - editor.clientLeft + editor.scrollLeft,
+        top: rect.top - leading / 2 - editorRect.top - editor.clientTop + editor.scrollTop,
+        width: rect.width,
+        height: rect.height + leading
+    };
+}
+
+function measureLine(editor, geometry, lineNumber) {
+    const offsets = lineOffsets(editor, geometry, lineNumber);
+    if (!offsets) return null;
+
+    const { start, end } = offsets;
+    // An empty line only has its newline to measure
+    const rangeEnd = end > start ? end : Math.min(start + 1, geometry.textLength);
+    if (rangeEnd === start) return null;
+
+    const rects = textRects(geometry, start, rangeEnd);
+    if (rects.length === 0) return null;
+
+    // Text rects cover the glyphs; the line box adds half the leading above and below
+    const top = Math.min(...rects.map(rect => rect.top));
+    const bottom = Math.max(...rects.map(rect => rect.bottom));
+    const leading = Math.max(getLineHeight(editor) - rects[0].height, 0);
+    const editorTop = editor.getBoundingClientRect().top + editor.clientTop;
+
+    return {
+        top: top - leading / 2 - editorTop + editor.scrollTop,
+        height: bottom - top + leading
+    };
+}
+
+// Helper: Where a line would be if every line above it took one row
+function estimateLine(editor, geometry, lineNumber) {
+    // An empty last line sits right below the line above it
+    const above = geometry.boxes.get(lineNumber - 1) ||
+        (lineNumber > 1 ? measureLine(editor, geometry, lineNumber - 1) : null);
+    const lineHeight = getLineHeight(editor);
+    if (above) {
+        return { top: above.top + above.height, height: lineHeight };
+    }
+
+    const padding = parseFloat(getComputedStyle(editor).paddingTop) || 0;
+    return { top: padding + (lineNumber - 1) * lineHeight, height: lineHeight };
+}
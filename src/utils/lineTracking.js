@@ -1,3 +1,6 @@
+import { diffLines } from './lineDiff.js';
+import { getLineBox } from './lineGeometry.js';
+
 /**
  * Utility functions for tracking cursor position and line numbers
  */
@@ -23,7 +26,7 @@ export function getCurrentLine(editor) {
         return lineNumber; // Line number (1-indexed)
     } catch (e) {
         // Fallback: count lines in full text
-        const text = editor.textContent || editor.innerText;
+        const text = editor.textContent;
         return text.split('\n').length;
     }
 }
@@ -35,21 +38,211 @@ export function getCurrentLine(editor) {
  * @returns {string} - The text content of the line
  */
 export function getLineText(editor, lineNum) {
-    const text = editor.textContent || editor.innerText;
+    const text = editor.textContent;
     const lines = text.split('\n');
     return lines[lineNum - 1] || '';
 }
 
+/**
+ * Gets the selection as character offsets into the editor's text
+ * Offsets survive re-rendering the editor's DOM (e.g. for highlighting).
+ * @param {HTMLElement} editor - The contenteditable editor element
+ * @returns {{start: number, end: number}|null} - Offsets, or null if the selection is outside the editor
+ */
+export function getSelectionOffsets(editor) {
+    const selection = window.getSelection();
+    if (!selection || selection.rangeCount === 0) return null;
+
+    const range = selection.getRangeAt(0);
+    if (!editor.contains(range.startContainer) || !editor.contains(range.endContainer)) return null;
+
+    const offsetOf = (node, offset) => {
+        const before = document.createRange();
+        before.selectNodeContents(editor);
+        before.setEnd(node, offset);
+        return before.toString().length;
+    };
+
+    return {
+        start: offsetOf(range.startContainer, range.startOffset),
+        end: offsetOf(range.endContainer, range.endOffset)
+    };
+}
+
+/**
+ * Gets the caret and the other end of the selection as line/column positions
+ * The caret is where the selection was extended to (its focus), so it
+ * can sit before or after the anchor.
+ * @param {HTMLElement} editor - The contenteditable editor element
+ * @returns {{caret: Object, anchor: Object}|null} - {line, column} positions (line 1-indexed,
+ *   column 0-indexed), or null if the selection is outside the editor
+ */
+export function getSelectionPositions(editor) {
+    const selection = window.getSelection();
+    if (!selection || selection.rangeCount === 0 || !selection.anchorNode || !selection.focusNode) return null;
+    if (!editor.contains(selection.anchorNode) || !editor.contains(selection.focusNode)) return null;
+
+    const text = editor.textContent;
+    const positionOf = (node, offset) => {
+        const before = document.createRange();
+        before.selectNodeContents(editor);
+        before.setEnd(node, offset);
+        const lines = text.slice(0, before.toString().length).split('\n');
+        return { line: lines.length, column: lines[lines.length - 1].length };
+    };
+
+    return {
+        caret: positionOf(selection.focusNode, selection.focusOffset),
+        anchor: positionOf(selection.anchorNode, selection.anchorOffset)
+    };
+}
+
+/**
+ * Restores a selection from character offsets into the editor's text
+ * @param {HTMLElement} editor - The contenteditable editor element
+ * @param {number} start - Start offset
+ * @param {number} end - End offset (defaults to start, a collapsed caret)
+ */
+export function setSelectionOffsets(editor, start, end = start) {
+    const selection = window.getSelection();
+    if (!selection) return;
+
+    const startPoint = findTextPoint(editor, start);
+    const endPoint = end === start ? startPoint : findTextPoint(editor, end);
+
+    const range = document.createRange();
+    range.setStart(startPoint.node, startPoint.offset);
+    range.setEnd(endPoint.node, endPoint.offset);
+    selection.removeAllRanges();
+    selection.addRange(range);
+}
+
+/**
+ * Finds the text node and offset for a character offset into the editor's text
+ */
+function findTextPoint(editor, offset) {
+    const walker = document.createTreeWalker(editor, NodeFilter.SHOW_TEXT);
+    let remaining = Math.max(offset, 0);
+    let node = walker.nextNode();
+    let last = null;
+
+    while (node) {
+        if (remaining <= node.textContent.length) {
+            return { node, offset: remaining };
+        }
+        remaining -= node.textContent.length;
+        last = node;
+        node = walker.nextNode();
+    }
+
+    // Past the end: place the caret after the last character
+    if (last) {
+        return { node: last, offset: last.textContent.length };
+    }
+    return { node: editor, offset: 0 };
+}
+
 /**
  * Calculates the vertical position for a marker at a given line number
  * @param {HTMLElement} editor - The editor element
  * @param {number} lineNumber - The line number (1-indexed)
- * @returns {number} - The top position in pixels
+ * @returns {number} - The top position in pixels, measured (see lineGeometry.js)
  */
 export function calculateMarkerPosition(editor, lineNumber) {
-    const fontSize = parseFloat(getComputedStyle(editor).fontSize);
-    const lineHeight = fontSize * 1.5; // 1.5em line-height
-    const padding = 10; // Top padding of editor
-    return (lineNumber - 1) * lineHeight + padding;
+    return getLineBox(editor, lineNumber).top;
+}
+
+
+/**
+ * Describes a line range for labels and announcements
+ * @returns {string} - 'line 4' or 'lines 4–7'
+ */
+export function describeLines(startLine, endLine) {
+    return endLine > startLine ? `lines ${startLine}–${endLine}` : `line ${startLine}`;
 }
 
+/**
+ * Builds an old -> new line mapping from a line diff
+ * Unchanged lines map to their new position. A line inside a changed hunk
+ * maps to the line at the same offset in the replacement (clamped to its
+ * last line), so a decoration follows a line that was edited in place.
+ * Lines removed without replacement map to null.
+ * @param {Array<string>} oldLines - Lines before the change
+ * @param {Array<string>} newLines - Lines after the change
+ * @returns {Array<number|null>} - New line number (1-indexed) for each old line (0-indexed)
+ */
+export function buildLineMapping(oldLines, newLines) {
+    const mapping = new Array(oldLines.length).fill(null);
+    let oldPos = 0;
+    let newPos = 0;
+
+    const mapUnchanged = (oldEnd) => {
+        for (let i = oldPos; i < oldEnd; i++) {
+            mapping[i] = newPos + (i - oldPos) + 1;
+        }
+    };
+
+    diffLines(oldLines, newLines).forEach(hunk => {
+        mapUnchanged(hunk.oldStart);
+
+        const replacementLength = hunk.newEnd - hunk.newStart;
+        for (let i = hunk.oldStart; i < hunk.oldEnd; i++) {
+            if (replacementLength > 0) {
+                mapping[i] = hunk.newStart + Math.min(i - hunk.oldStart, replacementLength - 1) + 1;
+            }
+        }
+
+        oldPos = hunk.oldEnd;
+        newPos = hunk.newEnd;
+    });
+
+    mapUnchanged(oldLines.length);
+    return mapping;
+}
+
+/**
+ * Maps a line range through a line mapping
+ * @param {Array<number|null>} mapping - Result of buildLineMapping
+ * @param {number} startLine - First line of the range (1-indexed)
+ * @param {number} endLine - Last line of the range (1-indexed)
+ * @returns {{start: number, end: number}|null} - The new range, or null if every line was removed
+ */
+export function remapRange(mapping, startLine, endLine) {
+    let start = null;
+    let end = null;
+
+    for (let line = startLine; line <= endLine; line++) {
+        const mapped = line <= mapping.length ? mapping[line - 1] : null;
+        if (mapped === null) continue;
+        start = start === null ? mapped : Math.min(start, mapped);
+        end = end === null ? mapped : Math.max(end, mapped);
+    }
+
+    if (start === null) {
+        // Lines past the end of the old content move with the end of the file
+        if (startLine > mapping.length) {
+            const shift = (nearestMappedLine(mapping, mapping.length) || 0) - mapping.length;
+            return { start: startLine + shift, end: endLine + shift };
+        }
+        return null;
+    }
+
+    return { start, end };
+}
+
+/**
+ * Finds where a removed line ended up: the first surviving line at or after it,
+ * otherwise the last surviving line before it
+ * @param {Array<number|null>} mapping - Result of buildLineMapping
+ * @param {number} lineNumber - The old line number (1-indexed)
+ * @returns {number|null} - The new line number, or null if nothing survived
+ */
+export function nearestMappedLine(mapping, lineNumber) {
+    for (let i = Math.max(lineNumber - 1, 0); i < mapping.length; i++) {
+        if (mapping[i] !== null) return mapping[i];
+    }
+    for (let i = Math.min(lineNumber - 2, mapping.length - 1); i >= 0; i--) {
+        if (mapping[i] !== null) return mapping[i];
+    }
+    return null;
+}
@@ -0,0 +1,159 @@
+import { diffLines } from './lineDiff.js';
+
+/**
+ * Three-way merge utilities
+ */
+
+/**
+ * Merges two descendants of a common ancestor line by line
+ * Non-overlapping hunks from either side are applied; overlapping hunks that
+ * differ are written out with conflict markers instead of picking a winner.
+ * @param {string} baseContent - The common ancestor content
+ * @param {string} oursContent - The local content
+ * @param {string} theirsContent - The incoming content
+ * @param {Object} options - Labels used in conflict markers
+ * @returns {{content: string, cleanHunks: number, conflicts: Array<Object>}} - The merged content,
+ *   the number of hunks applied cleanly and the conflicted hunks (1-indexed lines in the merged content,
+ *   plus the inclusive 1-indexed base range they replace; when both sides only inserted lines the base
+ *   range is empty, baseEndLine = baseStartLine - 1, with the lines going in after baseEndLine)
+ */
+export function threeWayMerge(baseContent, oursContent, theirsContent, options = {}) {
+    const oursLabel = options.oursLabel || 'ours';
+    const theirsLabel = options.theirsLabel || 'theirs';
+
+    const baseLines = (baseContent || '').split('\n');
+    const oursLines = oursContent.split('\n');
+    const theirsLines = theirsContent.split('\n');
+
+    const hunks = [
+        ...diffLines(baseLines, oursLines).map(h => ({ ...h, side: 'ours' })),
+        ...diffLines(baseLines, theirsLines).map(h => ({ ...h, side: 'theirs' }))
+    ].sort((a, b) => a.oldStart - b.oldStart || a.oldEnd - b.oldEnd);
+
+    const groups = groupOverlappingHunks(hunks);
+
+    const merged = [];
+    const conflicts = [];
+    let cleanHunks = 0;
+    let basePos = 0;
+
+    groups.forEach(group => {
+        // Copy unchanged base lines up to this group
+        merged.push(...baseLines.slice(basePos, group.start));
+        basePos = group.end;
+
+        const oursHunks = group.hunks.filter(h => h.side === 'ours');
+        const theirsHunks = group.hunks.filter(h => h.side === 'theirs');
+        const oursVersion = applyHunks(baseLines, oursLines, oursHunks, group.start, group.end);
+        const theirsVersion = applyHunks(baseLines, theirsLines, theirsHunks, group.start, group.end);
+
+        if (theirsHunks.length === 0) {
+            merged.push(...oursVersion);
+            cleanHunks += oursHunks.length;
+        } else if (oursHunks.length === 0 || sameLines(oursVersion, theirsVersion)) {
+            // Only they changed it, or both sides made the identical change
+            merged.push(...theirsVersion);
+            cleanHunks += theirsHunks.length;
+        } else {
+            const startLine = merged.length + 1;
+            merged.push(`<<<<<<< ${oursLabel}`);
+            merged.push(...oursVersion);
+            merged.push('=======');
+            merged.push(...theirsVersion);
+            merged.push(`>>>>>>> ${theirsLabel}`);
+            conflicts.push({
+                startLine,
+                endLine: merged.length,
+                baseStartLine: group.start + 1,
+                // An insertion-only group has group.end === group.start: an empty range ending before it starts
+                baseEndLine: group.end,
+                ours: oursVersion,
+                theirs: theirsVersion
+            });
+        }
+    });
+
+    merged.push(...baseLines.slice(basePos));
+
+    return {
+        content: merged.join('\n'),
+        cleanHunks,
+        conflicts
+    };
+}
+
+/**
+ * Applies only the changes one side made to part of its content
+ * Used to take a single change block from a teammate's push: the result is
+ * the base with just the hunks that produced those lines.
+ * @param {string} baseContent - The common ancestor content
+ * @param {string} theirsContent - The side the changes come from
+ * @param {number} start - First line of the range in theirs (0-indexed)
+ * @param {number} end - End of the range (exclusive); an empty range is the
+ *   spot where lines were deleted, and picks the deletion there
+ * @returns {string} - The base with those hunks applied
+ */
+export function applyChangesInRange(baseContent, theirsContent, start, end) {
+    const baseLines = (baseContent || '').split('\n');
+    const theirsLines = theirsContent.split('\n');
+
+    const hunks = diffLines(baseLines, theirsLines).filter(hunk => start === end ?
+        hunk.newStart === start && hunk.newEnd === start :
+        hunk.newStart < end && start < hunk.newEnd);
+
+    return applyHunks(baseLines, theirsLines, hunks, 0, baseLines.length).join('\n');
+}
+
+/**
+ * Checks whether two hunks touch the same region of the base
+ * An insertion touching the edge of another change counts as overlapping,
+ * since there is no way to tell which side it belongs to.
+ */
+function hunksOverlap(a, b) {
+    if (a.start === a.end || b.start === b.end) {
+        return a.start <= b.end && b.start <= a.end;
+    }
+    return a.start < b.end && b.start < a.end;
+}
+
+/**
+ * Groups sorted hunks into clusters of mutually overlapping base ranges
+ */
+function groupOverlappingHunks(hunks) {
+    const groups = [];
+    let current = null;
+
+    hunks.forEach(hunk => {
+        const range = { start: hunk.oldStart, end: hunk.oldEnd };
+        if (current && hunksOverlap(current, range)) {
+            current.end = Math.max(current.end, range.end);
+            current.hunks.push(hunk);
+        } else {
+            current = { start: range.start, end: range.end, hunks: [hunk] };
+            groups.push(current);
+        }
+    });
+
+    return groups;
+}
+
+/**
+ * Rebuilds one side's version of the base range [start, end) from its hunks
+ */
+function applyHunks(baseLines, sideLines, hunks, start, end) {
+    const result = [];
+    let pos = start;
+
+    hunks.forEach(hunk => {
+        result.push(...baseLines.slice(pos, hunk.oldStart));
+        result.push(...sideLines.slice(hunk.newStart, hunk.newEnd));
+        pos = hunk.oldEnd;
+    });
+
+    result.push(...baseLines.slice(pos, end));
+    return result;
+}
+
+function sameLines(a, b) {
+    return a.length === b.length && a.every((line, i) => line === b[i]);
+}
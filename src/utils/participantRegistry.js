@@ -0,0 +1,142 @@
+/**
+ * Participant registry
+ * One color and avatar per participant for the whole page, so every pane,
+ * marker, gutter icon and change block shows a teammate the same way.
+ * Colors come from a palette that reads well on the dark editor, then from
+ * evenly spread hues; avatars are initials, lengthened until they are unique.
+ *
+ * Colors reach CSS as custom properties on each participant's user class
+ * (see userClassFor): --participant-color, and --participant-contrast for
+ * text drawn on it (black or white, whichever contrasts more).
+ */
+
+// Colors handed out in join order, all readable on the editor background (#1e1e1e)
+const PALETTE = ['#00ff99', '#bd93f9', '#ffb86c', '#8be9fd', '#ff79c6', '#f1fa8c'];
+
+// Hue step for colors past the palette; the golden angle keeps new hues apart
+const HUE_STEP = 137.508;
+
+// userName -> {className, color, contrast, avatar}
+const participants = new Map();
+
+// The <style> element holding each user class's custom properties
+let styleElement = null;
+
+/**
+ * Derives the CSS class for a participant ('User A' -> 'user-a')
+ */
+export function userClassFor(userName) {
+    return userName.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+}
+
+/**
+ * Registers a participant, or changes the color or avatar of one already registered
+ * @param {string} userName - Display name, e.g. 'User C'
+ * @param {Object} options - Optional color (any CSS hex color) and avatar to use instead of assigned ones
+ * @returns {Object} - {className, color, contrast, avatar}
+ */
+export function registerParticipant(userName, options = {}) {
+    let entry = participants.get(userName);
+    if (!entry) {
+        entry = { className: userClassFor(userName), color: null, contrast: null, avatar: null };
+        participants.set(userName, entry);
+    }
+
+    if (options.color || !entry.color) {
+        entry.color = options.color || nextColor();
+        entry.contrast = contrastColorFor(entry.color);
+    }
+    if (options.avatar || !entry.avatar) {
+        entry.avatar = options.avatar || uniqueInitials(userName);
+    }
+
+    renderStyles();
+    return { ...entry };
+}
+
+/**
+ * Gets a participant's color and avatar, registering them on first sight
+ * (e.g. a teammate whose activity arrives before their presence)
+ * @returns {Object} - {className, color, contrast, avatar}
+ */
+export function getParticipant(userName) {
+    const entry = participants.get(userName);
+    return entry ? { ...entry } : registerParticipant(userName);
+}
+
+// Helper: The first palette color nobody has, then generated hues
+function nextColor() {
+    const taken = new Set(Array.from(participants.values()).map(entry => entry.color));
+    const free = PALETTE.find(color => !taken.has(color));
+    if (free) return free;
+
+    for (let index = 0; ; index++) {
+        const color = hslToHex((index * HUE_STEP + 20) % 360, 85, 70);
+        if (!taken.has(color)) return color;
+    }
+}
+
+// Helper: 'User C' -> 'C', then longer initials while another participant has them
+function uniqueInitials(userName) {
+    const taken = new Set(Array.from(participants.values()).map(entry => entry.avatar));
+    const words = userName.trim().split(/\s+/);
+    const last = words[words.length - 1];
+    const initial = last.charAt(0).toUpperCase();
+    const candidates = [
+        initial,
+        words.map(word => word.charAt(0)).join('').slice(0, 2).toUpperCase(),
+        initial + last.charAt(1).toLowerCase()
+    ];
+
+    const free = candidates.find(candidate => candidate && !taken.has(candidate));
+    if (free) return free;
+    for (let count = 2; ; count++) {
+        if (!taken.has(`${initial}${count}`)) return `${initial}${count}`;
+    }
+}
+
+// Helper: Black or white, whichever has the higher WCAG contrast ratio on the color
+function contrastColorFor(color) {
+    const luminance = relativeLuminance(color);
+    const onBlack = (luminance + 0.05) / 0.05;
+    const onWhite = 1.05 / (luminance + 0.05);
+    return onBlack >= onWhite ? '#000' : '#fff';
+}
+
+function relativeLuminance(color) {
+    const hex = color.replace('#', '');
+    const full = hex.length === 3 ? hex.split('').map(digit => digit + digit).join('') : hex.slice(0, 6);
+    const [r, g, b] = [0, 2, 4].map(start => {
+        const channel = parseInt(full.slice(start, start + 2), 16) / 255;
+        return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function hslToHex(hue, saturation, lightness) {
+    const s = saturation / 100;
+    const l = lightness / 100;
+    const a = s * Math.min(l, 1 - l);
+    const channel = (n) => {
+        const k = (n + hue / 30) % 12;
+        const value = l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+        return Math.round(value * 255).toString(16).padStart(2, '0');
+    };
+    return `#${channel(0)}${channel(8)}${channel(4)}`;
+}
+
+// Helper: Writes every participant's custom properties into the page's stylesheet
+function renderStyles() {
+    if (typeof document === 'undefined') return;
+
+    if (!styleElement || !styleElement.isConnected) {
+        styleElement = document.createElement('style');
+        styleElement.dataset.participantColors = '';
+        document.head.appendChild(styleElement);
+    }
+    const selectorFor = (className) => `.${typeof CSS !== 'undefined' && CSS.escape ? CSS.escape(className) : className}`;
+    styleElement.textContent = Array.from(participants.values())
+        .map(({ className, color, contrast }) =>
+            `${selectorFor(className)} { --participant-color: ${color}; --participant-contrast: ${contrast}; }`)
+        .join('\n');
+}
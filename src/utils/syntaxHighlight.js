@@ -0,0 +1,199 @@
+/**
+ * Syntax highlighting utilities
+ * Small regex tokenizers for the languages used in the demo
+ */
+
+const JS_KEYWORDS = [
+    'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger',
+    'default', 'delete', 'do', 'else', 'export', 'extends', 'finally', 'for', 'from',
+    'function', 'get', 'if', 'import', 'in', 'instanceof', 'let', 'new', 'of', 'return',
+    'set', 'static', 'super', 'switch', 'throw', 'try', 'typeof', 'var', 'void', 'while',
+    'with', 'yield'
+];
+
+const TS_KEYWORDS = [
+    ...JS_KEYWORDS, 'abstract', 'as', 'declare', 'enum', 'implements', 'interface',
+    'keyof', 'namespace', 'private', 'protected', 'public', 'readonly', 'satisfies', 'type'
+];
+
+const JS_LITERALS = ['true', 'false', 'null', 'undefined', 'this', 'NaN', 'Infinity'];
+
+const TS_TYPES = ['any', 'boolean', 'never', 'number', 'object', 'string', 'symbol', 'unknown', 'bigint'];
+
+const JS_RULES = [
+    ['space', /\s+/y],
+    ['comment', /\/\/[^\n]*/y],
+    ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y],
+    ['string', /"(?:\\.|[^"\\\n])*"?/y],
+    ['string', /'(?:\\.|[^'\\\n])*'?/y],
+    ['string', /`(?:\\[\s\S]|[^`\\])*`?/y],
+    ['number', /(?:0[xX][\da-fA-F_]+|0[bB][01_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?n?)(?![\w$])/y],
+    ['word', /[A-Za-z_$][\w$]*/y],
+    ['punctuation', /[{}()[\];,.]/y],
+    ['operator', /[+\-*/%=&|!<>?:^~@]+/y]
+];
+
+const PYTHON_RULES = [
+    ['space', /\s+/y],
+    ['comment', /#[^\n]*/y],
+    ['string', /[rRbBfFuU]{0,2}"""[\s\S]*?(?:"""|$)/y],
+    ['string', /[rRbBfFuU]{0,2}'''[\s\S]*?(?:'''|$)/y],
+    ['string', /[rRbBfFuU]{0,2}"(?:\\.|[^"\\\n])*"?/y],
+    ['string', /[rRbBfFuU]{0,2}'(?:\\.|[^'\\\n])*'?/y],
+    ['decorator', /@[A-Za-z_][\w.]*/y],
+    ['number', /(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?j?)(?!\w)/y],
+    ['word', /[A-Za-z_]\w*/y],
+    ['punctuation', /[{}()[\];,.:]/y],
+    ['operator', /[+\-*/%=&|!<>^~]+/y]
+];
+
+const JSON_RULES = [
+    ['space', /\s+/y],
+    ['string', /"(?:\\.|[^"\\\n])*"?/y],
+    ['number', /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y],
+    ['word', /[A-Za-z]+/y],
+    ['punctuation', /[{}[\],:]/y]
+];
+
+const GRAMMARS = {
+    javascript: {
+        rules: JS_RULES,
+        keywords: new Set(JS_KEYWORDS),
+        literals: new Set(JS_LITERALS),
+        types: new Set()
+    },
+    typescript: {
+        rules: JS_RULES,
+        keywords: new Set(TS_KEYWORDS),
+        literals: new Set(JS_LITERALS),
+        types: new Set(TS_TYPES)
+    },
+    python: {
+        rules: PYTHON_RULES,
+        keywords: new Set([
+            'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del',
+            'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in',
+            'is', 'lambda', 'match', 'case', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return',
+            'try', 'while', 'with', 'yield'
+        ]),
+        literals: new Set(['True', 'False', 'None', 'self', 'cls']),
+        types: new Set(['int', 'float', 'str', 'bool', 'list', 'dict', 'set', 'tuple', 'bytes', 'object'])
+    },
+    json: {
+        rules: JSON_RULES,
+        keywords: new Set(),
+        literals: new Set(['true', 'false', 'null']),
+        types: new Set(),
+        propertyKeys: true
+    }
+};
+
+// File extension -> language
+const EXTENSIONS = {
+    js: 'javascript',
+    jsx: 'javascript',
+    mjs: 'javascript',
+    cjs: 'javascript',
+    ts: 'typescript',
+    tsx: 'typescript',
+    py: 'python',
+    json: 'json'
+};
+
+/**
+ * Gets the highlighting language for a file path
+ * @param {string} filePath - The file path, e.g. 'src/logic.ts'
+ * @returns {string|null} - Language name, or null if unsupported
+ */
+export function languageForPath(filePath) {
+    const match = /\.([A-Za-z0-9]+)$/.exec(filePath || '');
+    return match ? EXTENSIONS[match[1].toLowerCase()] || null : null;
+}
+
+/**
+ * Splits text into highlight tokens
+ * Token values always concatenate back to the original text.
+ * @param {string} text - The source text
+ * @param {string} language - 'javascript', 'typescript', 'python' or 'json'
+ * @returns {Array<{type: string, value: string}>} - The tokens
+ */
+export function tokenize(text, language) {
+    const grammar = GRAMMARS[language];
+    if (!grammar) return [{ type: 'plain', value: text }];
+
+    const tokens = [];
+    let pos = 0;
+
+    while (pos < text.length) {
+        let matched = false;
+
+        for (const [type, pattern] of grammar.rules) {
+            pattern.lastIndex = pos;
+            const match = pattern.exec(text);
+            if (!match || match[0].length === 0) continue;
+
+            const value = match[0];
+            const end = pos + value.length;
+            pushToken(tokens, classify(grammar, type, value, text, pos, end), value);
+            pos = end;
+            matched = true;
+            break;
+        }
+
+        if (!matched) {
+            pushToken(tokens, 'plain', text[pos]);
+            pos++;
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Renders text as highlighted HTML
+ * @param {string} text - The source text
+ * @param {string} language - See tokenize()
+ * @returns {string} - HTML with one span per token; text is escaped
+ */
+export function highlight(text, language) {
+    return tokenize(text, language).map(({ type, value }) => {
+        const escaped = escapeHtml(value);
+        return type === 'plain' ? escaped : `<span class="tok-${type}">${escaped}</span>`;
+    }).join('');
+}
+
+function classify(grammar, type, value, text, start, end) {
+    if (type === 'space') return 'plain';
+
+    if (type === 'string' && grammar.propertyKeys && nextNonSpace(text, end) === ':') {
+        return 'property';
+    }
+
+    if (type !== 'word') return type;
+
+    if (grammar.keywords.has(value)) return 'keyword';
+    if (grammar.literals.has(value)) return 'literal';
+    if (grammar.types.has(value)) return 'type';
+    if (nextNonSpace(text, end) === '(') return 'function';
+    if (start > 0 && text[start - 1] === '.') return 'property';
+    if (/^[A-Z]/.test(value)) return 'class';
+    return 'plain';
+}
+
+function nextNonSpace(text, pos) {
+    const match = /\S/.exec(text.slice(pos, pos + 80));
+    return match ? match[0] : '';
+}
+
+function pushToken(tokens, type, value) {
+    const last = tokens[tokens.length - 1];
+    if (last && last.type === type) {
+        last.value += value;
+    } else {
+        tokens.push({ type, value });
+    }
+}
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
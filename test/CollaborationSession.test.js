@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CollaborationSession, isValidPaneKey, paneKeyFor } from '../src/session/CollaborationSession.js';
+
+// A session whose map already holds participants; refusals happen before any pane is built
+function sessionWith(participants, options = {}) {
+    const session = new CollaborationSession(null, options);
+    participants.forEach(participant => session.participants.set(participant.userName, participant));
+    return session;
+}
+
+// Drops the fake participants so dispose only stops the heartbeat sweep and the observer
+function close(session) {
+    session.participants.clear();
+    session.dispose();
+}
+
+test('derives pane keys that can be used in element ids', () => {
+    assert.equal(paneKeyFor('User C'), 'c');
+    assert.equal(paneKeyFor('Dana Scully'), 'dana-scully');
+    assert.equal(paneKeyFor('<img src=x>'), 'img-src-x');
+    assert.equal(paneKeyFor('!!!'), 'participant');
+    ['User C', 'Dana Scully', '<img src=x>', '"#x', '-'].forEach(userName => {
+        assert.ok(isValidPaneKey(paneKeyFor(userName)), userName);
+    });
+});
+
+test('rejects pane keys with characters outside a-z, 0-9 and -', () => {
+    assert.ok(isValidPaneKey('replay-0'));
+    ['', 'A', 'a b', 'a"]', 'x><img', '#c', null, undefined].forEach(key => {
+        assert.equal(isValidPaneKey(key), false, String(key));
+    });
+});
+
+test('refuses a name whose pane key another participant holds', (t) => {
+    t.mock.method(console, 'warn', () => { });
+    const session = sessionWith([{ userName: 'User A', key: 'a' }]);
+    try {
+        assert.equal(session.addRemote('user a'), null);
+        assert.equal(session.join('User  A'), null);
+        assert.equal(session.participants.size, 1);
+        assert.equal(session.get('User A').key, 'a');
+    } finally {
+        close(session);
+    }
+});
+
+test('refuses an explicit key that is not valid', (t) => {
+    t.mock.method(console, 'warn', () => { });
+    const session = sessionWith([]);
+    try {
+        assert.equal(session.join('User C', { key: 'c"><img' }), null);
+        assert.equal(session.participants.size, 0);
+    } finally {
+        close(session);
+    }
+});
+
+test('refuses participants once the session is full', (t) => {
+    t.mock.method(console, 'warn', () => { });
+    const session = sessionWith([{ userName: 'User A', key: 'a' }, { userName: 'User B', key: 'b' }], { maxParticipants: 2 });
+    try {
+        assert.equal(session.addRemote('User C'), null);
+        assert.equal(session.participants.size, 2);
+        // Someone already in the session is still returned
+        assert.equal(session.addRemote('User B').key, 'b');
+    } finally {
+        close(session);
+    }
+});
+
+test('ignores presence from teammates the session refuses', (t) => {
+    t.mock.method(console, 'warn', () => { });
+    const session = sessionWith([{ userName: 'User A', key: 'a' }]);
+    try {
+        session.handleRemotePresence({ payload: { user: 'user a', state: 'active' } });
+        assert.equal(session.remoteLastSeen.has('user a'), false);
+    } finally {
+        close(session);
+    }
+});
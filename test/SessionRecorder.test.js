@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRecording } from '../src/session/SessionRecorder.js';
+
+function recording(overrides = {}) {
+    return {
+        version: 1,
+        startedAt: '2026-01-01T00:00:00.000Z',
+        reservationPolicy: 'hard-lock',
+        reservationTtl: null,
+        participants: [
+            { userName: 'User A', color: '#00ff99', branch: 'main', activeFilePath: 'utils.js', joinedAt: 0, files: { main: { 'utils.js': 'a\nb' } } },
+            { userName: 'User C', color: '#bd93f9', branch: 'main', activeFilePath: null, joinedAt: 1200, leftAt: 3000, files: { main: {} } }
+        ],
+        events: [
+            { type: 'input', time: 100, user: 'User A', branch: 'main', file: 'utils.js', inputType: 'insertText', data: 'x', editKind: null, content: 'ax\nb', selection: { start: 2, end: 2 } },
+            { type: 'cursor', time: 200, user: 'User A', branch: 'main', file: 'utils.js', selection: { start: 0, end: 0 } },
+            { type: 'history', time: 300, user: 'User A', branch: 'main', file: 'utils.js', action: 'undo' },
+            { type: 'open', time: 400, user: 'User A', file: 'utils.js' },
+            { type: 'push', time: 1500, user: 'User C' }
+        ],
+        ...overrides
+    };
+}
+
+// The first participant with some fields replaced
+function withParticipant(fields) {
+    const [first, ...rest] = recording().participants;
+    return recording({ participants: [{ ...first, ...fields }, ...rest] });
+}
+
+// The first event with some fields replaced
+function withEvent(fields) {
+    const [first, ...rest] = recording().events;
+    return recording({ events: [{ ...first, ...fields }, ...rest] });
+}
+
+test('accepts what SessionRecorder writes', () => {
+    assert.deepEqual(parseRecording(JSON.stringify(recording())), recording());
+});
+
+test('rejects a recording of another version or without events', () => {
+    assert.throws(() => parseRecording(recording({ version: 2 })), /Unsupported recording version 2/);
+    assert.throws(() => parseRecording(recording({ events: {} })), /needs participants and events/);
+    assert.throws(() => parseRecording('null'), /Unsupported recording version/);
+});
+
+test('rejects unknown fields', () => {
+    assert.throws(() => parseRecording(recording({ script: 'x' })), /unexpected field "recording\.script"/);
+    assert.throws(() => parseRecording(withParticipant({ html: '<img>' })), /unexpected field "participants\[0\]\.html"/);
+    assert.throws(() => parseRecording(withEvent({ selector: '.tab' })), /unexpected field "events\[0\]\.selector"/);
+});
+
+test('rejects participant colors that are not hex colors', () => {
+    ['red; background: url(x)', 'hsl(0, 0%, 0%)', '#12', 42].forEach(color => {
+        assert.throws(() => parseRecording(withParticipant({ color })), /color must be a hex color/, String(color));
+    });
+});
+
+test('rejects participants with missing or mistyped fields', () => {
+    assert.throws(() => parseRecording(withParticipant({ userName: '' })), /userName must be a non-empty string/);
+    assert.throws(() => parseRecording(withParticipant({ joinedAt: '0' })), /joinedAt must be a number/);
+    assert.throws(() => parseRecording(withParticipant({ files: { main: { 'utils.js': 1 } } })), /files\.main\.utils\.js must be a string/);
+    assert.throws(() => parseRecording(recording({ participants: ['User A'] })), /participants\[0\] must be an object/);
+});
+
+test('rejects events with unknown types, users or mistyped fields', () => {
+    assert.throws(() => parseRecording(withEvent({ type: 'eval' })), /type must be one of/);
+    assert.throws(() => parseRecording(withEvent({ user: 'User Z' })), /user must be a participant/);
+    assert.throws(() => parseRecording(withEvent({ time: -1 })), /time must be a number/);
+    assert.throws(() => parseRecording(withEvent({ content: null })), /content must be a string/);
+    assert.throws(() => parseRecording(withEvent({ selection: { start: 1 } })), /selection must have start and end/);
+    assert.throws(() => parseRecording(recording({ reservationPolicy: 'none' })), /reservationPolicy must be one of/);
+});
+
+test('accepts an input recorded with the caret outside the editor', () => {
+    assert.doesNotThrow(() => parseRecording(withEvent({ selection: null })));
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EditHistory } from '../src/utils/editHistory.js';
+
+// A history on a clock the test moves by hand
+function historyAt(options = {}) {
+    const clock = { time: 0 };
+    const history = new EditHistory({ now: () => clock.time, ...options });
+    history.reset({ content: '', selection: null, line: 1 });
+    return { history, clock };
+}
+
+function state(content, line = 1) {
+    return { content, selection: { start: content.length, end: content.length }, line };
+}
+
+test('groups quick typing on one line into one transaction', () => {
+    const { history, clock } = historyAt();
+    history.record(state('a'), 'typing');
+    clock.time = 500;
+    history.record(state('ab'), 'typing');
+    clock.time = 900;
+    history.record(state('abc'), 'typing');
+
+    assert.equal(history.entries.length, 2);
+    assert.equal(history.undo().state.content, '');
+    assert.equal(history.canUndo(), false);
+});
+
+test('starts a new transaction after a pause, on another line or for another kind', () => {
+    const { history, clock } = historyAt();
+    history.record(state('a'), 'typing');
+    clock.time = 1500;
+    history.record(state('ab'), 'typing');
+    history.record(state('ab\n', 2), 'enter');
+    history.record(state('ab\nc', 2), 'typing');
+    history.record(state('ab\nc\nd', 3), 'typing');
+
+    assert.deepEqual(history.entries.map(entry => entry.content), ['', 'a', 'ab', 'ab\n', 'ab\nc', 'ab\nc\nd']);
+});
+
+test('never groups pastes', () => {
+    const { history } = historyAt();
+    history.record(state('a'), 'paste');
+    history.record(state('ab'), 'paste');
+    assert.equal(history.entries.length, 3);
+});
+
+test('skips states that did not change the content', () => {
+    const { history } = historyAt();
+    assert.equal(history.record(state(''), 'typing'), null);
+    assert.equal(history.entries.length, 1);
+});
+
+test('undoes and redoes, and drops the redo branch on a new edit', () => {
+    const { history } = historyAt();
+    history.record(state('a'), 'paste');
+    history.record(state('ab'), 'paste');
+
+    assert.equal(history.undo().state.content, 'a');
+    const redone = history.redo();
+    assert.equal(redone.state.content, 'ab');
+    assert.equal(redone.entry, redone.state);
+
+    history.undo();
+    history.record(state('ax'), 'paste');
+    assert.equal(history.canRedo(), false);
+    assert.deepEqual(history.entries.map(entry => entry.content), ['', 'a', 'ax']);
+});
+
+test('keeps at most limit transactions, dropping the oldest', () => {
+    const { history } = historyAt({ limit: 3 });
+    ['a', 'ab', 'abc', 'abcd'].forEach(content => history.record(state(content), 'paste'));
+
+    assert.deepEqual(history.entries.map(entry => entry.content), ['ab', 'abc', 'abcd']);
+    assert.equal(history.undo().state.content, 'abc');
+    assert.equal(history.undo().state.content, 'ab');
+    assert.equal(history.undo(), null);
+});
+
+test('hands back the line activity of the transaction it undoes', () => {
+    const { history } = historyAt();
+    history.annotate({ line: 1, changeType: 'added' }); // Nothing to attach to before the first edit
+    history.record(state('a'), 'typing');
+    history.annotate({ line: 1, changeType: 'edited' });
+
+    assert.deepEqual(history.entries[0].activity, []);
+    assert.deepEqual(history.undo().entry.activity, [{ line: 1, changeType: 'edited' }]);
+});
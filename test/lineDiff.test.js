@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffOps, diffLines } from '../src/utils/lineDiff.js';
+
+// Replays an edit script and checks it turns oldLines into newLines
+function apply(oldLines, newLines, ops) {
+    const result = [];
+    ops.forEach(op => {
+        if (op.type === 'equal') {
+            assert.equal(oldLines[op.oldIndex], newLines[op.newIndex]);
+            result.push(oldLines[op.oldIndex]);
+        } else if (op.type === 'insert') {
+            result.push(newLines[op.newIndex]);
+        }
+    });
+    return result;
+}
+
+// Length of the longest common subsequence, which a shortest edit script keeps as 'equal'
+function lcsLength(a, b) {
+    let previous = new Array(b.length + 1).fill(0);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [0];
+        for (let j = 1; j <= b.length; j++) {
+            row[j] = a[i - 1] === b[j - 1] ? previous[j - 1] + 1 : Math.max(previous[j], row[j - 1]);
+        }
+        previous = row;
+    }
+    return previous[b.length];
+}
+
+test('finds a shortest edit script', () => {
+    let seed = 7;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    for (let round = 0; round < 200; round++) {
+        const oldLines = Array.from({ length: Math.floor(random() * 12) }, () => 'abc'[Math.floor(random() * 3)]);
+        const newLines = Array.from({ length: Math.floor(random() * 12) }, () => 'abc'[Math.floor(random() * 3)]);
+        const ops = diffOps(oldLines, newLines);
+        assert.deepEqual(apply(oldLines, newLines, ops), newLines);
+        assert.equal(ops.filter(op => op.type === 'equal').length, lcsLength(oldLines, newLines));
+    }
+});
+
+test('groups changes into hunks', () => {
+    assert.deepEqual(diffLines(['a', 'b', 'c', 'd'], ['a', 'B', 'c', 'd', 'e']), [
+        { oldStart: 1, oldEnd: 2, newStart: 1, newEnd: 2 },
+        { oldStart: 4, oldEnd: 4, newStart: 4, newEnd: 5 }
+    ]);
+});
+
+test('replaces the changed middle of very different files instead of searching on', () => {
+    const oldLines = Array.from({ length: 10000 }, (line, index) => `old ${index}`);
+    const newLines = ['same', ...Array.from({ length: 10000 }, (line, index) => `new ${index}`), 'end'];
+    oldLines.unshift('same');
+    oldLines.push('end');
+
+    const ops = diffOps(oldLines, newLines);
+    assert.deepEqual(apply(oldLines, newLines, ops), newLines);
+    assert.equal(ops.filter(op => op.type === 'delete').length, 10000);
+    assert.equal(ops.filter(op => op.type === 'insert').length, 10000);
+    assert.deepEqual(diffLines(oldLines, newLines), [{ oldStart: 1, oldEnd: 10001, newStart: 1, newEnd: 10001 }]);
+});
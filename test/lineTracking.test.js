@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildLineMapping, remapRange, nearestMappedLine, describeLines } from '../src/utils/lineTracking.js';
+
+const OLD = ['a', 'b', 'c', 'd'];
+
+test('moves a range down past lines inserted above it', () => {
+    const mapping = buildLineMapping(OLD, ['x', 'y', 'a', 'b', 'c', 'd']);
+    assert.deepEqual(mapping, [3, 4, 5, 6]);
+    assert.deepEqual(remapRange(mapping, 3, 4), { start: 5, end: 6 });
+});
+
+test('moves a range up past lines deleted above it', () => {
+    const mapping = buildLineMapping(OLD, ['b', 'c', 'd']);
+    assert.deepEqual(mapping, [null, 1, 2, 3]);
+    assert.deepEqual(remapRange(mapping, 3, 4), { start: 2, end: 3 });
+});
+
+test('keeps a range in place when a line inside it is edited', () => {
+    const mapping = buildLineMapping(OLD, ['a', 'B', 'c', 'd']);
+    assert.deepEqual(mapping, [1, 2, 3, 4]);
+    assert.deepEqual(remapRange(mapping, 2, 3), { start: 2, end: 3 });
+});
+
+test('grows a range around lines inserted inside it', () => {
+    const mapping = buildLineMapping(OLD, ['a', 'b', 'x', 'y', 'c', 'd']);
+    assert.deepEqual(remapRange(mapping, 2, 3), { start: 2, end: 5 });
+});
+
+test('drops a range whose lines were all deleted', () => {
+    const mapping = buildLineMapping(OLD, ['a', 'd']);
+    assert.deepEqual(mapping, [1, null, null, 2]);
+    assert.equal(remapRange(mapping, 2, 3), null);
+    // Something anchored there moves to the next surviving line
+    assert.equal(nearestMappedLine(mapping, 2), 2);
+});
+
+test('moves a range past the end of the old content with the end of the file', () => {
+    const mapping = buildLineMapping(OLD, ['x', 'a', 'b', 'c', 'd']);
+    assert.deepEqual(remapRange(mapping, 6, 7), { start: 7, end: 8 });
+});
+
+test('describes a single line or a range', () => {
+    assert.equal(describeLines(4, 4), 'line 4');
+    assert.equal(describeLines(4, 7), 'lines 4–7');
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { threeWayMerge } from '../src/utils/merge.js';
+
+test('applies non-overlapping changes from both sides', () => {
+    const result = threeWayMerge('a\nb\nc', 'A\nb\nc', 'a\nb\nC');
+    assert.equal(result.content, 'A\nb\nC');
+    assert.equal(result.cleanHunks, 2);
+    assert.deepEqual(result.conflicts, []);
+});
+
+test('reports an edit/edit conflict with the base lines it replaces', () => {
+    const result = threeWayMerge('a\nb\nc', 'a\nB1\nc', 'a\nB2\nc');
+    assert.equal(result.content, 'a\n<<<<<<< ours\nB1\n=======\nB2\n>>>>>>> theirs\nc');
+    assert.equal(result.conflicts.length, 1);
+    const [conflict] = result.conflicts;
+    assert.equal(conflict.startLine, 2);
+    assert.equal(conflict.endLine, 6);
+    assert.equal(conflict.baseStartLine, 2);
+    assert.equal(conflict.baseEndLine, 2);
+});
+
+test('reports an insert/insert conflict with an empty base range', () => {
+    const result = threeWayMerge('a\nb', 'a\nX\nb', 'a\nY\nb');
+    assert.equal(result.content, 'a\n<<<<<<< ours\nX\n=======\nY\n>>>>>>> theirs\nb');
+    assert.equal(result.conflicts.length, 1);
+    const [conflict] = result.conflicts;
+    assert.deepEqual(conflict.ours, ['X']);
+    assert.deepEqual(conflict.theirs, ['Y']);
+    // Nothing in the base is replaced: the lines go in after line 1
+    assert.equal(conflict.baseStartLine, 2);
+    assert.equal(conflict.baseEndLine, 1);
+});
+
+test('takes an identical insertion from both sides once', () => {
+    const result = threeWayMerge('a\nb', 'a\nX\nb', 'a\nX\nb');
+    assert.equal(result.content, 'a\nX\nb');
+    assert.deepEqual(result.conflicts, []);
+});
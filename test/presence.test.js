@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { presenceStatusFor, recordPresence, expirePresence, IDLE_TIMEOUT, PRESENCE_TIMEOUT } from '../src/session/presence.js';
+
+test('works out active, idle and away', () => {
+    assert.equal(presenceStatusFor({ hidden: false, blurred: false, idleFor: 0 }), 'active');
+    assert.equal(presenceStatusFor({ hidden: false, blurred: false, idleFor: IDLE_TIMEOUT - 1 }), 'active');
+    assert.equal(presenceStatusFor({ hidden: false, blurred: false, idleFor: IDLE_TIMEOUT }), 'idle');
+    assert.equal(presenceStatusFor({ hidden: false, blurred: false, idleFor: 500 }, 500), 'idle');
+});
+
+test('is away while the page is hidden or focus has left the pane, however recent the input', () => {
+    assert.equal(presenceStatusFor({ hidden: true, blurred: false, idleFor: 0 }), 'away');
+    assert.equal(presenceStatusFor({ hidden: false, blurred: true, idleFor: IDLE_TIMEOUT }), 'away');
+});
+
+test('records a teammate and reports whether they are new', () => {
+    const teammatePresence = new Map();
+    assert.equal(recordPresence(teammatePresence, 'User B', 'idle', 1000), true);
+    assert.equal(recordPresence(teammatePresence, 'User B', undefined, 2000), false);
+    assert.deepEqual(teammatePresence.get('User B'), { status: 'active', lastSeen: 2000 });
+});
+
+test('drops teammates silent for longer than the timeout', () => {
+    const teammatePresence = new Map();
+    recordPresence(teammatePresence, 'User B', 'active', 1000);
+    recordPresence(teammatePresence, 'User C', 'away', 5000);
+
+    assert.deepEqual(expirePresence(teammatePresence, PRESENCE_TIMEOUT, 1000 + PRESENCE_TIMEOUT), []);
+    assert.deepEqual(expirePresence(teammatePresence, PRESENCE_TIMEOUT, 1001 + PRESENCE_TIMEOUT), ['User B']);
+    assert.deepEqual(Array.from(teammatePresence.keys()), ['User C']);
+});
@@ -0,0 +1,149 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    encodePush,
+    decodePush,
+    encodePull,
+    decodePull,
+    encodeActivity,
+    decodeActivity,
+    encodeCursor,
+    decodeCursor,
+    encodePresence,
+    decodePresence,
+    MAX_PUSH_BYTES,
+    MAX_MESSAGE_BYTES,
+    ProtocolError
+} from '../src/transport/protocol.js';
+
+function push(overrides = {}) {
+    return {
+        userName: 'User B',
+        filePath: 'utils.js',
+        branch: 'main',
+        content: 'a\nB\nC\nd',
+        bases: { 'User A': 'a\nb\nd' },
+        changes: [
+            { lineContent: 'B', lineNumber: 2, changeType: 'edited', userName: 'User B' },
+            { lineContent: 'C', lineNumber: 3, changeType: 'added', userName: 'User B' }
+        ],
+        blocks: [
+            { blockId: 'User B-block-1-0', startLine: 2, endLine: 3, changes: ['B', 'C'], changeType: 'edited' }
+        ],
+        ...overrides
+    };
+}
+
+test('round-trips a push', () => {
+    const decoded = decodePush(encodePush(push()));
+    assert.deepEqual(decoded, { v: 1, ...push() });
+});
+
+test('rejects a push with unknown fields', () => {
+    assert.throws(() => encodePush(push({ html: '<img>' })), ProtocolError);
+});
+
+test('rejects a block outside the pushed content', () => {
+    const blocks = [{ blockId: 'b', startLine: 9, endLine: 9, changes: ['x'], changeType: 'added' }];
+    assert.throws(() => encodePush(push({ blocks })), /blocks\[0\]\.startLine is past the end/);
+});
+
+test('rejects a block whose range runs backwards', () => {
+    const blocks = [{ blockId: 'b', startLine: 3, endLine: 2, changes: [], changeType: 'deleted' }];
+    assert.throws(() => encodePush(push({ blocks })), /endLine must not be before/);
+});
+
+test('rejects a block with fewer lines than its range', () => {
+    const blocks = [{ blockId: 'b', startLine: 2, endLine: 3, changes: ['B'], changeType: 'edited' }];
+    assert.throws(() => encodePush(push({ blocks })), /one entry per line/);
+});
+
+test('accepts a deletion just past the end of the content', () => {
+    const blocks = [{ blockId: 'b', startLine: 5, endLine: 5, changes: ['e', 'f'], changeType: 'deleted' }];
+    assert.doesNotThrow(() => encodePush(push({ blocks })));
+});
+
+test('rejects a push over the size limit', () => {
+    const content = push().content + 'x'.repeat(MAX_PUSH_BYTES);
+    assert.throws(() => encodePush(push({ content })), /limit is/);
+});
+
+test('rejects an encoded push that is not valid JSON', () => {
+    assert.throws(() => decodePush('{'), /not valid JSON/);
+});
+
+test('round-trips a pull and rejects one without a source', () => {
+    const pull = { userName: 'User A', source: 'User B', filePath: 'utils.js', branch: 'main' };
+    assert.deepEqual(decodePull(encodePull(pull)), { v: 1, ...pull });
+    assert.throws(() => encodePull({ ...pull, source: '' }), /source must be a non-empty string/);
+});
+
+// Copy of an event without one field
+function without(event, field) {
+    const copy = { ...event };
+    delete copy[field];
+    return copy;
+}
+
+const ACTIVITY = { filePath: 'utils.js', branch: 'main', lineRange: { start: 2, end: 3 }, editType: 'edited', timestamp: 1700000000000, user: 'User A' };
+
+test('round-trips an activity message', () => {
+    assert.deepEqual(decodeActivity(encodeActivity(ACTIVITY)), { v: 1, ...ACTIVITY });
+    const deletion = { ...ACTIVITY, editType: 'deleted', deletedCount: 2 };
+    assert.deepEqual(decodeActivity(encodeActivity(deletion)), { v: 1, ...deletion });
+});
+
+test('rejects activity with extra or missing fields', () => {
+    assert.throws(() => encodeActivity({ ...ACTIVITY, lineContent: 'secret' }), /unexpected field "lineContent"/);
+    assert.throws(() => encodeActivity({ ...ACTIVITY, lineRange: { start: 2, end: 3, text: 'x' } }), /unexpected field "lineRange\.text"/);
+    assert.throws(() => encodeActivity(without(ACTIVITY, 'user')), /user must be a non-empty string/);
+    assert.throws(() => encodeActivity(without(ACTIVITY, 'timestamp')), /timestamp must be a positive number/);
+    assert.throws(() => encodeActivity(without(ACTIVITY, 'lineRange')), /lineRange must be an object/);
+    assert.throws(() => encodeActivity({ ...ACTIVITY, editType: 'deleted' }), /deletedCount must be an integer/);
+    assert.throws(() => encodeActivity({ ...ACTIVITY, deletedCount: 1 }), /only allowed for deleted lines/);
+});
+
+test('rejects activity with a bad line range or edit type', () => {
+    assert.throws(() => encodeActivity({ ...ACTIVITY, lineRange: { start: 3, end: 2 } }), /must not be before/);
+    assert.throws(() => encodeActivity({ ...ACTIVITY, lineRange: { start: 0, end: 2 } }), /lineRange\.start must be an integer/);
+    assert.throws(() => encodeActivity({ ...ACTIVITY, editType: 'renamed' }), /editType must be one of/);
+});
+
+test('rejects an awareness message over the size limit', () => {
+    const encoded = JSON.stringify({ v: 1, ...ACTIVITY, filePath: 'x'.repeat(MAX_MESSAGE_BYTES) });
+    assert.throws(() => decodeActivity(encoded), new RegExp(`the limit is ${MAX_MESSAGE_BYTES}$`));
+});
+
+const CURSOR = { filePath: 'utils.js', branch: 'main', caret: { line: 2, column: 4 }, anchor: { line: 1, column: 0 }, timestamp: 1700000000000, user: 'User A' };
+
+test('round-trips a cursor message, with or without a caret', () => {
+    assert.deepEqual(decodeCursor(encodeCursor(CURSOR)), { v: 1, ...CURSOR });
+    const left = without(without(CURSOR, 'caret'), 'anchor');
+    assert.deepEqual(decodeCursor(encodeCursor(left)), { v: 1, ...left });
+});
+
+test('rejects a cursor with extra or missing fields', () => {
+    assert.throws(() => encodeCursor({ ...CURSOR, selectedText: 'b' }), /unexpected field "selectedText"/);
+    assert.throws(() => encodeCursor({ ...CURSOR, caret: { line: 2, column: 4, text: 'x' } }), /unexpected field "caret\.text"/);
+    assert.throws(() => encodeCursor(without(CURSOR, 'anchor')), /anchor must be an object/);
+    assert.throws(() => encodeCursor(without(CURSOR, 'caret')), /anchor is only allowed with a caret/);
+    assert.throws(() => encodeCursor(without(CURSOR, 'filePath')), /filePath must be a non-empty string/);
+    assert.throws(() => encodeCursor({ ...CURSOR, caret: { line: 2, column: -1 } }), /caret\.column must be an integer/);
+});
+
+const PRESENCE = { user: 'User A', state: 'heartbeat', timestamp: 1700000000000, branch: 'main', status: 'idle' };
+
+test('round-trips a presence message', () => {
+    assert.deepEqual(decodePresence(encodePresence(PRESENCE)), { v: 1, ...PRESENCE });
+    const leave = { user: 'User A', state: 'leave', timestamp: 1700000000000 };
+    assert.deepEqual(decodePresence(encodePresence(leave)), { v: 1, ...leave });
+});
+
+test('rejects presence with extra or missing fields', () => {
+    assert.throws(() => encodePresence({ ...PRESENCE, filePath: 'utils.js' }), /unexpected field "filePath"/);
+    assert.throws(() => encodePresence(without(PRESENCE, 'user')), /user must be a non-empty string/);
+    assert.throws(() => encodePresence(without(PRESENCE, 'state')), /state must be one of/);
+    assert.throws(() => encodePresence({ ...PRESENCE, status: 'busy' }), /status must be one of/);
+    assert.throws(() => encodePresence({ ...PRESENCE, state: 'leave' }), /status is not allowed when leaving/);
+    assert.throws(() => decodePresence(JSON.stringify(without({ v: 1, ...PRESENCE }, 'timestamp'))), /timestamp must be a positive number/);
+});
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    reserveLines,
+    renewReservations,
+    releaseReservations,
+    expireReservations,
+    findConflict,
+    conflictRanges,
+    lockStateFor
+} from '../src/session/reservations.js';
+
+test('reserves lines and renews everything else the author holds', () => {
+    const reservations = new Map();
+    reserveLines(reservations, 2, 3, 'User A', 1000);
+    reserveLines(reservations, 7, 7, 'User A', 5000);
+
+    assert.deepEqual(Array.from(reservations.keys()), [2, 3, 7]);
+    reservations.forEach(reservation => assert.equal(reservation.timestamp, 5000));
+    // A line kept by the same author keeps the time it was first reserved
+    assert.equal(reservations.get(2).since, 1000);
+    assert.equal(reservations.get(7).since, 5000);
+});
+
+test('takes over a line from another author without their confirmation', () => {
+    const reservations = new Map([[4, { userName: 'User B', since: 100, timestamp: 100, confirmed: true }]]);
+    reserveLines(reservations, 4, 4, 'User A', 2000);
+    assert.deepEqual(reservations.get(4), { userName: 'User A', since: 2000, timestamp: 2000, confirmed: false });
+});
+
+test('never moves a renewal back in time', () => {
+    const reservations = new Map();
+    reserveLines(reservations, 1, 1, 'User A', 5000);
+    renewReservations(reservations, 'User A', 3000);
+    assert.equal(reservations.get(1).timestamp, 5000);
+});
+
+test('releases a range of one author\'s lines', () => {
+    const reservations = new Map();
+    reserveLines(reservations, 1, 5, 'User A', 1000);
+    reserveLines(reservations, 6, 6, 'User B', 1000);
+
+    assert.deepEqual(releaseReservations(reservations, 'User A', 2, 3), [2, 3]);
+    assert.deepEqual(releaseReservations(reservations, 'User A'), [1, 4, 5]);
+    assert.deepEqual(Array.from(reservations.keys()), [6]);
+});
+
+test('expires reservations once their time-to-live has run out', () => {
+    const reservations = new Map();
+    reserveLines(reservations, 1, 1, 'User A', 1000);
+    reserveLines(reservations, 2, 2, 'User B', 5000);
+
+    assert.deepEqual(expireReservations(reservations, 3000, 3999), []);
+    assert.deepEqual(expireReservations(reservations, 3000, 4000), [1]);
+    assert.deepEqual(Array.from(reservations.keys()), [2]);
+});
+
+test('finds the first line in a range held by someone else', () => {
+    const reservations = new Map();
+    reserveLines(reservations, 2, 2, 'User A', 1000);
+    reserveLines(reservations, 4, 5, 'User B', 1000);
+
+    assert.equal(findConflict(reservations, 1, 3, 'User A'), null);
+    assert.equal(findConflict(reservations, 1, 9, 'User A').line, 4);
+    assert.equal(findConflict(reservations, 1, 9, 'User A').userName, 'User B');
+});
+
+test('groups lines both sides hold into ranges with whoever reserved first', () => {
+    const own = new Map();
+    const remote = new Map();
+    reserveLines(own, 3, 6, 'User A', 2000);
+    reserveLines(remote, 4, 5, 'User B', 1000);
+    reserveLines(remote, 9, 9, 'User B', 1000);
+
+    assert.deepEqual(conflictRanges(own, remote), [
+        { startLine: 4, endLine: 5, teammate: 'User B', holder: 'User B', since: 1000 }
+    ]);
+});
+
+test('locks the caret\'s line only under a locking policy', () => {
+    const reservations = new Map();
+    reserveLines(reservations, 3, 3, 'User B', 1000);
+
+    assert.equal(lockStateFor(new Map(), 3, 'hard-lock'), 'unlocked');
+    assert.equal(lockStateFor(reservations, 3, 'warn'), 'partial');
+    assert.equal(lockStateFor(reservations, 3, 'hard-lock'), 'locked');
+    assert.equal(lockStateFor(reservations, 1, 'hard-lock'), 'partial');
+    assert.equal(lockStateFor(reservations, 3, 'soft-lock'), 'locked');
+
+    reservations.get(3).confirmed = true;
+    assert.equal(lockStateFor(reservations, 3, 'soft-lock'), 'partial');
+});
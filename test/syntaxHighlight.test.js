@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize, highlight, languageForPath } from '../src/utils/syntaxHighlight.js';
+
+const SAMPLES = {
+    javascript: 'const el = `<b>${a && b}</b>`; // <script>\nif (x < 1 && y > 2) el.innerHTML = "a\\"b";\n/* open',
+    typescript: 'interface A { b?: string }\nconst f = <T,>(x: T): T => x; \'unterminated',
+    python: '@dec\ndef f(a: int) -> str:\n    return f"<{a}>" if a & 1 else \'\'\'open',
+    json: '{"a": [1, -2.5e3, true, null], "<b>": "&amp;"}\n}{',
+    plain: '<img src=x onerror=alert(1)> & more'
+};
+
+// Undoes highlight(): drops the spans and unescapes the text
+function textOf(html) {
+    return html.replace(/<span class="tok-[a-z]+">|<\/span>/g, '')
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+test('tokens concatenate back to the input', () => {
+    Object.entries(SAMPLES).forEach(([language, text]) => {
+        assert.equal(tokenize(text, language).map(token => token.value).join(''), text, language);
+    });
+});
+
+test('escapes the text it highlights', () => {
+    Object.entries(SAMPLES).forEach(([language, text]) => {
+        const html = highlight(text, language);
+        const markup = html.replace(/<span class="tok-[a-z]+">|<\/span>/g, '');
+        assert.doesNotMatch(markup, /[<>]/, language);
+        assert.equal(textOf(html), text, language);
+    });
+});
+
+test('classifies keywords, strings and comments', () => {
+    assert.deepEqual(tokenize('return "x"; // y', 'javascript'), [
+        { type: 'keyword', value: 'return' },
+        { type: 'plain', value: ' ' },
+        { type: 'string', value: '"x"' },
+        { type: 'punctuation', value: ';' },
+        { type: 'plain', value: ' ' },
+        { type: 'comment', value: '// y' }
+    ]);
+});
+
+test('picks the language from the file extension', () => {
+    assert.equal(languageForPath('src/logic.TS'), 'typescript');
+    assert.equal(languageForPath('utils.mjs'), 'javascript');
+    assert.equal(languageForPath('README.md'), null);
+    assert.equal(languageForPath(null), null);
+});